@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Render click tracks from the command line, e.g.
+//   node cli.js --bpm 120 --bars 64 -o click.wav
+// Uses the same renderer as the export in the app, so output is identical.
+const fs = require('fs');
+const path = require('path');
+const {
+    createRenderSettings,
+    buildClickTrack,
+    renderClickTrack,
+    encodeWav,
+    encodeMidi,
+    parseExportSetting,
+    parseMeter,
+    parseAccentPattern,
+    parseSubdivisionLayers,
+    parseSwing,
+    parseMuteSetting,
+    parseVoiceSetting,
+    parsePolyrhythm,
+    parseTrainer,
+    parseTempo
+} = require('./metronome');
+
+const USAGE = `Usage: node cli.js [options] -o <file.wav|file.mid>
+
+Options:
+  --bpm <n>              Tempo, 1-300, e.g. 92.5 (default 40)
+  --bars <n>             Number of bars or polyrhythm cycles, 1-999 (default 16)
+  --meter <m>            Meter, e.g. 4/4, 7/8, 2+2+3/8 (default 4/4)
+  --accents <pattern>    Accent pattern, one of s/m/w/- per beat
+  --subdivisions <list>  Subdivision layers, e.g. "8 3:20"
+  --swing <percent>      Swing, 50-75
+  --mute <setting>       Muting, e.g. "35", "g4/2", "10>60/5 d #42"
+  --voice <setting>      Click voice, e.g. woodblock or "cowbell 80/50/30"
+  --polyrhythm <ratio>   Polyrhythm, e.g. 3:2
+  --trainer <ramp>       Speed trainer, e.g. "60>120 5 4b"
+  --sample-rate <n>      WAV sample rate (default 44100)
+  --format <wav|mid>     Output format (default from the file extension)
+  -o, --output <file>    Output file
+  -h, --help             Show this help`;
+
+// Parse command line arguments into render settings. Throws on invalid input.
+function parseArgs(argv) {
+    const options = { bars: 16, sampleRate: 44100, output: null, format: null, help: false };
+    const overrides = {};
+    let meter = parseMeter('4/4');
+    let accents = null;
+
+    const invalid = (name, value) => new Error(`Invalid ${name}: "${value}"`);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+            continue;
+        }
+
+        const value = argv[i + 1];
+        if (value === undefined) throw new Error(`Missing value for ${arg}`);
+        i++;
+
+        switch (arg) {
+            case '--bpm': {
+                const bpm = parseTempo(value);
+                if (bpm === null) throw invalid(arg, value);
+                overrides.bpm = bpm;
+                break;
+            }
+            case '--bars': {
+                // Same limit as exports from the app
+                const setting = /^\d+$/.test(value) ? parseExportSetting(value) : null;
+                if (!setting) throw invalid(arg, value);
+                options.bars = setting.bars;
+                break;
+            }
+            case '--meter':
+                meter = parseMeter(value);
+                if (!meter) throw invalid(arg, value);
+                break;
+            case '--accents':
+                accents = value;
+                break;
+            case '--subdivisions':
+                overrides.subdivisionLayers = parseSubdivisionLayers(value);
+                if (!overrides.subdivisionLayers) throw invalid(arg, value);
+                break;
+            case '--swing':
+                overrides.swing = parseSwing(value);
+                if (overrides.swing === null) throw invalid(arg, value);
+                break;
+            case '--mute': {
+                const setting = parseMuteSetting(value);
+                if (!setting) throw invalid(arg, value);
+                Object.assign(overrides, setting);
+                break;
+            }
+            case '--voice': {
+                const setting = parseVoiceSetting(value);
+                if (!setting || setting.voice === 'sample') throw invalid(arg, value);
+                Object.assign(overrides, setting);
+                break;
+            }
+            case '--polyrhythm':
+                overrides.polyrhythm = parsePolyrhythm(value);
+                if (!overrides.polyrhythm) throw invalid(arg, value);
+                break;
+            case '--trainer':
+                overrides.trainer = parseTrainer(value);
+                if (!overrides.trainer) throw invalid(arg, value);
+                break;
+            case '--sample-rate': {
+                const sampleRate = Number(value);
+                if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 192000) throw invalid(arg, value);
+                options.sampleRate = sampleRate;
+                break;
+            }
+            case '--format':
+                if (value !== 'wav' && value !== 'mid') throw invalid(arg, value);
+                options.format = value;
+                break;
+            case '-o':
+            case '--output':
+                options.output = value;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    overrides.meter = meter;
+    if (accents !== null) {
+        overrides.accentPattern = parseAccentPattern(accents, meter.beats);
+        if (!overrides.accentPattern) throw invalid('--accents', accents);
+    }
+
+    if (!options.format && options.output) {
+        options.format = /\.midi?$/i.test(options.output) ? 'mid' : 'wav';
+    }
+
+    return { settings: createRenderSettings(overrides), ...options };
+}
+
+// Render the file contents for parsed options
+function renderFile({ settings, bars, sampleRate, format }) {
+    const track = buildClickTrack(settings, bars);
+    if (format === 'mid') return encodeMidi(track);
+    return encodeWav(renderClickTrack(track, sampleRate), sampleRate);
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!options.output) {
+        console.error(`Error: no output file given\n\n${USAGE}`);
+        return 1;
+    }
+
+    let bytes;
+    try {
+        bytes = renderFile(options);
+        fs.writeFileSync(options.output, bytes);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+    console.log(`Wrote ${bytes.length} bytes to ${path.resolve(options.output)}`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseArgs,
+    renderFile,
+    main
+};
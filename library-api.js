@@ -0,0 +1,240 @@
+// JSON API for presets and setlists shared by everyone using this server,
+// served by server.js:
+//   GET    /api/presets            all presets          200
+//   POST   /api/presets            { name, settings }   201, 409 if the name is taken
+//   GET    /api/presets/<name>                          200, 404
+//   PUT    /api/presets/<name>     { settings }         200 replaced, 201 created
+//   DELETE /api/presets/<name>                          204, 404
+// and the same for /api/setlists with { songs: [preset names] }. Settings are
+// validated with the app's own parsers, so the server accepts exactly what the
+// app can load.
+const fs = require('fs');
+const path = require('path');
+const { sanitizePresetSettings, parseLibrary, serializeLibrary } = require('./metronome');
+
+const API_PREFIX = '/api/';
+const MAX_BODY = 1024 * 1024;
+const MAX_NAME = 100;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// The library file. Changes run one at a time through a queue, on a copy of
+// the library, and replace the file atomically (write a temporary file, then
+// rename), so concurrent requests never interleave and a failed write changes nothing.
+function createLibraryStore(file) {
+    let library = null;
+    let queue = Promise.resolve();
+
+    async function load() {
+        if (library) return library;
+        let text;
+        try {
+            text = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            library = { presets: [], setlists: [] };
+            return library;
+        }
+        // Never start over on top of a file we can't read; it would be overwritten
+        library = parseLibrary(text);
+        if (!library) throw new Error(`${file} is not a presets file`);
+        return library;
+    }
+
+    async function write(next) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, serializeLibrary(next));
+        await fs.promises.rename(temp, file);
+        library = next;
+    }
+
+    function enqueue(task) {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        // The current library, after any changes already queued
+        read: () => enqueue(load),
+        // Apply `change(copy)`, which returns { library, ...result } to save the
+        // changed copy, or a result without `library` to leave things as they are
+        update: change => enqueue(async () => {
+            const result = change(JSON.parse(JSON.stringify(await load())));
+            if (result.library) await write(result.library);
+            return result;
+        })
+    };
+}
+
+function validName(name) {
+    return typeof name === 'string' && name.trim().length > 0 && name.trim().length <= MAX_NAME;
+}
+
+// The stored entry for a request body, or throws a 400
+function validateEntry(kind, name, body, library) {
+    if (!validName(name)) throw new HttpError(400, `Names must be 1-${MAX_NAME} characters`);
+
+    if (kind === 'presets') {
+        const settings = body && sanitizePresetSettings(body.settings);
+        if (!settings) throw new HttpError(400, 'Invalid preset settings');
+        return { name: name.trim(), settings };
+    }
+
+    const songs = body && body.songs;
+    if (!Array.isArray(songs) || songs.length === 0 || !songs.every(validName)) {
+        throw new HttpError(400, 'songs must be a non-empty list of preset names');
+    }
+    const unknown = songs.filter(song => !library.presets.some(preset => preset.name === song));
+    if (unknown.length > 0) throw new HttpError(400, `Unknown presets: ${unknown.join(', ')}`);
+    return { name: name.trim(), songs };
+}
+
+// Removing a preset also drops it from setlists, and setlists left empty
+function removeEntry(library, kind, name) {
+    library[kind] = library[kind].filter(entry => entry.name !== name);
+    if (kind === 'presets') {
+        library.setlists = library.setlists
+            .map(setlist => ({ ...setlist, songs: setlist.songs.filter(song => song !== name) }))
+            .filter(setlist => setlist.songs.length > 0);
+    }
+    return library;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+            reject(new HttpError(415, 'Expected application/json'));
+            req.resume();
+            return;
+        }
+
+        let chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            if (chunks === null) return;
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                // Read the rest of the upload and throw it away, so the client gets the 413
+                // instead of a reset connection
+                chunks = null;
+                reject(new HttpError(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks === null) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    if (body === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+async function routeRequest(req, res, store) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const match = /^\/api\/(presets|setlists)(?:\/([^/]+))?\/?$/.exec(pathname);
+    if (!match) throw new HttpError(404, 'Not found');
+
+    const kind = match[1];
+    let name = null;
+    if (match[2] !== undefined) {
+        try {
+            // Entries are stored under their trimmed names
+            name = decodeURIComponent(match[2]).trim();
+        } catch (e) {
+            throw new HttpError(400, 'Invalid name');
+        }
+    }
+
+    if (name === null) {
+        if (req.method === 'GET') {
+            sendJson(res, 200, (await store.read())[kind]);
+        } else if (req.method === 'POST') {
+            const body = await readJsonBody(req);
+            const result = await store.update(library => {
+                const entry = validateEntry(kind, body && body.name, body, library);
+                if (library[kind].some(existing => existing.name === entry.name)) {
+                    throw new HttpError(409, `"${entry.name}" already exists`);
+                }
+                library[kind].push(entry);
+                return { library, entry };
+            });
+            res.setHeader('Location', `${API_PREFIX}${kind}/${encodeURIComponent(result.entry.name)}`);
+            sendJson(res, 201, result.entry);
+        } else {
+            res.setHeader('Allow', 'GET, POST');
+            throw new HttpError(405, 'Method not allowed');
+        }
+        return;
+    }
+
+    if (req.method === 'GET') {
+        const entry = (await store.read())[kind].find(existing => existing.name === name);
+        if (!entry) throw new HttpError(404, `No such ${kind === 'presets' ? 'preset' : 'setlist'}`);
+        sendJson(res, 200, entry);
+    } else if (req.method === 'PUT') {
+        const body = await readJsonBody(req);
+        const result = await store.update(library => {
+            const entry = validateEntry(kind, name, body, library);
+            const index = library[kind].findIndex(existing => existing.name === entry.name);
+            if (index === -1) {
+                library[kind].push(entry);
+            } else {
+                library[kind][index] = entry;
+            }
+            return { library, entry, created: index === -1 };
+        });
+        sendJson(res, result.created ? 201 : 200, result.entry);
+    } else if (req.method === 'DELETE') {
+        await store.update(library => {
+            if (!library[kind].some(existing => existing.name === name)) {
+                throw new HttpError(404, `No such ${kind === 'presets' ? 'preset' : 'setlist'}`);
+            }
+            return { library: removeEntry(library, kind, name) };
+        });
+        sendJson(res, 204);
+    } else {
+        res.setHeader('Allow', 'GET, PUT, DELETE');
+        throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+// Answer a request under /api/; errors become JSON { error } responses
+function handleApiRequest(req, res, store) {
+    return routeRequest(req, res, store).catch(error => {
+        if (res.headersSent) return;
+        if (error instanceof HttpError) {
+            sendJson(res, error.status, { error: error.message });
+        } else {
+            console.error('Preset API error:', error);
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    });
+}
+
+module.exports = {
+    API_PREFIX,
+    createLibraryStore,
+    handleApiRequest
+};
@@ -1,16 +1,311 @@
-// Metronome State
-const state = {
-  bpm: 40,
-  isRunning: false,
-  randomMuteProbability: 0,
-  lastTapTime: null,
-  tapCount: 0,
-  intervalId: null,
-  nextNoteTime: 0,
-  scheduleAheadTime: 0.1, // Schedule 100ms ahead
-  lookahead: 10, // Check every 10ms for more responsive timing
+// UI state. The metronome settings live in the engine, see `state` below.
+const ui = {
+  noteQueue: [], // Scheduled beats waiting to be shown, in audio clock order
+  fullscreenFlash: false, // Flash the whole screen on every beat
+  flashUntil: 0, // Audio clock time the lit beat indicator turns off
+  animationFrameId: null,
+  activeSetlist: null, // Name of the setlist being played through
+  setlistIndex: 0, // Song within the active setlist
+  currentPreset: null, // Name of the last loaded preset
+  promptMode: null, // Which setting the setting input is open for, see openSettingPrompt()
+  showDiagnostics: false, // Show the scheduling jitter / late note readout
+  midiAccess: null, // MIDIAccess once the user opened the MIDI clock prompt
+  midiPorts: { output: null, input: null }, // Connected MIDI clock ports: { port, disconnect }
+  sync: null, // Band sync room connection, see joinBand()
+  libraryServer: null, // Whether the preset server was reachable at the last sync, see syncLibrary()
+  wakeLock: null, // Promise of the screen wake lock held while playing, see requestWakeLock()
+  showHistory: false, // Show the practice log summary
+  accuracy: null, // Tap-along trainer while it's on, see createTapAccuracy()
+  mic: null, // Microphone onset detection while it's on, see startMic()
+  micRequest: 0, // Counts startMic() and stopMic() calls, so a start that is still waiting can tell it was overtaken
+  commandHistory: [], // Command lines run, oldest first
+  commandHistoryIndex: 0, // Line shown while stepping through the history with the arrows
+  undoStack: [], // Fields each change replaced, with their previous values, see recordUndo()
+  tapUndo: null, // Undo entry of the current run of taps, which is undone as one change
+  keyBindings: null, // Key (KeyboardEvent.code) per action, null when unbound, see KEY_ACTIONS
+  keyPanel: null, // Key settings while open: { index, capturing, message }, see openKeyPanel()
+  access: { announce: true, vibrate: false, contrast: false }, // Accessibility options, see applyAccessSetting()
+  announced: null, // Status, tempo and muting as last announced, see flushAnnouncement()
+  announceTimer: null,
 };
 
+// Saved presets ({ name, settings }) and setlists ({ name, songs: [preset names] })
+let library = { presets: [], setlists: [] };
+
+// Library changes for the preset server ({ method, kind, name, body }), oldest
+// first, until it has them; see pushLibraryChange()
+let libraryPending = [];
+let libraryUpload = Promise.resolve(); // The upload of pending changes under way
+
+// Practice sessions, oldest first, see recordPracticeSessions()
+let practiceSessions = [];
+
+// Meter presets offered in the meter prompt; any "beats/noteValue" or
+// "2+2+3/8" style grouping is accepted as a custom meter
+const METER_PRESETS = ['2/4', '3/4', '4/4', '5/8', '7/8', '12/8'];
+
+// Accent levels, loudest first. 'silent' keeps the beat in the bar but plays nothing.
+const ACCENT_LEVELS = ['strong', 'medium', 'weak', 'silent'];
+
+// Characters used to type an accent pattern, e.g. "swmw" or "s-w-"
+const ACCENT_CHARS = { s: 'strong', m: 'medium', w: 'weak', '-': 'silent' };
+
+// Click pitch per accent level; beat one gets a higher click. Voices treat
+// 1000 Hz as their natural pitch and scale from there.
+const ACCENT_SOUNDS = {
+  strong: { frequency: 1600 },
+  medium: { frequency: 1200 },
+  weak: { frequency: 1000 },
+};
+
+// Default volume per accent level, adjustable with the voice setting
+const DEFAULT_ACCENT_VOLUMES = { strong: 0.45, medium: 0.35, weak: 0.3 };
+
+// Subdivision layers as offsets within one beat (0 is the beat itself)
+const SUBDIVISIONS = {
+  eighths: [1 / 2],
+  triplets: [1 / 3, 2 / 3],
+  sixteenths: [1 / 4, 2 / 4, 3 / 4],
+  quintuplets: [1 / 5, 2 / 5, 3 / 5, 4 / 5],
+  dotted: [3 / 4], // dotted eighth + sixteenth
+  'reverse-dotted': [1 / 4], // sixteenth + dotted eighth
+};
+
+// Short codes used to type subdivision layers, e.g. "8 3:20"
+const SUBDIVISION_CODES = {
+  '8': 'eighths',
+  '3': 'triplets',
+  '16': 'sixteenths',
+  '5': 'quintuplets',
+  'd': 'dotted',
+  'r': 'reverse-dotted',
+};
+
+// Each layer gets its own timbre so it can be told apart from the others and the beat
+const SUBDIVISION_SOUNDS = {
+  eighths: { voice: 'triangle', frequency: 800 },
+  triplets: { voice: 'sine', frequency: 660 },
+  sixteenths: { voice: 'triangle', frequency: 2400 },
+  quintuplets: { voice: 'sawtooth', frequency: 550 },
+  dotted: { voice: 'sine', frequency: 900 },
+  'reverse-dotted': { voice: 'sine', frequency: 900 },
+};
+
+const DEFAULT_SUBDIVISION_VOLUME = 0.15;
+
+// Grid step that swing acts on; odd steps of the grid are delayed
+const SWING_STEPS = {
+  eighths: 1 / 2,
+  sixteenths: 1 / 4,
+};
+
+const MIN_SWING = 0.5;
+const MAX_SWING = 0.75;
+
+// Tap tempo: how many intervals are averaged, the pause that starts a new
+// sequence, and how far (as a fraction of the median) an interval may stray
+const TAP_HISTORY = 8;
+const TAP_TIMEOUT = 2000; // ms
+const TAP_OUTLIER_TOLERANCE = 0.3;
+
+// Largest seed accepted for replayable muting
+const MAX_MUTE_SEED = 4294967295;
+
+// Default pitch and pan per polyrhythm voice, in voice order
+const POLYRHYTHM_PITCHES = [1320, 880, 660, 440];
+const POLYRHYTHM_MAX_VOICES = 4;
+const POLYRHYTHM_MAX_PULSES = 16;
+
+// Tempo map limits
+const TEMPO_MAP_MAX_SECTIONS = 64;
+const TEMPO_MAP_MAX_BARS = 999; // Per section
+
+// Click track export: MIDI resolution, and General MIDI percussion notes
+// (channel 10) as [accented, unaccented] per voice
+const MIDI_TICKS_PER_QUARTER = 480;
+const MIDI_CLICK_NOTES = {
+  woodblock: [76, 77],
+  cowbell: [56, 56],
+  rimshot: [37, 37],
+  hihat: [46, 42],
+  beep: [34, 33],
+  soft: [34, 33],
+  sample: [34, 33],
+};
+const MIDI_SUBDIVISION_NOTES = {
+  eighths: 42,
+  triplets: 75,
+  sixteenths: 44,
+  quintuplets: 81,
+  dotted: 70,
+  'reverse-dotted': 70,
+};
+const MIDI_POLYRHYTHM_NOTES = [76, 77, 60, 61];
+
+// MIDI clock (real-time messages) for syncing with drum machines and DAWs
+const MIDI_CLOCK = 0xf8;
+const MIDI_START = 0xfa;
+const MIDI_CONTINUE = 0xfb;
+const MIDI_STOP = 0xfc;
+const MIDI_CLOCK_PPQN = 24; // Pulses per quarter note
+const MIDI_CLOCK_SMOOTHING = 24; // Pulse intervals an external tempo is averaged over
+const MIDI_CLOCK_MIN_PULSES = 6; // Intervals needed before following an external tempo
+const MIDI_CLOCK_TIMEOUT = 500; // ms without pulses before an external clock counts as paused
+
+// Exported click tracks: longest track, the sample rate used without an audio
+// context and the most samples per channel a WAV is rendered with (20 minutes at 48 kHz)
+const EXPORT_MAX_BARS = 999;
+const EXPORT_SAMPLE_RATE = 44100;
+const EXPORT_MAX_SAMPLES = 48000 * 60 * 20;
+
+// localStorage key for saved presets and setlists, and the file format version
+const LIBRARY_STORAGE_KEY = 'metronome.library';
+const LIBRARY_PENDING_KEY = 'metronome.library.pending'; // Changes not on the preset server yet
+const LIBRARY_VERSION = 1;
+const LIBRARY_API = '/api'; // Shared presets on the server, see library-api.js
+
+// localStorage key for the practice log, its file format version and how many sessions it keeps
+const PRACTICE_STORAGE_KEY = 'metronome.practice';
+const PRACTICE_VERSION = 1;
+const MAX_PRACTICE_SESSIONS = 1000;
+// Days shown in the practice history
+const HISTORY_DAYS = 7;
+
+// localStorage key for the key bindings and tempo range, and its format version
+const PREFERENCES_STORAGE_KEY = 'metronome.preferences';
+const PREFERENCES_VERSION = 1;
+
+// Keyboard actions in the order the key settings list them, with their default
+// keys (KeyboardEvent.code) and how the hint names them. runningOnly actions
+// do nothing while stopped, so the stopped hint leaves them out.
+const KEY_ACTIONS = [
+  { action: 'startStop', label: 'Start / stop', key: 'Space' },
+  { action: 'tap', label: 'Tap tempo', key: 'KeyT', hint: 'tap tempo' },
+  { action: 'mute', label: 'Random mute', key: 'KeyR', hint: 'random mute', runningOnly: true },
+  { action: 'half', label: 'Half tempo', key: 'KeyH', hint: 'half', runningOnly: true },
+  { action: 'double', label: 'Double tempo', key: 'KeyD', hint: 'double', runningOnly: true },
+  { action: 'meter', label: 'Meter', key: 'KeyM', hint: 'meter' },
+  { action: 'accents', label: 'Accents', key: 'KeyA', hint: 'accents' },
+  { action: 'subdivisions', label: 'Subdivisions', key: 'KeyS', hint: 'subdivide' },
+  { action: 'swing', label: 'Swing', key: 'KeyW', hint: 'swing' },
+  { action: 'trainer', label: 'Speed trainer', key: 'KeyP', hint: 'trainer' },
+  { action: 'tempoMap', label: 'Tempo map', key: 'KeyG', hint: 'tempo map' },
+  { action: 'polyrhythm', label: 'Polyrhythm', key: 'KeyX', hint: 'polyrhythm' },
+  { action: 'voice', label: 'Click voice', key: 'KeyV', hint: 'voice' },
+  { action: 'sample', label: 'Load a sample', key: 'KeyU', hint: 'load sample' },
+  { action: 'export', label: 'Export', key: 'KeyE', hint: 'export' },
+  { action: 'library', label: 'Presets and setlists', key: 'KeyL', hint: 'presets' },
+  { action: 'midi', label: 'MIDI clock', key: 'KeyC', hint: 'MIDI clock' },
+  { action: 'band', label: 'Band sync', key: 'KeyB', hint: 'band' },
+  { action: 'practice', label: 'Practice log', key: 'KeyJ', hint: 'practice log' },
+  { action: 'tapAlong', label: 'Tap-along trainer', key: 'KeyK', hint: 'tap-along' },
+  { action: 'mic', label: 'Microphone', key: 'KeyO', hint: 'mic' },
+  { action: 'flash', label: 'Full-screen flash', key: 'KeyF', hint: 'flash' },
+  { action: 'diagnostics', label: 'Timing diagnostics', key: 'KeyI', hint: 'timing' },
+  { action: 'keys', label: 'Key settings', key: 'Comma', hint: 'keys' },
+  { action: 'access', label: 'Accessibility', key: 'KeyN', hint: 'access' },
+  { action: 'previousSong', label: 'Previous song', key: 'BracketLeft' },
+  { action: 'nextSong', label: 'Next song', key: 'BracketRight' },
+];
+
+// Keys that can't be bound: prompts need Enter and Escape, Shift+digits mute
+// polyrhythm voices, and modifiers don't press on their own
+const RESERVED_KEYS = [
+  'Enter', 'NumpadEnter', 'Escape', 'Tab', 'CapsLock',
+  'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight',
+];
+
+// Short names for keys whose code isn't readable as it is
+const KEY_NAMES = {
+  Space: 'SPACE', BracketLeft: '[', BracketRight: ']', Comma: ',', Period: '.', Semicolon: ';',
+  Quote: "'", Backquote: '`', Slash: '/', Backslash: '\\', Minus: '-', Equal: '=',
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+};
+
+// Fields that make up the muting setting
+const MUTE_FIELDS = ['muteMode', 'randomMuteProbability', 'gapBars', 'muteRamp', 'keepDownbeat', 'muteSeed'];
+
+// Settings a preset captures
+const PRESET_FIELDS = [
+  'bpm', 'meter', 'accentPattern', 'subdivisionLayers', 'swing', 'polyrhythm', 'trainer', 'tempoMap',
+  'muteMode', 'randomMuteProbability', 'gapBars', 'muteRamp', 'keepDownbeat', 'muteSeed',
+  'voice', 'accentVolumes',
+];
+
+// How long the beat indicator stays lit, in seconds of audio clock
+const FLASH_DURATION = 0.1;
+
+// Accessibility options, see parseAccessSetting(). Screen reader announcements
+// wait for a burst of changes (taps, a trainer step) to settle; beat pulses
+// vibrate longer on stronger accents, in ms.
+const ACCESS_OPTIONS = ['announce', 'vibrate', 'contrast'];
+const ANNOUNCE_DELAY_MS = 500;
+const VIBRATION_MS = { strong: 80, medium: 50, weak: 30 };
+
+// Screen reader label of the setting input per prompt, see openSettingPrompt()
+const PROMPT_LABELS = {
+  meter: 'Meter',
+  accent: 'Accent pattern',
+  subdivision: 'Subdivisions',
+  swing: 'Swing percentage',
+  trainer: 'Speed trainer',
+  tempoMap: 'Tempo map',
+  polyrhythm: 'Polyrhythm',
+  voice: 'Click voice',
+  export: 'Export bars and format',
+  library: 'Presets and setlists command',
+  mic: 'Microphone',
+  practice: 'Practice log command',
+  access: 'Accessibility options',
+  band: 'Band sync room',
+  midi: 'MIDI clock ports',
+  command: 'Command',
+};
+
+// Ticks the jitter readout averages over
+const DIAGNOSTICS_WINDOW = 100;
+
+// Tap-along trainer: scheduled beats kept to match taps against, and the
+// histogram range and bin width in ms
+const ACCURACY_BEATS = 32;
+const ACCURACY_RANGE_MS = 100;
+const ACCURACY_BIN_MS = 20;
+
+// Microphone onset detection, see createOnsetDetector(): analysis frame
+// length, frames of history a new onset must rise above, by how much, the
+// quietest onset (RMS), the shortest gap between onsets, and the share of the
+// attack's peak that marks its start
+const ONSET_FRAME_SECONDS = 0.005;
+const ONSET_HISTORY = 4;
+const ONSET_RISE_DB = 9;
+const ONSET_MIN_LEVEL = 0.01;
+const ONSET_MIN_INTERVAL = 0.06;
+const ONSET_PEAK_FRACTION = 0.3;
+// Largest extra latency the mic prompt takes, ms
+const MAX_MIC_LATENCY_MS = 500;
+
+// Command mode: typed lines remembered for the up/down arrows, and changes
+// that can be undone with "u" and the settings they bring back
+const COMMAND_HISTORY_SIZE = 50;
+const UNDO_DEPTH = 50;
+const UNDO_FIELDS = [...PRESET_FIELDS, 'minBpm', 'maxBpm'];
+
+// Band sync over WebSocket, see sync-server.js
+const SYNC_PATH = '/sync';
+const SYNC_PINGS = 8; // Ping exchanges per clock offset estimate
+const SYNC_PING_INTERVAL = 100; // ms between pings
+const SYNC_REFRESH = 10000; // ms between offset estimates and timeline anchors, as clocks drift
+const SYNC_TOLERANCE = 0.005; // Seconds a follower may drift from the leader's beats before re-aligning
+const SYNC_FIELDS = ['meter', 'accentPattern', 'subdivisionLayers', 'swing', 'polyrhythm']; // Shared with the band besides the tempo
+
+// Widest tempo range, for the speed trainer, presets and links. The engine
+// keeps to the user's range within it, see parseTempoRange().
+const MIN_BPM = 1;
+const MAX_BPM = 300;
+// Decimal places a tempo keeps, e.g. 92.5
+const TEMPO_DECIMALS = 2;
+const DEFAULT_TEMPO_RANGE = { minBpm: MIN_BPM, maxBpm: MAX_BPM };
+
 // Audio Context
 let audioContext = null;
 let audioInitialized = false;
@@ -29,8 +324,11 @@ const USER_ACTIVATION_EVENTS = [
   'touchend'
 ]
 
-// Click sound data URL for iOS HTML5 Audio fallback
-const clickDataURL = 'data:audio/wav;base64,UklGRjQBAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQgAAAAAAAAAAAAAAAAAAP//PwAAAAAAAAAAAAAAAAAAAAAAAAAA';
+// Click voices rendered into AudioBuffers, keyed by "voice:frequency"
+const voiceBuffers = new Map();
+
+// Decoded user sample for the 'sample' voice
+let sampleBuffer = null;
 
 function unmuteIosAudio () {
   const AudioContext = window.webkitAudioContext
@@ -143,8 +441,10 @@ function unmuteIosAudio () {
   }
 }
 
-// Initialize unmute early
-unmuteIosAudio();
+// Initialize unmute early (browser only; Node tools load this file for the renderer)
+if (typeof window !== 'undefined') {
+  unmuteIosAudio();
+}
 
 // DOM Elements
 const bpmEl = typeof document !== 'undefined' ? document.getElementById("tempo-display") : null;
@@ -152,6 +452,27 @@ const statusEl = typeof document !== 'undefined' ? document.getElementById("stat
 const muteEl = typeof document !== 'undefined' ? document.getElementById("mute") : null;
 const hintEl = typeof document !== 'undefined' ? document.getElementById("hint") : null;
 const randomInput = typeof document !== 'undefined' ? document.getElementById("random-input") : null;
+const beatEl = typeof document !== 'undefined' ? document.getElementById("beat-display") : null;
+const settingInput = typeof document !== 'undefined' ? document.getElementById("setting-input") : null;
+const grooveEl = typeof document !== 'undefined' ? document.getElementById("groove") : null;
+const trainerEl = typeof document !== 'undefined' ? document.getElementById("trainer") : null;
+const tempoMapEl = typeof document !== 'undefined' ? document.getElementById("tempo-map") : null;
+const sampleInput = typeof document !== 'undefined' ? document.getElementById("sample-input") : null;
+const songEl = typeof document !== 'undefined' ? document.getElementById("song") : null;
+const indicatorEl = typeof document !== 'undefined' ? document.getElementById("beat-indicator") : null;
+const flashEl = typeof document !== 'undefined' ? document.getElementById("flash-overlay") : null;
+const libraryInput = typeof document !== 'undefined' ? document.getElementById("library-input") : null;
+const diagnosticsEl = typeof document !== 'undefined' ? document.getElementById("diagnostics") : null;
+const midiEl = typeof document !== 'undefined' ? document.getElementById("midi") : null;
+const bandEl = typeof document !== 'undefined' ? document.getElementById("band") : null;
+const historyEl = typeof document !== 'undefined' ? document.getElementById("history") : null;
+const accuracyEl = typeof document !== 'undefined' ? document.getElementById("accuracy") : null;
+const accuracyMeterEl = typeof document !== 'undefined' ? document.getElementById("accuracy-meter") : null;
+const commandErrorEl = typeof document !== 'undefined' ? document.getElementById("command-error") : null;
+const keyPanelEl = typeof document !== 'undefined' ? document.getElementById("key-panel") : null;
+const keyListEl = typeof document !== 'undefined' ? document.getElementById("key-list") : null;
+const keyMessageEl = typeof document !== 'undefined' ? document.getElementById("key-message") : null;
+const announcerEl = typeof document !== 'undefined' ? document.getElementById("announcer") : null;
 
 // Detect iOS devices
 function isIOS() {
@@ -262,316 +583,4137 @@ function onIOSAudioReady() {
     };
   }
 
-  // If metronome was supposed to be running but couldn't start due to audio, start it now
-  if (state.isRunning && !state.intervalId) {
-    console.log('Starting metronome that was waiting for iOS audio');
-    startMetronome();
-  }
-
   updateUI();
 }
 
-// Play a single click sound
-function playClick(time) {
-  // Skip if random muting is active
-  if (state.randomMuteProbability > 0 && Math.random() < state.randomMuteProbability) {
-    return;
+// Parse a typed tempo such as "120" or "92.5" within MIN_BPM-MAX_BPM.
+// Returns null for invalid input.
+function parseTempo(text) {
+  const match = /^\s*(\d+(?:\.(\d+))?)\s*$/.exec(String(text));
+  if (!match || (match[2] && match[2].length > TEMPO_DECIMALS)) return null;
+  const bpm = parseFloat(match[1]);
+  return bpm >= MIN_BPM && bpm <= MAX_BPM ? bpm : null;
+}
+
+// Parse a tempo range such as "40-208" into { minBpm, maxBpm }. Returns null
+// for invalid input.
+function parseTempoRange(text) {
+  const parts = String(text).split('-');
+  if (parts.length !== 2) return null;
+  const [minBpm, maxBpm] = parts.map(parseTempo);
+  if (minBpm === null || maxBpm === null || minBpm >= maxBpm) return null;
+  return { minBpm, maxBpm };
+}
+
+// Round to TEMPO_DECIMALS and keep within the settings' minBpm-maxBpm
+function clampTempo(bpm, settings) {
+  const scale = Math.pow(10, TEMPO_DECIMALS);
+  return Math.max(settings.minBpm, Math.min(settings.maxBpm, Math.round(bpm * scale) / scale));
+}
+
+// Tempo for display: whole numbers stay whole, "92.5" keeps its decimals
+function formatTempo(bpm) {
+  return String(Number(bpm.toFixed(TEMPO_DECIMALS)));
+}
+
+// Parse a meter such as "7/8" or "2+2+3/8". Returns null for invalid input.
+function parseMeter(text) {
+  const match = /^\s*(\d+(?:\s*\+\s*\d+)*)\s*\/\s*(\d+)\s*$/.exec(String(text));
+  if (!match) return null;
+
+  const groups = match[1].split('+').map(n => parseInt(n, 10));
+  const noteValue = parseInt(match[2], 10);
+  const beats = groups.reduce((sum, n) => sum + n, 0);
+
+  if (groups.some(n => n < 1) || beats > 32) return null;
+  if (![1, 2, 4, 8, 16, 32].includes(noteValue)) return null;
+
+  if (groups.length === 1) {
+    return { beats, noteValue, groups: defaultGroups(beats, noteValue) };
   }
+  return { beats, noteValue, groups };
+}
 
-  if (isIOS()) {
-    // Use HTML5 Audio for iOS to bypass Web Audio issues
-    try {
-      const audio = new Audio(clickDataURL);
-      audio.volume = 0.3; // Adjust volume
-      audio.play().catch(e => console.error('HTML Audio play failed:', e));
-      console.log('HTML Audio click played on iOS');
-    } catch (error) {
-      console.error('Error creating HTML Audio:', error);
-    }
-  } else {
-    // Use Web Audio for non-iOS devices
-    // Check if audio is ready (initialized and not suspended)
-    if (!audioContext || !audioInitialized) {
-      console.log('Audio not ready - context:', !!audioContext, 'initialized:', audioInitialized);
-      return;
-    }
+// Default beat grouping: compound eighth meters group in threes, odd
+// eighth meters split into twos and a trailing three, everything else is one group
+function defaultGroups(beats, noteValue) {
+  if (noteValue < 8 || beats < 5) return [beats];
+  if (beats % 3 === 0) return new Array(beats / 3).fill(3);
+  if (beats === 5) return [3, 2];
+
+  const groups = new Array(Math.floor((beats - 3) / 2)).fill(2);
+  groups.push(beats - groups.length * 2);
+  return groups;
+}
 
-    // If suspended, try to resume (skip this beat to avoid timing issues)
-    if (audioContext.state === 'suspended') {
-      console.log('Audio context suspended, attempting resume');
-      audioContext.resume().catch(e => console.error('Resume failed in playClick:', e));
-      return; // Skip this click, next will hopefully work
+function formatMeter(meter) {
+  const prefix = meter.groups.length > 1 && !sameGroups(meter.groups, defaultGroups(meter.beats, meter.noteValue))
+    ? meter.groups.join('+')
+    : String(meter.beats);
+  return `${prefix}/${meter.noteValue}`;
+}
+
+function sameGroups(a, b) {
+  return a.length === b.length && a.every((n, i) => n === b[i]);
+}
+
+// Strong downbeat, medium on the start of every other group, weak elsewhere
+function defaultAccentPattern(meter) {
+  const pattern = [];
+  meter.groups.forEach((size, groupIndex) => {
+    for (let i = 0; i < size; i++) {
+      if (i > 0) pattern.push('weak');
+      else pattern.push(groupIndex === 0 ? 'strong' : 'medium');
     }
+  });
+  return pattern;
+}
 
-    try {
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
+// Parse an accent pattern typed as characters (s/m/w/-). Returns null for invalid input.
+function parseAccentPattern(text, beats) {
+  const chars = String(text).trim().toLowerCase().split('');
+  if (chars.length !== beats) return null;
 
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
+  const pattern = chars.map(c => ACCENT_CHARS[c]);
+  return pattern.every(Boolean) ? pattern : null;
+}
 
-      const frequency = 1000;
-      const waveType = 'square';
+function formatAccentPattern(pattern) {
+  return pattern.map(level => Object.keys(ACCENT_CHARS).find(c => ACCENT_CHARS[c] === level)).join('');
+}
 
-      oscillator.frequency.setValueAtTime(frequency, time);
-      oscillator.type = waveType;
+// Apply a new meter, resetting the accent pattern to the meter's default
+function setMeter(meter) {
+  state.meter = meter;
+  state.accentPattern = defaultAccentPattern(meter);
+  if (state.currentBeat >= meter.beats) {
+    state.currentBeat = 0;
+  }
+  updateUI();
+}
 
-      const attackTime = 0.001;
-      const decayTime = 0.05;
-      const gainLevel = 0.3;
+// Offsets of a subdivision layer within the beat, with swing applied.
+// Swing moves every odd grid step towards the following even one, so
+// 0.5 is straight and 2/3 is a triplet shuffle.
+function subdivisionOffsets(type, swing = MIN_SWING) {
+  const offsets = SUBDIVISIONS[type];
+  const step = SWING_STEPS[type];
+  if (!step || swing === MIN_SWING) return offsets.slice();
 
-      gainNode.gain.setValueAtTime(0, time);
-      gainNode.gain.linearRampToValueAtTime(gainLevel, time + attackTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.001, time + decayTime);
+  return offsets.map(offset => {
+    const index = Math.round(offset / step);
+    if (index % 2 === 0) return offset;
+    return (index - 1) * step + swing * 2 * step;
+  });
+}
 
-      oscillator.start(time);
-      oscillator.stop(time + decayTime);
+// Parse subdivision layers typed as "code[:volume%]" separated by spaces,
+// e.g. "8 3:20". An empty string or "0" clears them. Returns null for invalid input.
+function parseSubdivisionLayers(text) {
+  const tokens = String(text).trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0 || (tokens.length === 1 && tokens[0] === '0')) return [];
 
-      console.log('Web Audio click played at time:', time, 'frequency:', frequency);
-    } catch (error) {
-      console.error('Error playing Web Audio:', error);
+  const layers = [];
+  for (const token of tokens) {
+    const [code, volumeText] = token.split(':');
+    const type = SUBDIVISION_CODES[code];
+    if (!type || layers.some(layer => layer.type === type)) return null;
+
+    let volume = DEFAULT_SUBDIVISION_VOLUME;
+    if (volumeText !== undefined) {
+      const percent = parseInt(volumeText, 10);
+      if (isNaN(percent) || percent < 0 || percent > 100) return null;
+      volume = percent / 100;
     }
+    layers.push({ type, volume });
   }
+  return layers;
 }
 
-// Scheduler function
-function scheduler() {
-  while (state.nextNoteTime < audioContext.currentTime + state.scheduleAheadTime) {
-    playClick(state.nextNoteTime);
-    state.nextNoteTime += 60.0 / state.bpm; // Time between beats in seconds
-  }
+function formatSubdivisionLayers(layers) {
+  return layers.map(layer => {
+    const code = Object.keys(SUBDIVISION_CODES).find(c => SUBDIVISION_CODES[c] === layer.type);
+    return `${code}:${Math.round(layer.volume * 100)}`;
+  }).join(' ');
 }
 
-// Main timer loop
-function timerLoop() {
-  if (state.isRunning) {
-    scheduler();
-  }
+// Parse a swing percentage (50-75). Returns null for invalid input.
+function parseSwing(text) {
+  const percent = parseFloat(text);
+  if (isNaN(percent) || percent < MIN_SWING * 100 || percent > MAX_SWING * 100) return null;
+  return percent / 100;
 }
 
-// Start metronome
-function start() {
-  if (state.isRunning) return;
+// All clicks of one beat, in time order: the beat itself plus every subdivision layer
+function buildBeatEvents(beat, time, settings) {
+  const beatDuration = 60.0 / settings.bpm;
+  const accent = settings.accentPattern[beat] || 'weak';
+  const events = [];
 
-  // For iOS, if audio context doesn't exist yet, trigger creation
-  if (isIOS() && !audioContext) {
-    console.log('iOS: Audio context not ready yet, metronome will start after user interaction');
-    // Don't start metronome yet - wait for audio context creation
-    return;
+  if (accent !== 'silent') {
+    const sound = {
+      voice: settings.voice,
+      frequency: ACCENT_SOUNDS[accent].frequency,
+      gainLevel: settings.accentVolumes[accent],
+    };
+    events.push({ time, beat, accent, sound });
   }
 
-  // Try to resume audio context if suspended
-  if (audioContext && audioContext.state === 'suspended') {
-    audioContext.resume().then(() => {
-      audioInitialized = true;
-      console.log('Audio context resumed when starting metronome');
-      startMetronome();
-    }).catch(error => {
-      console.error('Failed to resume audio context:', error);
-      startMetronome(); // Start anyway, audio might work on next interaction
+  settings.subdivisionLayers.forEach(layer => {
+    const sound = { ...SUBDIVISION_SOUNDS[layer.type], gainLevel: layer.volume };
+    subdivisionOffsets(layer.type, settings.swing).forEach(offset => {
+      events.push({ time: time + offset * beatDuration, beat, layer: layer.type, sound });
     });
-  } else {
-    startMetronome();
-  }
+  });
+
+  return events.sort((a, b) => a.time - b.time);
 }
 
-function startMetronome() {
-  state.isRunning = true;
-  if (audioContext) {
-    state.nextNoteTime = audioContext.currentTime + 0.05; // Start in 50ms
+// Parse speed trainer settings typed as "start>target steps interval", e.g.
+// "60>120 5 4b" (+5 BPM every 4 bars) or "80>140 5,5,-3 30s" (+5, +5, -3
+// every 30 seconds). Returns null for invalid input.
+function parseTrainer(text) {
+  const match = /^\s*(\d+)\s*>\s*(\d+)\s+([+-]?\d+(?:\s*,\s*[+-]?\d+)*)\s+(\d+)\s*(b|s)\s*$/i.exec(String(text));
+  if (!match) return null;
+
+  const startBpm = parseInt(match[1], 10);
+  const targetBpm = parseInt(match[2], 10);
+  const steps = match[3].split(',').map(n => parseInt(n, 10));
+  const interval = parseInt(match[4], 10);
+  const unit = match[5].toLowerCase() === 'b' ? 'bars' : 'seconds';
+
+  const inRange = bpm => bpm >= MIN_BPM && bpm <= MAX_BPM;
+  if (!inRange(startBpm) || !inRange(targetBpm) || startBpm === targetBpm) return null;
+  // Step-back cycles are fine as long as every cycle gains ground
+  if (steps.includes(0) || steps.reduce((sum, n) => sum + n, 0) <= 0) return null;
+  if (interval < 1) return null;
+
+  return resetTrainer({ startBpm, targetBpm, steps, interval, unit });
+}
+
+function formatTrainer(trainer) {
+  const steps = trainer.steps.map(n => (n > 0 ? `+${n}` : String(n))).join(',');
+  return `${trainer.startBpm}>${trainer.targetBpm} ${steps} ${trainer.interval}${trainer.unit === 'bars' ? 'b' : 's'}`;
+}
+
+// Rewind the trainer to its first step
+function resetTrainer(trainer) {
+  trainer.stepIndex = 0;
+  trainer.barsSinceChange = 0;
+  trainer.lastChangeTime = null;
+  trainer.done = false;
+  return trainer;
+}
+
+// Called on every bar boundary while the trainer is active. Returns the tempo
+// for the bar starting at barTime (audio clock), advancing the trainer's
+// counters, so tempo changes always land on a downbeat.
+function advanceTrainer(trainer, bpm, barTime) {
+  if (trainer.done) return bpm;
+
+  if (trainer.lastChangeTime === null) {
+    trainer.lastChangeTime = barTime;
+    return bpm;
   }
 
-  // Start the timer loop
-  state.intervalId = setInterval(timerLoop, state.lookahead);
+  trainer.barsSinceChange++;
+  const due = trainer.unit === 'bars'
+    ? trainer.barsSinceChange >= trainer.interval
+    : barTime - trainer.lastChangeTime >= trainer.interval - 1e-6;
+  if (!due) return bpm;
 
-  updateUI();
+  // Steps are written for the direction of the ramp, so 120>60 with +5 slows down
+  const direction = trainer.targetBpm > trainer.startBpm ? 1 : -1;
+  let nextBpm = bpm + trainer.steps[trainer.stepIndex] * direction;
+
+  trainer.stepIndex = (trainer.stepIndex + 1) % trainer.steps.length;
+  trainer.barsSinceChange = 0;
+  trainer.lastChangeTime = barTime;
+
+  if ((nextBpm - trainer.targetBpm) * direction >= 0) {
+    nextBpm = trainer.targetBpm;
+    trainer.done = true;
+  }
+  return nextBpm;
 }
 
-// Stop metronome
-function stop() {
-  state.isRunning = false;
+// Parse a tempo map typed as sections separated by commas, each
+// "[name] <bars>b <tempo>[><end tempo>] [meter]", e.g.
+// "intro 8b 90 4/4, bridge 8b 72 6/8, outro 4b 90>60". An end tempo ramps
+// the section towards it (accelerando or ritardando); a section without a
+// meter keeps the one before it. Returns null for invalid input.
+function parseTempoMap(text) {
+  const parts = String(text).split(',');
+  if (parts.length > TEMPO_MAP_MAX_SECTIONS) return null;
+
+  const sections = [];
+  for (const part of parts) {
+    const match = /^\s*(?:([a-z][\w'-]*)\s+)?(\d+)\s*b\s+([\d.]+)(?:\s*>\s*([\d.]+))?(?:\s+(\S.*?))?\s*$/i.exec(part);
+    if (!match) return null;
+
+    const bars = parseInt(match[2], 10);
+    const bpm = parseTempo(match[3]);
+    const endBpm = match[4] === undefined ? bpm : parseTempo(match[4]);
+    const meter = match[5] === undefined ? null : parseMeter(match[5]);
+    if (bars < 1 || bars > TEMPO_MAP_MAX_BARS || bpm === null || endBpm === null) return null;
+    if (match[5] !== undefined && !meter) return null;
 
-  if (state.intervalId) {
-    clearInterval(state.intervalId);
-    state.intervalId = null;
+    sections.push({ name: match[1] || null, bars, bpm, endBpm, meter });
   }
+  return resetTempoMap({ sections });
+}
 
-  updateUI();
+function formatTempoMap(map) {
+  return map.sections.map(section => {
+    const tempo = section.endBpm === section.bpm
+      ? formatTempo(section.bpm)
+      : `${formatTempo(section.bpm)}>${formatTempo(section.endBpm)}`;
+    return [section.name, `${section.bars}b`, tempo, section.meter && formatMeter(section.meter)]
+      .filter(Boolean)
+      .join(' ');
+  }).join(', ');
 }
 
-// Handle tap tempo
-function handleTapTempo() {
-  if (!state.isRunning) return;
+// Rewind the tempo map to before its first section; the engine enters it on
+// the next downbeat
+function resetTempoMap(map) {
+  map.sectionIndex = 0;
+  map.sectionStart = null; // Clock time of the current section's downbeat
+  map.beat = 0; // Beats since that downbeat
+  map.beats = 0; // Beats in the current section
+  map.tempos = null; // Its { bpm, endBpm }, kept to the tempo range
+  map.done = false;
+  return map;
+}
 
-  const now = audioContext.currentTime;
-  state.tapCount++;
+// Tempo at beat `beat` of a section `beats` long. Ramps change linearly per
+// beat and reach the end tempo on the next section's downbeat; positions
+// outside the section are held to its start and end.
+function sectionTempo(section, beat, beats) {
+  const position = Math.max(0, Math.min(beat, beats));
+  return section.bpm + (section.endBpm - section.bpm) * position / beats;
+}
+
+// Seconds from a section's downbeat to beat `beat`: the integral of the beat
+// length over the ramp, so every beat is placed exactly rather than by adding
+// up rounded beat lengths
+function sectionBeatTime(section, beat, beats) {
+  const position = Math.max(0, Math.min(beat, beats));
+  if (section.endBpm === section.bpm) return position * 60 / section.bpm;
+  const slope = (section.endBpm - section.bpm) / beats;
+  return 60 / slope * Math.log(sectionTempo(section, position, beats) / section.bpm);
+}
 
-  if (state.tapCount === 1) {
-    state.lastTapTime = now;
-  } else if (state.tapCount === 2) {
-    const interval = now - state.lastTapTime;
-    const newBpm = 60 / interval;
+// Parse a polyrhythm typed as voices separated by ':', e.g. "3:2" or
+// "3/1320/-50:2/440/50". Each voice is pulses[/pitch Hz[/pan -100..100]].
+// Returns null for invalid input.
+function parsePolyrhythm(text) {
+  const tokens = String(text).trim().split(':');
+  if (tokens.length < 2 || tokens.length > POLYRHYTHM_MAX_VOICES) return null;
 
-    // Clamp BPM between 30-300
-    state.bpm = Math.max(30, Math.min(300, Math.round(newBpm)));
+  const voices = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const match = /^\s*(\d+)(?:\/(\d+)(?:\/([+-]?\d+))?)?\s*$/.exec(tokens[i]);
+    if (!match) return null;
 
-    updateUI();
-    state.tapCount = 0;
+    const pulses = parseInt(match[1], 10);
+    const frequency = match[2] !== undefined ? parseInt(match[2], 10) : POLYRHYTHM_PITCHES[i];
+    // Spread voices across the stereo field unless a pan is given
+    const pan = match[3] !== undefined
+      ? parseInt(match[3], 10) / 100
+      : Math.round((i / (tokens.length - 1) * 2 - 1) * 60) / 100;
+
+    if (pulses < 1 || pulses > POLYRHYTHM_MAX_PULSES) return null;
+    if (frequency < 20 || frequency > 20000 || pan < -1 || pan > 1) return null;
+    voices.push({ pulses, frequency, pan, muted: false });
   }
+  return { voices };
 }
 
-// Handle random muting input
-function handleRandomMuting() {
-  // Show input field with current value
-  randomInput.style.display = 'block';
-  randomInput.value = Math.round(state.randomMuteProbability * 100);
-  randomInput.focus();
-  randomInput.select();
+function formatPolyrhythm(polyrhythm) {
+  return polyrhythm.voices
+    .map(voice => `${voice.pulses}/${voice.frequency}/${Math.round(voice.pan * 100)}`)
+    .join(':');
 }
 
-// Apply random muting when input is confirmed
-function applyRandomMuting() {
-  const percent = parseInt(randomInput.value, 10);
-  if (!isNaN(percent) && percent >= 0 && percent <= 100) {
-    state.randomMuteProbability = percent / 100;
-  }
-  randomInput.style.display = 'none';
-  updateUI();
+// The last voice follows the tempo, so at 60 BPM a 3:2 cycle lasts two seconds
+function polyrhythmCycleDuration(polyrhythm, bpm) {
+  const baseVoice = polyrhythm.voices[polyrhythm.voices.length - 1];
+  return baseVoice.pulses * 60.0 / bpm;
 }
 
-// Update UI
-function updateUI() {
-  if (bpmEl) bpmEl.textContent = `BPM: ${Math.round(state.bpm)}`;
-  if (statusEl) {
-    if (state.isRunning) {
-      if (audioInitialized && audioContext && audioContext.state === 'running') {
-        statusEl.textContent = "RUNNING";
-        statusEl.classList.remove('audio-disabled');
-      } else {
-        statusEl.textContent = "RUNNING (NO AUDIO - TAP TO ENABLE)";
-        statusEl.classList.add('audio-disabled');
-      }
-    } else {
-      statusEl.textContent = "STOPPED";
-      statusEl.classList.remove('audio-disabled');
+// All clicks of one polyrhythm cycle, in time order. Each voice accents its own first pulse.
+function buildPolyrhythmEvents(time, polyrhythm, bpm) {
+  const cycleDuration = polyrhythmCycleDuration(polyrhythm, bpm);
+  const events = [];
+
+  polyrhythm.voices.forEach((voice, index) => {
+    if (voice.muted) return;
+    for (let pulse = 0; pulse < voice.pulses; pulse++) {
+      events.push({
+        time: time + pulse * cycleDuration / voice.pulses,
+        voice: index,
+        sound: {
+          voice: 'beep',
+          frequency: voice.frequency,
+          gainLevel: pulse === 0 ? DEFAULT_ACCENT_VOLUMES.strong : DEFAULT_ACCENT_VOLUMES.weak,
+          pan: voice.pan,
+        },
+      });
     }
+  });
+
+  return events.sort((a, b) => a.time - b.time || a.voice - b.voice);
+}
+
+// Seedable PRNG (mulberry32) so a muting pattern can be replayed exactly
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Parse a muting setting. The first token picks the mode, flags follow:
+//   35        random: mute 35% of beats
+//   g4/2      gap click: play 4 bars, mute 2 bars
+//   10>60/5   ramp: random muting from 10% to 60% over 5 minutes
+//   d         never mute the downbeat
+//   #42       seed, so the same pattern plays every time
+// Returns the state fields to apply, or null for invalid input.
+function parseMuteSetting(text) {
+  const tokens = String(text).trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+
+  const setting = { keepDownbeat: false, muteSeed: null };
+  let match;
+
+  if ((match = /^(\d+)%?$/.exec(tokens[0]))) {
+    const percent = parseInt(match[1], 10);
+    if (percent > 100) return null;
+    setting.muteMode = 'random';
+    setting.randomMuteProbability = percent / 100;
+  } else if ((match = /^g(\d+)\/(\d+)$/.exec(tokens[0]))) {
+    const play = parseInt(match[1], 10);
+    const mute = parseInt(match[2], 10);
+    if (play < 1 || mute < 1) return null;
+    setting.muteMode = 'gap';
+    setting.gapBars = { play, mute };
+  } else if ((match = /^(\d+)>(\d+)\/(\d+(?:\.\d+)?)$/.exec(tokens[0]))) {
+    const from = parseInt(match[1], 10);
+    const to = parseInt(match[2], 10);
+    const minutes = parseFloat(match[3]);
+    if (from > 100 || to > 100 || minutes <= 0) return null;
+    setting.muteMode = 'ramp';
+    setting.muteRamp = { from: from / 100, to: to / 100, minutes };
+  } else {
+    return null;
   }
 
-  // Update mute display - only show when active
-  if (muteEl) {
-    const mutePercent = Math.round(state.randomMuteProbability * 100);
-    if (mutePercent > 0) {
-      muteEl.textContent = `Random mute: ${mutePercent}%`;
-      muteEl.classList.add('active');
-      muteEl.style.display = 'block';
+  for (const flag of tokens.slice(1)) {
+    if (flag === 'd') {
+      setting.keepDownbeat = true;
+    } else if ((match = /^#(\d+)$/.exec(flag)) && parseInt(match[1], 10) <= MAX_MUTE_SEED) {
+      setting.muteSeed = parseInt(match[1], 10);
     } else {
-      muteEl.classList.remove('active');
-      muteEl.style.display = 'none';
+      return null;
     }
   }
+  return setting;
+}
 
-  // Update hint based on state and audio status
-  if (hintEl) {
-    if (isIOS() && (!audioContext || !audioInitialized)) {
-      hintEl.textContent = "TAP START TO ENABLE AUDIO ON iOS";
-    } else if (!audioInitialized || (audioContext && audioContext.state === 'suspended')) {
-      hintEl.textContent = "TAP ANYWHERE TO ENABLE AUDIO";
-    } else if (state.isRunning) {
-      hintEl.textContent = "Use buttons below or: T=tap tempo | R=random mute | H=half | D=double | SPACE=stop";
-    } else {
-      hintEl.textContent = "Use START button below or press SPACE";
-    }
+function formatMuteSetting(settings) {
+  let text;
+  if (settings.muteMode === 'gap') {
+    text = `g${settings.gapBars.play}/${settings.gapBars.mute}`;
+  } else if (settings.muteMode === 'ramp') {
+    const ramp = settings.muteRamp;
+    text = `${Math.round(ramp.from * 100)}>${Math.round(ramp.to * 100)}/${ramp.minutes}`;
+  } else {
+    text = String(Math.round(settings.randomMuteProbability * 100));
   }
+  if (settings.keepDownbeat) text += ' d';
+  if (settings.muteSeed !== null) text += ` #${settings.muteSeed}`;
+  return text;
+}
 
-  // Update mobile buttons
-  updateMobileButtons();
+function isMutingActive(settings) {
+  if (settings.muteMode === 'random') return settings.randomMuteProbability > 0;
+  if (settings.muteMode === 'ramp') return settings.muteRamp.from > 0 || settings.muteRamp.to > 0;
+  return true;
 }
 
-// Keyboard event handler
-document.addEventListener("keydown", (e) => {
-  // Resume audio context on iOS for any key press
-  if (isIOS() && audioContext) {
-    audioContext.resume().catch(e => console.error('Resume failed on keydown:', e));
+// Muting probability after `elapsed` seconds of playing
+function currentMuteProbability(settings, elapsed) {
+  if (settings.muteMode === 'ramp') {
+    const ramp = settings.muteRamp;
+    const progress = Math.min(1, Math.max(0, elapsed / (ramp.minutes * 60)));
+    return ramp.from + (ramp.to - ramp.from) * progress;
   }
+  return settings.muteMode === 'random' ? settings.randomMuteProbability : 0;
+}
 
-  // Handle random input field first
-  if (randomInput.style.display !== 'none') {
-    if (e.code === 'Enter') {
-      applyRandomMuting();
-      e.preventDefault();
-      return;
-    }
-    if (e.code === 'Escape') {
-      randomInput.style.display = 'none';
-      e.preventDefault();
-      return;
-    }
-    // Allow normal input handling for the input field
-    return;
-  }
+// Decide whether a beat is muted. `position` is { beat, bar, elapsed }, and
+// `random` is the run's random source so seeded runs replay exactly.
+function isBeatMuted(settings, position, random) {
+  if (settings.keepDownbeat && position.beat === 0) return false;
 
-  // Prevent default for our keys
-  if (['Space', 'KeyT', 'KeyH', 'KeyD'].includes(e.code) || e.code.startsWith('KeyR')) {
-    e.preventDefault();
+  if (settings.muteMode === 'gap') {
+    const cycle = settings.gapBars.play + settings.gapBars.mute;
+    return position.bar % cycle >= settings.gapBars.play;
   }
 
-  switch (e.code) {
-    case 'Space':
-      if (isIOS() && !audioContext) {
-        // On iOS, space key before audio is enabled should create audio context
-        initAudio();
-        console.log('iOS: Audio initialization triggered by space key');
-        return;
-      }
+  const probability = currentMuteProbability(settings, position.elapsed);
+  return probability > 0 && random() < probability;
+}
 
-      if (state.isRunning) {
-        stop();
-      } else {
-        start();
-      }
-      break;
+// Envelope shared by the synthesized voices: linear attack, then an
+// exponential decay that reaches 0.001 after `decay` seconds
+function voiceEnvelope(t, attack, decay) {
+  if (t < attack) return t / attack;
+  return Math.pow(0.001, (t - attack) / decay);
+}
 
-    case 'KeyT':
-      if (state.isRunning) {
-        handleTapTempo();
-      }
-      break;
+function squareWave(phase) {
+  return Math.sin(phase) >= 0 ? 1 : -1;
+}
 
-    case 'KeyH':
-      if (state.isRunning) {
-        state.bpm = Math.max(1, Math.round(state.bpm / 2));
-        updateUI();
-      }
-      break;
+// Built-in voices. Each renders mono PCM for a click at `frequency`, where
+// 1000 Hz is the voice's natural pitch. Noise is seeded so renders are identical
+// every time. The last four are plain tones used by subdivision layers.
+const VOICES = {
+  woodblock: {
+    duration: 0.08,
+    sample: (t, f) => (Math.sin(2 * Math.PI * 0.9 * f * t) + 0.5 * Math.sin(2 * Math.PI * 2.4 * f * t)) / 1.5 *
+      voiceEnvelope(t, 0.0005, 0.06),
+  },
+  cowbell: {
+    duration: 0.3,
+    sample: (t, f) => 0.5 * (squareWave(2 * Math.PI * 0.54 * f * t) + squareWave(2 * Math.PI * 0.8 * f * t)) *
+      voiceEnvelope(t, 0.001, 0.3),
+  },
+  rimshot: {
+    duration: 0.06,
+    sample: (t, f, noise) => (0.6 * noise() + 0.4 * Math.sin(2 * Math.PI * 1.7 * f * t)) * voiceEnvelope(t, 0.0005, 0.04),
+  },
+  hihat: {
+    duration: 0.05,
+    highpass: true,
+    sample: (t, f, noise) => 0.5 * noise() * voiceEnvelope(t, 0.0005, 0.05),
+  },
+  beep: {
+    duration: 0.05,
+    sample: (t, f) => squareWave(2 * Math.PI * f * t) * voiceEnvelope(t, 0.001, 0.05),
+  },
+  soft: {
+    duration: 0.15,
+    sample: (t, f) => 0.6 * Math.sin(2 * Math.PI * 0.5 * f * t) * voiceEnvelope(t, 0.005, 0.15),
+  },
+  square: {
+    duration: 0.05,
+    sample: (t, f) => squareWave(2 * Math.PI * f * t) * voiceEnvelope(t, 0.001, 0.05),
+  },
+  sine: {
+    duration: 0.05,
+    sample: (t, f) => Math.sin(2 * Math.PI * f * t) * voiceEnvelope(t, 0.001, 0.05),
+  },
+  triangle: {
+    duration: 0.05,
+    sample: (t, f) => (2 / Math.PI) * Math.asin(Math.sin(2 * Math.PI * f * t)) * voiceEnvelope(t, 0.001, 0.05),
+  },
+  sawtooth: {
+    duration: 0.05,
+    sample: (t, f) => 2 * (f * t - Math.floor(f * t + 0.5)) * voiceEnvelope(t, 0.001, 0.05),
+  },
+};
 
-    case 'KeyD':
-      if (state.isRunning) {
-        state.bpm = Math.min(300, Math.round(state.bpm * 2));
-        updateUI();
-      }
-      break;
+// Voices offered for the main click
+const CLICK_VOICES = ['woodblock', 'cowbell', 'rimshot', 'hihat', 'beep', 'soft'];
 
-    default:
-      if (e.code.startsWith('KeyR') && state.isRunning) {
-        handleRandomMuting();
-      }
-      break;
+// Render one click of a built-in voice as mono PCM samples
+function renderVoice(name, frequency, sampleRate) {
+  const voice = VOICES[name];
+  const length = Math.ceil(voice.duration * sampleRate);
+  const random = createRandom(1);
+  const noise = () => random() * 2 - 1;
+  const data = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    data[i] = voice.sample(i / sampleRate, frequency, noise);
   }
-});
 
-// Handle input field blur (clicking outside)
-if (typeof randomInput !== 'undefined' && randomInput) {
-  randomInput.addEventListener('blur', () => {
-    applyRandomMuting();
-  });
+  // First difference keeps only the top end of the noise
+  if (voice.highpass) {
+    for (let i = length - 1; i > 0; i--) {
+      data[i] -= data[i - 1];
+    }
+  }
+  return data;
 }
 
-// Mobile Touch Controls
-const startStopBtn = typeof document !== 'undefined' ? document.getElementById('start-stop-btn') : null;
-const halfBtn = typeof document !== 'undefined' ? document.getElementById('half-btn') : null;
+// Parse a voice setting: a voice name, optionally followed by strong/medium/weak
+// volumes in percent, e.g. "woodblock" or "cowbell 80/50/30".
+// Returns null for invalid input.
+function parseVoiceSetting(text) {
+  const tokens = String(text).trim().toLowerCase().split(/\s+/);
+  const voice = tokens[0];
+  if (!CLICK_VOICES.includes(voice) && voice !== 'sample') return null;
+  if (tokens.length > 2) return null;
+  if (tokens.length === 1) return { voice };
+
+  const volumes = tokens[1].split('/').map(n => (/^\d+$/.test(n) ? parseInt(n, 10) : NaN));
+  if (volumes.length !== 3 || volumes.some(n => isNaN(n) || n > 100)) return null;
+
+  const [strong, medium, weak] = volumes.map(n => n / 100);
+  return { voice, accentVolumes: { strong, medium, weak } };
+}
+
+function formatVoiceSetting(settings) {
+  const volumes = ['strong', 'medium', 'weak'].map(level => Math.round(settings.accentVolumes[level] * 100));
+  return `${settings.voice} ${volumes.join('/')}`;
+}
+
+// AudioBuffer for a click. The user sample plays as recorded; built-in voices
+// are rendered once per pitch at the context's sample rate.
+function getVoiceBuffer(voice, frequency) {
+  if (voice === 'sample') return sampleBuffer;
+
+  const key = `${voice}:${frequency}`;
+  if (!voiceBuffers.has(key)) {
+    const data = renderVoice(voice, frequency, audioContext.sampleRate);
+    const buffer = audioContext.createBuffer(1, data.length, audioContext.sampleRate);
+    buffer.getChannelData(0).set(data);
+    voiceBuffers.set(key, buffer);
+  }
+  return voiceBuffers.get(key);
+}
+
+// Decode a user-supplied audio file into the 'sample' voice and switch to it
+function loadSampleFile(file) {
+  if (!audioContext || !file) return Promise.resolve();
+
+  return file.arrayBuffer()
+    .then(data => audioContext.decodeAudioData(data))
+    .then(buffer => {
+      sampleBuffer = buffer;
+      state.voice = 'sample';
+      updateUI();
+    })
+    .catch(error => console.error('Failed to decode sample:', error));
+}
+
+// Play a single click sound. Every platform uses the same Web Audio voices;
+// on iOS the context is unlocked by unmuteIosAudio() and setupIOSAudioCreation().
+function playClick(time, sound) {
+  // Check if audio is ready (initialized and not suspended)
+  if (!audioContext || !audioInitialized) {
+    console.log('Audio not ready - context:', !!audioContext, 'initialized:', audioInitialized);
+    return;
+  }
+
+  // If suspended, try to resume (skip this beat to avoid timing issues)
+  if (audioContext.state === 'suspended') {
+    console.log('Audio context suspended, attempting resume');
+    audioContext.resume().catch(e => console.error('Resume failed in playClick:', e));
+    return; // Skip this click, next will hopefully work
+  }
+
+  const buffer = getVoiceBuffer(sound.voice, sound.frequency);
+  if (!buffer) return;
+
+  try {
+    const source = audioContext.createBufferSource();
+    const gainNode = audioContext.createGain();
+
+    source.buffer = buffer;
+    source.connect(gainNode);
+    gainNode.gain.setValueAtTime(sound.gainLevel, time);
+
+    // Polyrhythm voices are panned; everything else goes straight out
+    if (sound.pan && audioContext.createStereoPanner) {
+      const panner = audioContext.createStereoPanner();
+      panner.pan.setValueAtTime(sound.pan, time);
+      gainNode.connect(panner);
+      panner.connect(audioContext.destination);
+    } else {
+      gainNode.connect(audioContext.destination);
+    }
+
+    source.start(time);
+
+    console.log('Web Audio click played at time:', time, 'voice:', sound.voice);
+  } catch (error) {
+    console.error('Error playing Web Audio:', error);
+  }
+}
+
+// Lookahead timer on the main thread. Browsers throttle it in background tabs
+// and during heavy rendering, so the page prefers createWorkerTimer().
+function createIntervalTimer() {
+  return {
+    kind: 'interval',
+    start: (callback, ms) => setInterval(callback, ms),
+    stop: id => clearInterval(id),
+  };
+}
+
+// Lookahead timer running in a Web Worker (see timer-worker.js). Falls back
+// to createIntervalTimer() when Workers are unavailable, and switches to it
+// if the worker script fails to load.
+function createWorkerTimer(url) {
+  if (typeof Worker === 'undefined') return createIntervalTimer();
+
+  let worker;
+  try {
+    worker = new Worker(url);
+  } catch (error) {
+    console.error('Timer worker unavailable, using setInterval:', error);
+    return createIntervalTimer();
+  }
+
+  let callback = null;
+  let interval = 0;
+  let fallbackId = null;
+
+  const timer = {
+    kind: 'worker',
+    start(tick, ms) {
+      callback = tick;
+      interval = ms;
+      if (timer.kind === 'worker') {
+        worker.postMessage({ command: 'start', interval: ms });
+      } else {
+        fallbackId = setInterval(tick, ms);
+      }
+      return worker;
+    },
+    stop() {
+      callback = null;
+      if (timer.kind === 'worker') {
+        worker.postMessage({ command: 'stop' });
+      } else {
+        clearInterval(fallbackId);
+        fallbackId = null;
+      }
+    },
+  };
+
+  worker.onmessage = () => {
+    if (callback) callback();
+  };
+  worker.onerror = error => {
+    console.error('Timer worker failed, using setInterval:', error.message);
+    timer.kind = 'interval';
+    if (callback) fallbackId = setInterval(callback, interval);
+  };
+  return timer;
+}
+
+// Scheduling diagnostics for one run, on the engine's clock. Jitter is how far
+// the gap between ticks strays from the lookahead interval; a late note is a
+// click handed to the backend after its time, so it sounds late or bunched up.
+function createDiagnostics() {
+  return { lastTick: null, jitter: [], lateNotes: 0, maxLateness: 0 };
+}
+
+// Record a tick at `now` (seconds) of a timer meant to fire every `interval` ms
+function recordTick(diagnostics, now, interval) {
+  if (diagnostics.lastTick !== null) {
+    diagnostics.jitter.push(Math.abs((now - diagnostics.lastTick) * 1000 - interval));
+    if (diagnostics.jitter.length > DIAGNOSTICS_WINDOW) diagnostics.jitter.shift();
+  }
+  diagnostics.lastTick = now;
+}
+
+// Record a click scheduled for `time` being handed over at `now`
+function recordClick(diagnostics, time, now) {
+  if (time < now) {
+    diagnostics.lateNotes++;
+    diagnostics.maxLateness = Math.max(diagnostics.maxLateness, (now - time) * 1000);
+  }
+}
+
+// Readout figures in ms: mean and max jitter over the recent ticks, late notes since start
+function summarizeDiagnostics(diagnostics) {
+  const { jitter } = diagnostics;
+  return {
+    meanJitter: jitter.length ? jitter.reduce((sum, value) => sum + value, 0) / jitter.length : 0,
+    maxJitter: jitter.length ? Math.max(...jitter) : 0,
+    lateNotes: diagnostics.lateNotes,
+    maxLateness: diagnostics.maxLateness,
+  };
+}
+
+// Tap-along accuracy trainer: recent scheduled beats { time, muted, tapped }
+// on the audio clock, and the scored taps { offset (ms, negative is early), muted }
+function createTapAccuracy() {
+  return { beats: [], taps: [] };
+}
+
+function recordAccuracyBeat(accuracy, { time, muted }) {
+  accuracy.beats.push({ time, muted, tapped: false });
+  if (accuracy.beats.length > ACCURACY_BEATS) accuracy.beats.shift();
+}
+
+// Score a tap at clock time `time` against the nearest beat, muted or not.
+// Taps more than half a beat (`beatLength` seconds) away from any beat, or on
+// a beat already tapped, don't count. Returns the scored tap or null.
+function recordAccuracyTap(accuracy, time, beatLength) {
+  let nearest = null;
+  accuracy.beats.forEach(beat => {
+    if (!nearest || Math.abs(beat.time - time) < Math.abs(nearest.time - time)) nearest = beat;
+  });
+  if (!nearest || nearest.tapped || Math.abs(time - nearest.time) > beatLength / 2) return null;
+
+  nearest.tapped = true;
+  const tap = { offset: (time - nearest.time) * 1000, muted: nearest.muted };
+  accuracy.taps.push(tap);
+  return tap;
+}
+
+// Mean and standard deviation of tap offsets (ms), and a histogram in
+// ACCURACY_BIN_MS bins from -ACCURACY_RANGE_MS to +ACCURACY_RANGE_MS; taps
+// further out count in the outermost bins. Histogram bins are { from, count }.
+function summarizeAccuracy(taps) {
+  const count = taps.length;
+  const mean = count > 0 ? taps.reduce((sum, tap) => sum + tap.offset, 0) / count : 0;
+  const variance = count > 0 ? taps.reduce((sum, tap) => sum + (tap.offset - mean) ** 2, 0) / count : 0;
+
+  const bins = (2 * ACCURACY_RANGE_MS) / ACCURACY_BIN_MS;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: -ACCURACY_RANGE_MS + i * ACCURACY_BIN_MS, count: 0 }));
+  taps.forEach(tap => {
+    const index = Math.floor((tap.offset + ACCURACY_RANGE_MS) / ACCURACY_BIN_MS);
+    histogram[Math.max(0, Math.min(bins - 1, index))].count++;
+  });
+
+  return { count, mean, sd: Math.sqrt(variance), histogram };
+}
+
+// Streaming onset detector for microphone input. Feed it mono PCM with
+// process(samples, time), `time` being the clock time of samples[0]; chunks
+// are taken as contiguous. Returns the onset times found in each chunk.
+// A frame is an onset when its level is at least `riseDb` above the frames
+// just before it and above `minLevel`; the time is then narrowed down to the
+// first sample that reaches ONSET_PEAK_FRACTION of the attack's peak.
+function createOnsetDetector(sampleRate, {
+  riseDb = ONSET_RISE_DB,
+  minLevel = ONSET_MIN_LEVEL,
+  minInterval = ONSET_MIN_INTERVAL,
+} = {}) {
+  const frameSize = Math.max(32, Math.round(sampleRate * ONSET_FRAME_SECONDS));
+  const frame = new Float32Array(frameSize);
+  const previous = new Float32Array(frameSize);
+  const energies = []; // Mean square of the last ONSET_HISTORY frames
+  let filled = 0;
+  let frameTime = 0;
+  let hasPrevious = false;
+  let rising = false;
+  let lastOnset = -Infinity;
+
+  // Analyze the full frame; returns an onset time or null
+  const analyze = () => {
+    let energy = 0;
+    for (let i = 0; i < frameSize; i++) energy += frame[i] * frame[i];
+    energy /= frameSize;
+    const background = energies.length > 0 ? energies.reduce((sum, e) => sum + e, 0) / energies.length : 0;
+    const rise = 10 * Math.log10((energy + 1e-12) / (background + 1e-12));
+    const isOnset = Math.sqrt(energy) >= minLevel && rise >= riseDb;
+
+    let onset = null;
+    if (isOnset && !rising) {
+      // The attack starts in this frame or the one before
+      const start = hasPrevious ? frameTime - frameSize / sampleRate : frameTime;
+      const samples = hasPrevious ? [...previous, ...frame] : [...frame];
+      const peak = samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+      const index = samples.findIndex(sample => Math.abs(sample) >= peak * ONSET_PEAK_FRACTION);
+      const time = start + index / sampleRate;
+      if (time - lastOnset >= minInterval) {
+        onset = time;
+        lastOnset = time;
+      }
+    }
+    rising = isOnset;
+
+    energies.push(energy);
+    if (energies.length > ONSET_HISTORY) energies.shift();
+    previous.set(frame);
+    hasPrevious = true;
+    return onset;
+  };
+
+  return {
+    frameSize,
+    process(samples, time) {
+      const onsets = [];
+      for (let i = 0; i < samples.length; i++) {
+        if (filled === 0) frameTime = time + i / sampleRate;
+        frame[filled++] = samples[i];
+        if (filled === frameSize) {
+          const onset = analyze();
+          if (onset !== null) onsets.push(onset);
+          filled = 0;
+        }
+      }
+      return onsets;
+    },
+  };
+}
+
+// Onset times (s from the start) in a whole PCM buffer, see createOnsetDetector()
+function detectOnsets(samples, sampleRate, options) {
+  return createOnsetDetector(sampleRate, options).process(samples, 0);
+}
+
+// Headless metronome engine. It owns the settings and schedules clicks a
+// little ahead of an audio clock; nothing in it touches the DOM.
+//   audio  backend that plays clicks: { playClick(time, sound) }
+//   clock  { now() } in seconds, the time base of scheduled clicks;
+//          defaults to the backend's currentTime
+//   timer  { start(callback, ms), stop(id) } that drives tick(); defaults to
+//          createIntervalTimer()
+// Events:
+//   beat         { time, beat, accent, muted, bar, meter, section } when a
+//                beat is scheduled, ahead of the time it sounds; section is
+//                the tempo map position { index, bar } or null, see
+//                tempoMapPosition()
+//   tempochange  { bpm, previous, time, source } with source 'set', 'tap',
+//                'trainer' or 'map'
+//   cycle        { time, duration } when a polyrhythm cycle is scheduled,
+//                before its beats and whether or not any voice is audible
+//   statechange  { isRunning } on start and stop
+class MetronomeEngine {
+  constructor({ audio = null, clock = null, timer = null, settings = {} } = {}) {
+    this.audio = audio;
+    this.clock = clock || { now: () => (audio ? audio.currentTime : 0) };
+    this.timer = timer || createIntervalTimer();
+    this.listeners = {};
+    this.state = {
+      ...DEFAULT_TEMPO_RANGE, // The user's tempo range, every tempo change keeps to it
+      ...createRenderSettings(settings),
+      isRunning: false,
+      muteRandom: Math.random, // Random source for the current run
+      barCount: 0, // Bars (or polyrhythm cycles) started since start
+      startTime: 0, // Clock time of the first beat
+      tapTimes: [], // Timestamps (ms) of recent taps, oldest first
+      intervalId: null,
+      nextNoteTime: 0,
+      scheduleAheadTime: 0.1, // Schedule 100ms ahead
+      lookahead: 10, // Check every 10ms for more responsive timing
+      currentBeat: 0, // Beat index within the bar of the next scheduled note
+      pendingEvents: [], // Clicks of the current beat not yet handed to the backend
+      diagnostics: createDiagnostics(), // Timing of the current run, see recordTick()
+    };
+    this.state.bpm = clampTempo(this.state.bpm, this.state);
+  }
+
+  get bpm() {
+    return this.state.bpm;
+  }
+
+  get isRunning() {
+    return this.state.isRunning;
+  }
+
+  // Subscribe to an event; returns a function that unsubscribes
+  on(type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners[type] || [];
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  emit(type, detail) {
+    (this.listeners[type] || []).slice().forEach(listener => listener(detail));
+  }
+
+  // Start with beat `beat` (the downbeat by default) at `time` on the clock,
+  // by default in 50ms. A time already past joins that beat grid at its next beat.
+  start(time, beat = 0) {
+    const state = this.state;
+    if (state.isRunning) return;
+
+    state.isRunning = true;
+    state.currentBeat = 0;
+    state.pendingEvents = [];
+    state.nextNoteTime = this.clock.now() + 0.05; // Start in 50ms
+    if (time !== undefined) this.align(time, beat);
+    state.startTime = state.nextNoteTime;
+    state.barCount = 0;
+    state.diagnostics = createDiagnostics();
+    state.muteRandom = state.muteSeed !== null ? createRandom(state.muteSeed) : Math.random;
+    if (state.trainer) {
+      // The ramp counts from the first downbeat
+      resetTrainer(state.trainer).lastChangeTime = state.nextNoteTime;
+      this.changeTempo(state.trainer.startBpm, 'trainer', state.nextNoteTime);
+    }
+    if (state.tempoMap) {
+      resetTempoMap(state.tempoMap);
+      this.enterSection(0, state.nextNoteTime);
+      this.followTempoMap();
+    }
+
+    state.intervalId = this.timer.start(() => this.tick(), state.lookahead);
+    this.emit('statechange', { isRunning: true });
+  }
+
+  stop() {
+    const state = this.state;
+    if (!state.isRunning) return;
+
+    state.isRunning = false;
+    if (state.intervalId !== null) {
+      this.timer.stop(state.intervalId);
+      state.intervalId = null;
+    }
+    state.pendingEvents = [];
+    this.emit('statechange', { isRunning: false });
+  }
+
+  // Change the tempo from the next beat, within the tempo range; returns the tempo in effect
+  setTempo(bpm) {
+    const time = this.state.isRunning ? this.state.nextNoteTime : this.clock.now();
+    return this.changeTempo(bpm, 'set', time);
+  }
+
+  // Register a tap at `now` (ms). Returns the tapped tempo, or null until
+  // there are two taps in the sequence.
+  tap(now = performance.now()) {
+    const state = this.state;
+
+    // A pause starts a new sequence
+    if (!this.isTapping(now)) {
+      state.tapTimes = [];
+    }
+
+    state.tapTimes.push(now);
+    if (state.tapTimes.length > TAP_HISTORY + 1) {
+      state.tapTimes.shift();
+    }
+
+    const bpm = estimateTapTempo(state.tapTimes, state);
+    if (bpm !== null) {
+      const time = state.isRunning ? state.nextNoteTime : this.clock.now();
+      this.changeTempo(bpm, 'tap', time);
+    }
+    return bpm;
+  }
+
+  // Is a tap sequence in progress (last tap within the timeout)?
+  isTapping(now = performance.now()) {
+    const lastTap = this.state.tapTimes[this.state.tapTimes.length - 1];
+    return lastTap !== undefined && now - lastTap <= TAP_TIMEOUT;
+  }
+
+  // Change muting from the prompt syntax (see parseMuteSetting()) or from
+  // fields it returned. Returns false and leaves muting alone if invalid.
+  setMute(setting) {
+    const fields = typeof setting === 'object' && setting !== null
+      ? pick(setting, MUTE_FIELDS)
+      : parseMuteSetting(setting);
+    if (!fields) return false;
+
+    Object.assign(this.state, fields);
+    // A new seed takes effect right away so the pattern can be heard from here
+    if (fields.muteSeed !== undefined && fields.muteSeed !== null) {
+      this.state.muteRandom = createRandom(fields.muteSeed);
+    }
+    return true;
+  }
+
+  // Line the beats up with a shared timeline: beat `beat` of the bar falls
+  // at `time` and the current tempo holds from there. A time already past
+  // moves on to the next beat of that grid that can still be scheduled.
+  align(time, beat = 0) {
+    const state = this.state;
+    const period = state.polyrhythm ? polyrhythmCycleDuration(state.polyrhythm, state.bpm) : 60 / state.bpm;
+    const skipped = Math.max(0, Math.ceil((this.clock.now() + 0.05 - time) / period));
+
+    state.nextNoteTime = time + skipped * period;
+    state.currentBeat = state.polyrhythm ? 0 : (beat + skipped) % state.meter.beats;
+    state.pendingEvents = [];
+  }
+
+  // How far (seconds) the next beat is off the timeline align() would set up;
+  // Infinity when the beats of the bar are counted differently
+  alignmentError(time, beat = 0) {
+    const state = this.state;
+    const period = state.polyrhythm ? polyrhythmCycleDuration(state.polyrhythm, state.bpm) : 60 / state.bpm;
+    const beats = Math.round((state.nextNoteTime - time) / period);
+    if (!state.polyrhythm) {
+      const expected = ((beat + beats) % state.meter.beats + state.meter.beats) % state.meter.beats;
+      if (expected !== state.currentBeat) return Infinity;
+    }
+    return Math.abs(state.nextNoteTime - (time + beats * period));
+  }
+
+  // Replace other settings (meter, accents, subdivisions, ...); they take
+  // effect from the next beat
+  configure(settings) {
+    const { bpm, ...rest } = settings;
+    Object.assign(this.state, rest);
+    // A new tempo map starts from its first section on the next downbeat
+    if (rest.tempoMap) resetTempoMap(rest.tempoMap);
+    if (this.state.currentBeat >= this.state.meter.beats) this.state.currentBeat = 0;
+    // A new tempo range also applies to the current tempo
+    this.setTempo(bpm !== undefined ? bpm : this.state.bpm);
+  }
+
+  // Schedule everything due before the lookahead horizon. Clicks are handed
+  // to the backend one at a time so subdivisions of a slow beat are never
+  // queued further ahead than the beat itself.
+  tick() {
+    const state = this.state;
+    if (!state.isRunning) return;
+
+    const now = this.clock.now();
+    const horizon = now + state.scheduleAheadTime;
+    recordTick(state.diagnostics, now, state.lookahead);
+
+    while (state.pendingEvents.length > 0 || state.nextNoteTime < horizon) {
+      if (state.pendingEvents.length === 0) {
+        if (state.polyrhythm) {
+          this.queueCycle(state.nextNoteTime);
+          this.advanceCycle();
+        } else {
+          this.queueBeat(state.currentBeat, state.nextNoteTime);
+          this.advanceNote();
+        }
+      }
+
+      if (state.pendingEvents.length === 0) continue; // Muted or silent beat
+      if (state.pendingEvents[0].time >= horizon) break;
+      const event = state.pendingEvents.shift();
+      recordClick(state.diagnostics, event.time, now);
+      if (this.audio) this.audio.playClick(event.time, event.sound);
+    }
+  }
+
+  changeTempo(bpm, source, time) {
+    const previous = this.state.bpm;
+    if (Number.isNaN(Number(bpm))) return previous;
+    const next = clampTempo(Number(bpm), this.state);
+
+    if (next !== previous) {
+      this.state.bpm = next;
+      this.emit('tempochange', { bpm: next, previous, time, source });
+    }
+    return next;
+  }
+
+  // Start section `index` of the tempo map on the downbeat at `time`, with its
+  // meter. Its tempos keep to the tempo range, so the beats are placed at the
+  // tempo shown. After the last section the map is done and its end tempo holds.
+  enterSection(index, time) {
+    const state = this.state;
+    const map = state.tempoMap;
+    const section = map.sections[index];
+    if (!section) {
+      map.done = true;
+      map.sectionStart = null;
+      map.tempos = null;
+      this.changeTempo(map.sections[map.sections.length - 1].endBpm, 'map', time);
+      return;
+    }
+
+    // The accents only go back to the default when the meter really changes
+    if (section.meter && formatMeter(section.meter) !== formatMeter(state.meter)) {
+      state.meter = section.meter;
+      state.accentPattern = defaultAccentPattern(section.meter);
+    }
+    map.sectionIndex = index;
+    map.sectionStart = time;
+    map.tempos = { bpm: clampTempo(section.bpm, state), endBpm: clampTempo(section.endBpm, state) };
+    map.beat = 0;
+    map.beats = section.bars * (state.polyrhythm ? 1 : state.meter.beats);
+  }
+
+  // Set the tempo of the next beat from the tempo map section it is in
+  followTempoMap() {
+    const map = this.state.tempoMap;
+    if (!map || map.sectionStart === null) return;
+    const bpm = sectionTempo(map.tempos, map.beat, map.beats);
+    this.changeTempo(bpm, 'map', this.state.nextNoteTime);
+  }
+
+  // Where the next beat falls in the tempo map: { index, bar } with the
+  // section's index and the bar within it, or null without a map playing
+  tempoMapPosition() {
+    const state = this.state;
+    const map = state.tempoMap;
+    if (!map || map.sectionStart === null) return null;
+    const bar = state.polyrhythm ? map.beat : Math.floor(map.beat / state.meter.beats);
+    return { index: map.sectionIndex, bar };
+  }
+
+  // Queue the clicks for one beat
+  queueBeat(beat, time) {
+    const state = this.state;
+    // Muting silences the whole beat, subdivisions included
+    const position = { beat, bar: state.barCount, elapsed: time - state.startTime };
+    const muted = isBeatMuted(state, position, state.muteRandom);
+    if (!muted) {
+      state.pendingEvents = buildBeatEvents(beat, time, state);
+    }
+
+    this.emit('beat', {
+      time,
+      beat,
+      accent: state.accentPattern[beat] || 'weak',
+      muted,
+      bar: state.barCount,
+      meter: state.meter,
+      section: this.tempoMapPosition(),
+    });
+  }
+
+  // Queue the clicks for one polyrhythm cycle. Muting applies per click, so one
+  // voice can drop out while the other carries on; each voice's first pulse
+  // counts as the downbeat. Beats report the voice index as `beat`.
+  queueCycle(time) {
+    const state = this.state;
+    this.emit('cycle', { time, duration: polyrhythmCycleDuration(state.polyrhythm, state.bpm) });
+    const events = buildPolyrhythmEvents(time, state.polyrhythm, state.bpm);
+    state.pendingEvents = events.filter(event => {
+      const position = {
+        beat: event.time === time ? 0 : 1,
+        bar: state.barCount,
+        elapsed: event.time - state.startTime,
+      };
+      const muted = isBeatMuted(state, position, state.muteRandom);
+      this.emit('beat', {
+        time: event.time,
+        beat: event.voice,
+        accent: event.time === time ? 'strong' : 'weak',
+        muted,
+        bar: state.barCount,
+        meter: state.meter,
+        section: this.tempoMapPosition(),
+      });
+      return !muted;
+    });
+  }
+
+  // Move to the next polyrhythm cycle; a cycle counts as a bar for the speed
+  // trainer and the tempo map, whose ramps step once per cycle
+  advanceCycle() {
+    const state = this.state;
+    state.nextNoteTime += polyrhythmCycleDuration(state.polyrhythm, state.bpm);
+    if (state.tempoMap && state.tempoMap.sectionStart !== null) state.tempoMap.beat++;
+    this.onBarBoundary();
+  }
+
+  // Move to the next beat. BPM counts the meter's note value, so 7/8 at 120
+  // plays 120 eighth notes per minute. In a tempo map section beats are placed
+  // from the section's downbeat, so a ramp never drifts. A meter changed
+  // mid-section can leave its last bar short or long; the next section still
+  // starts when the section's beats are up, on a fresh downbeat.
+  advanceNote() {
+    const state = this.state;
+    const map = state.tempoMap;
+    if (map && map.sectionStart !== null) {
+      map.beat++;
+      state.nextNoteTime = map.sectionStart + sectionBeatTime(map.tempos, map.beat, map.beats);
+      if (map.beat >= map.beats) {
+        state.currentBeat = 0;
+        this.onBarBoundary();
+        return;
+      }
+    } else {
+      state.nextNoteTime += 60.0 / state.bpm; // Time between beats in seconds
+    }
+    state.currentBeat = (state.currentBeat + 1) % state.meter.beats;
+
+    if (state.currentBeat === 0) {
+      this.onBarBoundary();
+    } else {
+      this.followTempoMap();
+    }
+  }
+
+  // Count the bar and let the tempo map or the speed trainer change tempo for
+  // the bar starting at nextNoteTime. A tempo map set while running starts on
+  // this downbeat.
+  onBarBoundary() {
+    const state = this.state;
+    state.barCount++;
+
+    const map = state.tempoMap;
+    if (map && !map.done) {
+      if (map.sectionStart === null) {
+        this.enterSection(0, state.nextNoteTime);
+      } else if (map.beat >= map.beats) {
+        this.enterSection(map.sectionIndex + 1, state.nextNoteTime);
+      }
+      this.followTempoMap();
+    } else if (state.trainer) {
+      const bpm = advanceTrainer(state.trainer, state.bpm, state.nextNoteTime);
+      this.changeTempo(bpm, 'trainer', state.nextNoteTime);
+    }
+  }
+}
+
+// Web Audio backend for the engine. The context is created lazily (on iOS
+// only after a user gesture), so the clock reads 0 until it exists.
+const webAudioBackend = {
+  get currentTime() {
+    return audioContext ? audioContext.currentTime : 0;
+  },
+  playClick,
+};
+
+const engine = new MetronomeEngine({ audio: webAudioBackend, timer: createWorkerTimer('timer-worker.js') });
+
+// The settings the UI, presets, links and export read; owned by the engine
+const state = engine.state;
+
+// The UI is one consumer of the engine: beats wait in the note queue until the
+// audio clock reaches them, and the display follows start, stop and tempo changes
+engine.on('beat', note => {
+  ui.noteQueue.push(note);
+  if (ui.accuracy) recordAccuracyBeat(ui.accuracy, note);
+  if (ui.access.vibrate) scheduleVibration(note);
+});
+
+engine.on('statechange', ({ isRunning }) => {
+  if (isRunning) {
+    ui.noteQueue = [];
+    // Every run is a new tap-along session
+    if (ui.accuracy) ui.accuracy = createTapAccuracy();
+    startDrawLoop();
+    requestWakeLock();
+  } else {
+    stopDrawLoop();
+    releaseWakeLock();
+  }
+  updateUI();
+});
+
+// Keep the screen on while playing, so phones don't sleep mid-practice. The
+// browser drops the lock whenever the page is hidden; it's taken again on return.
+function requestWakeLock() {
+  if (typeof navigator === 'undefined' || !navigator.wakeLock || ui.wakeLock) return;
+
+  const request = navigator.wakeLock.request('screen').then(lock => {
+    lock.addEventListener('release', () => {
+      if (ui.wakeLock === request) ui.wakeLock = null;
+    });
+    return lock;
+  }).catch(error => {
+    if (ui.wakeLock === request) ui.wakeLock = null;
+    console.warn('Screen wake lock unavailable:', error.message);
+    return null;
+  });
+  ui.wakeLock = request;
+}
+
+function releaseWakeLock() {
+  if (!ui.wakeLock) return;
+  const request = ui.wakeLock;
+  ui.wakeLock = null;
+  request.then(lock => lock && !lock.released && lock.release());
+}
+
+engine.on('tempochange', ({ source, time }) => {
+  // Show a trainer step or tempo map change when its beat sounds
+  if (source === 'trainer' || source === 'map') {
+    setTimeout(updateUI, Math.max(0, (time - engine.clock.now()) * 1000));
+  } else {
+    updateUI();
+  }
+});
+
+// Quarter notes per beat: BPM counts the meter's note value, or the last
+// polyrhythm voice, which counts as quarters
+function quartersPerBeat(settings) {
+  return settings.polyrhythm ? 1 : 4 / settings.meter.noteValue;
+}
+
+// Times of the MIDI clock pulses for a beat starting at `time`
+function midiClockPulses(time, settings) {
+  const count = Math.round(MIDI_CLOCK_PPQN * quartersPerBeat(settings));
+  const interval = 60 / settings.bpm / count;
+  return Array.from({ length: count }, (_, i) => time + i * interval);
+}
+
+// Send MIDI clock for the engine to a MIDIOutput: Start and Stop with the
+// metronome and 24 pulses per quarter note, timed from the scheduled beats.
+// Connecting while running sends Continue. `toTimestamp` maps the engine's
+// clock (seconds) to performance.now() time (ms) for MIDIOutput.send().
+// Returns a function that disconnects.
+function connectMidiClockOutput(engine, output, toTimestamp = time => performance.now() + (time - engine.clock.now()) * 1000) {
+  const sendPulses = beatTime => {
+    midiClockPulses(beatTime, engine.state).forEach(time => output.send([MIDI_CLOCK], toTimestamp(time)));
+  };
+  const onBeat = note => {
+    if (!engine.state.polyrhythm) sendPulses(note.time);
+  };
+  // In polyrhythm mode the last voice's pulses carry the tempo; they are
+  // clocked from the cycle, so muting that voice keeps the clock going
+  const onCycle = ({ time, duration }) => {
+    const period = 60 / engine.state.bpm;
+    for (let i = 0; i < Math.round(duration / period); i++) sendPulses(time + i * period);
+  };
+
+  const onStateChange = ({ isRunning }) => {
+    if (isRunning) {
+      output.send([MIDI_START], toTimestamp(engine.state.startTime));
+    } else {
+      // Drop pulses already queued for the rest of the beat
+      if (output.clear) output.clear();
+      output.send([MIDI_STOP]);
+    }
+  };
+
+  if (engine.isRunning) output.send([MIDI_CONTINUE]);
+  const unsubscribe = [engine.on('beat', onBeat), engine.on('cycle', onCycle), engine.on('statechange', onStateChange)];
+  return () => unsubscribe.forEach(off => off());
+}
+
+// Pulse history of an external MIDI clock
+function createClockFollower() {
+  return { lastPulse: null, intervals: [] };
+}
+
+// Record a clock pulse received at `timeStamp` (ms). Returns the quarter-note
+// tempo averaged over the recent pulses, or null until there are enough.
+function followClockPulse(follower, timeStamp) {
+  if (follower.lastPulse !== null) {
+    const interval = timeStamp - follower.lastPulse;
+    if (interval > MIDI_CLOCK_TIMEOUT) {
+      follower.intervals = []; // The clock paused; start over
+    } else {
+      follower.intervals.push(interval);
+      if (follower.intervals.length > MIDI_CLOCK_SMOOTHING) follower.intervals.shift();
+    }
+  }
+  follower.lastPulse = timeStamp;
+
+  if (follower.intervals.length < MIDI_CLOCK_MIN_PULSES) return null;
+  const intervals = rejectTapOutliers(follower.intervals);
+  const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+  return 60000 / (mean * MIDI_CLOCK_PPQN);
+}
+
+// Follow MIDI clock from a MIDIInput: Start/Continue and Stop call the given
+// start and stop (the engine's by default), and the tempo follows the
+// smoothed pulse rate. Returns a function that disconnects.
+function connectMidiClockInput(engine, input, { start = () => engine.start(), stop = () => engine.stop() } = {}) {
+  const follower = createClockFollower();
+
+  const onMessage = event => {
+    const status = event.data[0];
+    if (status === MIDI_CLOCK) {
+      const quarterBpm = followClockPulse(follower, event.timeStamp);
+      if (quarterBpm !== null) {
+        const bpm = quarterBpm / quartersPerBeat(engine.state);
+        engine.setTempo(Math.round(bpm * 10) / 10);
+      }
+    } else if (status === MIDI_START || status === MIDI_CONTINUE) {
+      start();
+    } else if (status === MIDI_STOP) {
+      stop();
+    }
+  };
+
+  input.addEventListener('midimessage', onMessage);
+  return () => input.removeEventListener('midimessage', onMessage);
+}
+
+// Parse the MIDI clock prompt: "out <port>", "in <port>", "out off", "in off"
+// or "off" for both. Returns { direction: 'out'|'in'|'both', port }, port null to disconnect.
+function parseMidiSetting(text) {
+  const value = String(text).trim();
+  if (value.toLowerCase() === 'off') return { direction: 'both', port: null };
+
+  const match = /^(out|in)\s+(.+)$/i.exec(value);
+  if (!match) return null;
+  return { direction: match[1].toLowerCase(), port: match[2].toLowerCase() === 'off' ? null : match[2] };
+}
+
+// Inputs and outputs of a MIDIAccess, in the order the browser lists them
+function listMidiPorts(access) {
+  return { inputs: Array.from(access.inputs.values()), outputs: Array.from(access.outputs.values()) };
+}
+
+// Find a port by number (from 1) or by part of its name
+function findMidiPort(ports, ref) {
+  if (/^\d+$/.test(ref)) return ports[parseInt(ref, 10) - 1] || null;
+  const name = ref.toLowerCase();
+  return ports.find(port => String(port.name).toLowerCase().includes(name)) || null;
+}
+
+// Default settings for rendering without the app, e.g. from cli.js. The
+// browser renders from `state`, which carries the same fields.
+function createRenderSettings(overrides = {}) {
+  const meter = overrides.meter || parseMeter('4/4');
+  return {
+    bpm: 40,
+    meter,
+    accentPattern: defaultAccentPattern(meter),
+    subdivisionLayers: [],
+    swing: MIN_SWING,
+    polyrhythm: null,
+    trainer: null,
+    tempoMap: null,
+    muteMode: 'random',
+    randomMuteProbability: 0,
+    gapBars: { play: 4, mute: 4 },
+    muteRamp: { from: 0, to: 0.5, minutes: 10 },
+    keepDownbeat: false,
+    muteSeed: null,
+    voice: 'beep',
+    accentVolumes: { ...DEFAULT_ACCENT_VOLUMES },
+    ...overrides,
+  };
+}
+
+// Lay out `bars` bars (or polyrhythm cycles) of clicks from the start, the
+// same way the live scheduler does. Muting uses the seed, or 0 without one,
+// so the same settings always give the same track.
+function buildClickTrack(settings, bars) {
+  const ticksPerBeat = MIDI_TICKS_PER_QUARTER * 4 / settings.meter.noteValue;
+  const random = createRandom(settings.muteSeed !== null ? settings.muteSeed : 0);
+  const trainer = settings.trainer ? resetTrainer({ ...settings.trainer }) : null;
+  const events = [];
+  const tempos = [];
+
+  let bpm = trainer ? trainer.startBpm : settings.bpm;
+  let time = 0;
+  let tick = 0;
+
+  for (let bar = 0; bar < bars; bar++) {
+    if (trainer) bpm = advanceTrainer(trainer, bpm, time);
+    if (tempos.length === 0 || tempos[tempos.length - 1].bpm !== bpm) {
+      tempos.push({ time, tick, bpm });
+    }
+
+    const beatDuration = 60.0 / bpm;
+    // Place an event relative to a beat or cycle start in both seconds and ticks
+    const place = (event, startTime, startTick) => {
+      event.tick = startTick + Math.round((event.time - startTime) / beatDuration * ticksPerBeat);
+      events.push(event);
+    };
+
+    if (settings.polyrhythm) {
+      const cycleEvents = buildPolyrhythmEvents(time, settings.polyrhythm, bpm);
+      cycleEvents.forEach(event => {
+        const position = { beat: event.time === time ? 0 : 1, bar, elapsed: event.time };
+        if (!isBeatMuted(settings, position, random)) place(event, time, tick);
+      });
+      const pulses = settings.polyrhythm.voices[settings.polyrhythm.voices.length - 1].pulses;
+      time += polyrhythmCycleDuration(settings.polyrhythm, bpm);
+      tick += pulses * ticksPerBeat;
+      continue;
+    }
+
+    for (let beat = 0; beat < settings.meter.beats; beat++) {
+      if (!isBeatMuted(settings, { beat, bar, elapsed: time }, random)) {
+        buildBeatEvents(beat, time, { ...settings, bpm }).forEach(event => place(event, time, tick));
+      }
+      time += beatDuration;
+      tick += ticksPerBeat;
+    }
+  }
+
+  return { events, tempos, duration: time, ticks: tick, meter: settings.meter };
+}
+
+// Mix a click track into stereo PCM. `sampleData` stands in for the 'sample'
+// voice (mono, at `sampleRate`); without it the sample voice renders as a beep.
+function renderClickTrack(track, sampleRate, sampleData = null) {
+  const cache = new Map();
+  const clickData = sound => {
+    if (sound.voice === 'sample' && sampleData) return sampleData;
+    const voice = sound.voice === 'sample' ? 'beep' : sound.voice;
+    const key = `${voice}:${sound.frequency}`;
+    if (!cache.has(key)) cache.set(key, renderVoice(voice, sound.frequency, sampleRate));
+    return cache.get(key);
+  };
+
+  // Leave room for the last click to ring out
+  const tail = track.events.reduce((max, event) => Math.max(max, clickData(event.sound).length), 0);
+  const length = Math.round(track.duration * sampleRate) + tail;
+  if (length > EXPORT_MAX_SAMPLES) {
+    throw new RangeError(`Click track too long to render: ${Math.round(length / sampleRate)} s at ${sampleRate} Hz`);
+  }
+  const left = new Float32Array(length);
+  const right = new Float32Array(length);
+
+  track.events.forEach(event => {
+    const data = clickData(event.sound);
+    const offset = Math.round(event.time * sampleRate);
+    // Equal-power panning, like a StereoPannerNode
+    let leftGain = event.sound.gainLevel;
+    let rightGain = event.sound.gainLevel;
+    if (event.sound.pan) {
+      const x = (event.sound.pan + 1) / 2;
+      leftGain *= Math.cos(x * Math.PI / 2);
+      rightGain *= Math.sin(x * Math.PI / 2);
+    }
+    for (let i = 0; i < data.length && offset + i < length; i++) {
+      left[offset + i] += data[i] * leftGain;
+      right[offset + i] += data[i] * rightGain;
+    }
+  });
+
+  return [left, right];
+}
+
+// Encode channels of float PCM as a 16-bit WAV file
+function encodeWav(channels, sampleRate) {
+  const frames = channels[0].length;
+  const blockAlign = channels.length * 2;
+  const dataSize = frames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // PCM chunk size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true); // Bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (const channel of channels) {
+      const sample = Math.max(-1, Math.min(1, channel[i]));
+      view.setInt16(offset, Math.round(sample * 32767), true);
+      offset += 2;
+    }
+  }
+  return new Uint8Array(buffer);
+}
+
+// MIDI variable-length quantity
+function midiVarLength(value) {
+  const bytes = [value & 0x7F];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+  }
+  return bytes;
+}
+
+// MIDI note for a click: the voice's accented or plain note for beats, a
+// percussion note per subdivision layer, and one note per polyrhythm voice
+function midiNoteForEvent(event) {
+  if (event.layer) return MIDI_SUBDIVISION_NOTES[event.layer];
+  if (event.voice !== undefined) return MIDI_POLYRHYTHM_NOTES[event.voice];
+  const notes = MIDI_CLICK_NOTES[event.sound.voice] || MIDI_CLICK_NOTES.beep;
+  return event.accent === 'strong' ? notes[0] : notes[1];
+}
+
+// Encode a click track as a format 0 Standard MIDI File on channel 10
+function encodeMidi(track) {
+  const { beats, noteValue } = track.meter;
+  const noteLength = MIDI_TICKS_PER_QUARTER / 8;
+  const messages = [];
+
+  // Time signature: denominator as a power of two, 24 MIDI clocks per click
+  messages.push({ tick: 0, order: 0, bytes: [0xFF, 0x58, 0x04, beats, Math.log2(noteValue), 24, 8] });
+
+  track.tempos.forEach(tempo => {
+    // Tempo is stored per quarter note; BPM counts the meter's note value. The
+    // field is 24 bits, so below about 3.6 quarter notes per minute the file
+    // holds the slowest tempo it can.
+    const microseconds = Math.min(0xFFFFFF, Math.round(60000000 / tempo.bpm * noteValue / 4));
+    messages.push({
+      tick: tempo.tick,
+      order: 0,
+      bytes: [0xFF, 0x51, 0x03, (microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF],
+    });
+  });
+
+  track.events.forEach(event => {
+    const note = midiNoteForEvent(event);
+    const velocity = Math.max(1, Math.min(127, Math.round(event.sound.gainLevel / 0.5 * 127)));
+    messages.push({ tick: event.tick, order: 2, bytes: [0x99, note, velocity] });
+    messages.push({ tick: event.tick + noteLength, order: 1, bytes: [0x89, note, 0] });
+  });
+
+  // Note-offs before note-ons on the same tick; stable otherwise
+  messages.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const endTick = Math.max(track.ticks, messages.length ? messages[messages.length - 1].tick : 0);
+  messages.push({ tick: endTick, order: 3, bytes: [0xFF, 0x2F, 0x00] });
+
+  const trackData = [];
+  let lastTick = 0;
+  messages.forEach(message => {
+    trackData.push(...midiVarLength(message.tick - lastTick), ...message.bytes);
+    lastTick = message.tick;
+  });
+
+  const uint32 = n => [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF];
+  return new Uint8Array([
+    0x4D, 0x54, 0x68, 0x64, ...uint32(6), // MThd
+    0x00, 0x00, 0x00, 0x01, // Format 0, one track
+    (MIDI_TICKS_PER_QUARTER >> 8) & 0xFF, MIDI_TICKS_PER_QUARTER & 0xFF,
+    0x4D, 0x54, 0x72, 0x6B, ...uint32(trackData.length), // MTrk
+    ...trackData,
+  ]);
+}
+
+// Parse an export request typed as "bars [wav|mid]", e.g. "64 wav". Returns null for invalid input.
+function parseExportSetting(text) {
+  const match = /^\s*(\d+)\s*(wav|mid|midi)?\s*$/i.exec(String(text));
+  if (!match) return null;
+
+  const bars = parseInt(match[1], 10);
+  if (bars < 1 || bars > EXPORT_MAX_BARS) return null;
+  const format = match[2] && match[2].toLowerCase() !== 'wav' ? 'mid' : 'wav';
+  return { bars, format };
+}
+
+// Render the current settings and download them as a .wav or .mid file
+function exportClickTrack(bars, format) {
+  const track = buildClickTrack(state, bars);
+  let bytes;
+  let type;
+
+  if (format === 'mid') {
+    bytes = encodeMidi(track);
+    type = 'audio/midi';
+  } else {
+    const sampleRate = audioContext ? audioContext.sampleRate : EXPORT_SAMPLE_RATE;
+    const sampleData = sampleBuffer && sampleBuffer.sampleRate === sampleRate ? sampleBuffer.getChannelData(0) : null;
+    try {
+      bytes = encodeWav(renderClickTrack(track, sampleRate, sampleData), sampleRate);
+    } catch (error) {
+      console.error('Failed to export the click track:', error.message);
+      return;
+    }
+    type = 'audio/wav';
+  }
+
+  downloadFile(bytes, type, `click-${Math.round(state.bpm)}bpm-${bars}bars.${format}`);
+}
+
+// Save `data` (a string or bytes) as a file through the browser's downloads
+function downloadFile(data, type, filename) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Copy the preset fields of a settings object. Trainer and tempo map progress
+// is dropped and the 'sample' voice (not storable) becomes the default beep.
+function capturePresetSettings(settings) {
+  const captured = JSON.parse(JSON.stringify(PRESET_FIELDS.reduce((copy, field) => {
+    copy[field] = settings[field];
+    return copy;
+  }, {})));
+
+  if (captured.trainer) {
+    const { startBpm, targetBpm, steps, interval, unit } = captured.trainer;
+    captured.trainer = { startBpm, targetBpm, steps, interval, unit };
+  }
+  if (captured.tempoMap) captured.tempoMap = { sections: captured.tempoMap.sections };
+  if (captured.voice === 'sample') captured.voice = 'beep';
+  return captured;
+}
+
+// Validate preset settings from storage or an imported file by running each
+// field through the same parser as typed input. Missing fields get defaults;
+// returns null if any field is invalid.
+function sanitizePresetSettings(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const settings = createRenderSettings();
+  const parsers = {
+    bpm: bpm => (typeof bpm === 'number' && bpm >= MIN_BPM && bpm <= MAX_BPM ? bpm : null),
+    meter: meter => parseMeter(`${meter.groups.join('+')}/${meter.noteValue}`),
+    swing: swing => parseSwing(String(swing * 100)),
+    subdivisionLayers: layers => parseSubdivisionLayers(formatSubdivisionLayers(layers)),
+    polyrhythm: poly => (poly === null ? null : parsePolyrhythm(formatPolyrhythm(poly))),
+    trainer: trainer => (trainer === null ? null : parseTrainer(formatTrainer(trainer))),
+    tempoMap: map => (map === null ? null : parseTempoMap(formatTempoMap(map))),
+  };
+
+  for (const field of Object.keys(parsers)) {
+    if (raw[field] === undefined) continue;
+    const value = tryParse(parsers[field], raw[field]);
+    // polyrhythm, trainer and tempoMap may be null for "off"
+    if (value === null && raw[field] !== null) return null;
+    settings[field] = value;
+  }
+
+  if (raw.accentPattern === undefined) {
+    settings.accentPattern = defaultAccentPattern(settings.meter);
+  } else {
+    settings.accentPattern = tryParse(pattern => parseAccentPattern(formatAccentPattern(pattern), settings.meter.beats), raw.accentPattern);
+    if (!settings.accentPattern) return null;
+  }
+
+  const mute = tryParse(r => parseMuteSetting(formatMuteSetting({ ...settings, ...pick(r, MUTE_FIELDS) })), raw);
+  const voice = tryParse(r => parseVoiceSetting(formatVoiceSetting({ ...settings, ...pick(r, ['voice', 'accentVolumes']) })), raw);
+  if (!mute || !voice || voice.voice === 'sample') return null;
+
+  return Object.assign(settings, mute, voice);
+}
+
+// Run a parser over untrusted data, treating exceptions as invalid input
+function tryParse(parser, value) {
+  try {
+    const result = parser(value);
+    return result === undefined ? null : result;
+  } catch (e) {
+    return null;
+  }
+}
+
+function pick(object, fields) {
+  return fields.reduce((picked, field) => {
+    if (object[field] !== undefined) picked[field] = object[field];
+    return picked;
+  }, {});
+}
+
+// Parse a presets/setlists JSON file. Invalid presets are skipped, setlists
+// keep only songs that exist. Returns null if the file isn't a library at all.
+function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.presets)) return null;
+
+  const presets = [];
+  data.presets.forEach(preset => {
+    if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) return;
+    const settings = sanitizePresetSettings(preset.settings);
+    if (settings && !presets.some(p => p.name === preset.name.trim())) {
+      presets.push({ name: preset.name.trim(), settings });
+    }
+  });
+
+  const setlists = [];
+  (Array.isArray(data.setlists) ? data.setlists : []).forEach(setlist => {
+    if (!setlist || typeof setlist.name !== 'string' || !Array.isArray(setlist.songs)) return;
+    const songs = setlist.songs.filter(song => presets.some(p => p.name === song));
+    if (setlist.name.trim() && songs.length > 0) setlists.push({ name: setlist.name.trim(), songs });
+  });
+
+  return { presets, setlists };
+}
+
+function serializeLibrary(lib) {
+  return JSON.stringify({ version: LIBRARY_VERSION, presets: lib.presets, setlists: lib.setlists }, null, 2);
+}
+
+// Merge an imported library into another, imported entries replacing
+// same-named ones where they are; new entries go at the end
+function mergeLibrary(target, imported) {
+  const merge = (existing, incoming) => existing
+    .map(item => incoming.find(other => other.name === item.name) || item)
+    .concat(incoming.filter(item => !existing.some(other => other.name === item.name)));
+  return {
+    presets: merge(target.presets, imported.presets),
+    setlists: merge(target.setlists, imported.setlists),
+  };
+}
+
+// Letter commands and the settings they change. Each turns the rest of the
+// line into the state fields to apply, or null for invalid input.
+const SETTING_COMMANDS = {
+  r: { name: 'mute setting', parse: text => parseMuteSetting(text) },
+  m: {
+    name: 'meter',
+    parse: text => {
+      const meter = parseMeter(text);
+      return meter && { meter, accentPattern: defaultAccentPattern(meter) };
+    },
+  },
+  a: {
+    name: 'accent pattern',
+    parse: (text, settings) => {
+      const accentPattern = parseAccentPattern(text, settings.meter.beats);
+      return accentPattern && { accentPattern };
+    },
+  },
+  s: {
+    name: 'subdivisions',
+    parse: text => {
+      const subdivisionLayers = parseSubdivisionLayers(text);
+      return subdivisionLayers && { subdivisionLayers };
+    },
+  },
+  w: {
+    name: 'swing',
+    parse: text => {
+      const swing = parseSwing(text);
+      return swing === null ? null : { swing };
+    },
+  },
+  // Empty or 0 turns the trainer, tempo map and polyrhythm off, like their
+  // prompts. The trainer and the tempo map replace each other.
+  p: {
+    name: 'trainer',
+    parse: text => {
+      if (text === '' || text === '0') return { trainer: null };
+      const trainer = parseTrainer(text);
+      return trainer && { trainer, tempoMap: null, bpm: trainer.startBpm };
+    },
+  },
+  g: {
+    name: 'tempo map',
+    parse: text => {
+      if (text === '' || text === '0') return { tempoMap: null };
+      const tempoMap = parseTempoMap(text);
+      return tempoMap && { tempoMap, trainer: null, bpm: tempoMap.sections[0].bpm };
+    },
+  },
+  x: {
+    name: 'polyrhythm',
+    parse: text => {
+      if (text === '' || text === '0') return { polyrhythm: null };
+      const polyrhythm = parsePolyrhythm(text);
+      return polyrhythm && { polyrhythm };
+    },
+  },
+  v: { name: 'voice', parse: text => parseVoiceSetting(text) },
+};
+
+// Parse a line typed in command mode against the current settings:
+//   120  92.5    set the tempo
+//   +5  -0.5     nudge the tempo
+//   range 40-208 set the tempo range every tempo change keeps to
+//   r35  m7/8    any setting, by its key and the text its prompt takes
+//   u            undo the last command
+// A leading ':' is ignored. Returns { command: 'set', fields } with the state
+// fields to apply, { command: 'undo' }, { error } with a message for the
+// user, or null for an empty line.
+function parseCommand(text, settings) {
+  const line = String(text).trim().replace(/^:\s*/, '');
+  if (line === '') return null;
+
+  let match;
+  if (/^\d+(\.\d+)?$/.test(line)) {
+    const bpm = parseTempo(line);
+    if (bpm === null || bpm < settings.minBpm || bpm > settings.maxBpm) {
+      const range = `${formatTempo(settings.minBpm)}-${formatTempo(settings.maxBpm)}`;
+      return { error: `Tempo must be ${range} BPM with up to ${TEMPO_DECIMALS} decimals` };
+    }
+    return { command: 'set', fields: { bpm } };
+  }
+  if ((match = /^([+-])\s*(\d+(?:\.\d+)?)$/.exec(line))) {
+    const delta = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+    return { command: 'set', fields: { bpm: clampTempo(settings.bpm + delta, settings) } };
+  }
+  if (/^u(ndo)?$/i.test(line)) return { command: 'undo' };
+  // The current tempo moves into a new range, so undo brings it back too
+  if ((match = /^range\b\s*(.*)$/i.exec(line))) {
+    const range = parseTempoRange(match[1]);
+    if (!range) return { error: `Tempo range must be like 40-208, within ${MIN_BPM}-${MAX_BPM}` };
+    return { command: 'set', fields: { ...range, bpm: clampTempo(settings.bpm, range) } };
+  }
+
+  const key = line[0].toLowerCase();
+  const setting = SETTING_COMMANDS[key];
+  if (!setting) return { error: `Unknown command: ${line}` };
+
+  const rest = line.slice(1).trim();
+  const fields = tryParse(input => setting.parse(input, settings), rest);
+  if (!fields) return { error: rest ? `Invalid ${setting.name}: ${rest}` : `Missing ${setting.name} after ${key}` };
+  return { command: 'set', fields };
+}
+
+// Each action's default key
+function defaultKeyBindings() {
+  return KEY_ACTIONS.reduce((bindings, { action, key }) => {
+    bindings[action] = key;
+    return bindings;
+  }, {});
+}
+
+// Whether a key (KeyboardEvent.code) may be bound to an action
+function isBindableKey(key) {
+  return typeof key === 'string' && /^[A-Za-z0-9]+$/.test(key) && !RESERVED_KEYS.includes(key);
+}
+
+// Key bindings from storage: unknown actions and invalid or duplicate keys are
+// dropped, and actions not stored get their default key unless it is taken.
+// Stored keys come first, so a user's key wins over a newer action's default.
+function resolveKeyBindings(stored) {
+  const bindings = {};
+  const used = new Set();
+  const bind = (action, key) => {
+    bindings[action] = key;
+    if (key !== null) used.add(key);
+  };
+
+  for (const { action } of KEY_ACTIONS) {
+    const key = stored && typeof stored === 'object' ? stored[action] : undefined;
+    if (key === null || (isBindableKey(key) && !used.has(key))) bind(action, key);
+  }
+  for (const { action, key } of KEY_ACTIONS) {
+    if (bindings[action] === undefined) bind(action, used.has(key) ? null : key);
+  }
+  return bindings;
+}
+
+// Bind `key` to `action`, or unbind the action with null. Returns
+// { bindings } with new bindings, or { error } if the key is reserved or
+// taken by another action.
+function rebindKey(bindings, action, key) {
+  if (key === null && action === 'keys') return { error: 'The key settings need a key' };
+  if (key !== null && !isBindableKey(key)) return { error: `${formatKey(key)} can't be bound` };
+
+  const taken = KEY_ACTIONS.find(other => other.action !== action && key !== null && bindings[other.action] === key);
+  if (taken) return { error: `${formatKey(key)} is already ${taken.label}` };
+  return { bindings: { ...bindings, [action]: key } };
+}
+
+// The action bound to a key, or null
+function actionForKey(bindings, key) {
+  const match = KEY_ACTIONS.find(({ action }) => bindings[action] === key);
+  return match ? match.action : null;
+}
+
+// Readable key name, e.g. "T", "1", "[" or "PageDown"; "-" when unbound
+function formatKey(key) {
+  if (key === null || key === undefined) return '-';
+  if (KEY_NAMES[key]) return KEY_NAMES[key];
+  const match = /^(?:Key|Digit)(.)$/.exec(key);
+  return match ? match[1] : key;
+}
+
+// "T=tap tempo | M=meter | ..." for the actions' hints; unbound actions are left out
+function describeKeys(bindings, running) {
+  return KEY_ACTIONS
+    .filter(({ action, hint, runningOnly }) => hint && (running || !runningOnly) && bindings[action] !== null)
+    .map(({ action, hint }) => `${formatKey(bindings[action])}=${hint}`)
+    .join(' | ');
+}
+
+// Parse accessibility options typed as the ones to turn on, e.g. "announce
+// vibrate"; "off" turns them all off. Returns null for invalid input.
+function parseAccessSetting(text) {
+  const tokens = String(text).trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+  const access = ACCESS_OPTIONS.reduce((options, option) => {
+    options[option] = false;
+    return options;
+  }, {});
+  if (tokens.length === 1 && tokens[0] === 'off') return access;
+
+  for (const token of tokens) {
+    if (!ACCESS_OPTIONS.includes(token)) return null;
+    access[token] = true;
+  }
+  return access;
+}
+
+function formatAccessSetting(access) {
+  const on = ACCESS_OPTIONS.filter(option => access[option]);
+  return on.length > 0 ? on.join(' ') : 'off';
+}
+
+// What changed between two { status, tempo, muting } readouts, one sentence
+// per change for a screen reader; null if nothing did or there is nothing to
+// compare with yet
+function describeAnnouncement(previous, current) {
+  if (!previous) return null;
+  const changes = ['status', 'tempo', 'muting']
+    .filter(field => previous[field] !== current[field])
+    .map(field => current[field]);
+  return changes.length > 0 ? changes.join('. ') : null;
+}
+
+// Vibration for a beat in ms: by accent, none for muted and silent beats
+function vibrationPulse(note) {
+  return note.muted ? 0 : VIBRATION_MS[note.accent] || 0;
+}
+
+// Parse stored preferences into { keys, minBpm, maxBpm, access }; invalid
+// parts get their defaults, and access is null until it has been set.
+// Returns null if the text isn't preferences at all.
+function parsePreferences(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+  const range = typeof data.minBpm === 'number' && typeof data.maxBpm === 'number'
+    ? parseTempoRange(`${data.minBpm}-${data.maxBpm}`)
+    : null;
+  const access = data.access && typeof data.access === 'object'
+    ? ACCESS_OPTIONS.reduce((options, option) => {
+      options[option] = data.access[option] === true;
+      return options;
+    }, {})
+    : null;
+  return { keys: resolveKeyBindings(data.keys), ...(range || DEFAULT_TEMPO_RANGE), access };
+}
+
+function serializePreferences({ keys, minBpm, maxBpm, access }) {
+  return JSON.stringify({ version: PREFERENCES_VERSION, keys, minBpm, maxBpm, access });
+}
+
+// Parse a library command typed in the library prompt:
+//   save <name> | load <name> | delete <name>
+//   setlist <name>: <song>, <song>, ...  |  play <setlist>  |  export  |  import
+// Returns null for invalid input.
+function parseLibraryCommand(text) {
+  const match = /^\s*(save|load|delete|setlist|play|export|import)\b\s*(.*)$/i.exec(String(text));
+  if (!match) return null;
+
+  const command = match[1].toLowerCase();
+  const rest = match[2].trim();
+
+  if (command === 'export' || command === 'import') return rest ? null : { command };
+  if (command === 'setlist') {
+    const colon = rest.indexOf(':');
+    if (colon < 1) return null;
+    const songs = rest.slice(colon + 1).split(',').map(song => song.trim()).filter(Boolean);
+    return songs.length > 0 ? { command, name: rest.slice(0, colon).trim(), songs } : null;
+  }
+  return rest ? { command, name: rest } : null;
+}
+
+function loadLibrary() {
+  try {
+    const stored = localStorage.getItem(LIBRARY_STORAGE_KEY);
+    library = (stored && parseLibrary(stored)) || { presets: [], setlists: [] };
+    const pending = localStorage.getItem(LIBRARY_PENDING_KEY);
+    // A browser that has never synced has everything it holds to send
+    libraryPending = pending === null ? libraryUploads(library) : JSON.parse(pending);
+    if (!Array.isArray(libraryPending)) libraryPending = [];
+  } catch (e) {
+    console.error('Failed to load presets:', e);
+  }
+}
+
+function saveLibrary() {
+  try {
+    localStorage.setItem(LIBRARY_STORAGE_KEY, serializeLibrary(library));
+    localStorage.setItem(LIBRARY_PENDING_KEY, JSON.stringify(libraryPending));
+  } catch (e) {
+    console.error('Failed to save presets:', e);
+  }
+}
+
+// Call the preset API; resolves with the response JSON (null for no content).
+// HTTP errors reject with an Error carrying the status; network errors without one.
+function libraryApi(method, kind, name, body) {
+  const url = `${LIBRARY_API}/${kind}${name === undefined ? '' : `/${encodeURIComponent(name)}`}`;
+  const options = { method };
+  if (body) {
+    options.headers = { 'Content-Type': 'application/json' };
+    options.body = JSON.stringify(body);
+  }
+
+  return fetch(url, options).then(response => {
+    if (!response.ok) {
+      const error = new Error(`${method} ${url} failed with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  });
+}
+
+// Changes that create or replace a library's presets, then its setlists,
+// which may only name presets the server knows
+function libraryUploads(lib) {
+  return [
+    ...lib.presets.map(preset => ({ method: 'PUT', kind: 'presets', name: preset.name, body: { settings: preset.settings } })),
+    ...lib.setlists.map(setlist => ({ method: 'PUT', kind: 'setlists', name: setlist.name, body: { songs: setlist.songs } })),
+  ];
+}
+
+// Send the pending changes in order, one upload at a time. A change the
+// server refuses is dropped; a network error leaves the rest for later.
+function sendLibraryChanges() {
+  const send = async () => {
+    while (libraryPending.length > 0) {
+      const { method, kind, name, body } = libraryPending[0];
+      try {
+        await libraryApi(method, kind, name, body);
+      } catch (error) {
+        if (error.status === undefined) throw error;
+        console.error('The preset server refused a change:', error.message);
+      }
+      libraryPending.shift();
+      saveLibrary();
+    }
+  };
+  libraryUpload = libraryUpload.catch(() => {}).then(send);
+  return libraryUpload;
+}
+
+// Send this browser's pending changes, then take the server's presets and
+// setlists: the server's win on equal names, and entries the server no longer
+// has were deleted there unless they have changes of their own still to send.
+// Without a reachable server everything stays in local storage.
+async function syncLibrary() {
+  if (typeof fetch === 'undefined') return;
+
+  try {
+    await sendLibraryChanges();
+    const [presets, setlists] = await Promise.all([libraryApi('GET', 'presets'), libraryApi('GET', 'setlists')]);
+    const shared = parseLibrary(JSON.stringify({ presets, setlists }));
+    if (!shared) throw new Error('Invalid presets from server');
+
+    const kept = (kind, remote) => library[kind].filter(entry => remote.some(other => other.name === entry.name)
+      || libraryPending.some(change => change.kind === kind && change.name === entry.name));
+    library = mergeLibrary({ presets: kept('presets', shared.presets), setlists: kept('setlists', shared.setlists) }, shared);
+    saveLibrary();
+    ui.libraryServer = true;
+    // Changes made while the server was being asked
+    await sendLibraryChanges();
+  } catch (error) {
+    ui.libraryServer = false;
+    console.error('Preset server unavailable, keeping presets in this browser only:', error.message);
+  }
+  updateUI();
+}
+
+// Save local changes and send them to the server if it is reachable. Local
+// storage keeps them, so a failure only means they wait for the next sync.
+function pushLibraryChange(...changes) {
+  libraryPending.push(...changes);
+  saveLibrary();
+  if (!ui.libraryServer) return Promise.resolve();
+
+  return sendLibraryChanges().catch(error => {
+    console.error('Failed to update the preset server:', error.message);
+    ui.libraryServer = false;
+    updateUI();
+  });
+}
+
+// Load a preset's settings into the metronome; takes effect from the next beat
+function applyPreset(preset) {
+  engine.configure(JSON.parse(JSON.stringify(preset.settings)));
+  if (state.trainer) {
+    resetTrainer(state.trainer);
+    engine.setTempo(state.trainer.startBpm);
+  }
+  if (state.tempoMap) engine.setTempo(state.tempoMap.sections[0].bpm);
+  ui.currentPreset = preset.name;
+  updateUI();
+}
+
+// Run a command from the library prompt
+function runLibraryCommand(text) {
+  const cmd = parseLibraryCommand(text);
+  if (!cmd) return;
+
+  const preset = cmd.name && library.presets.find(p => p.name === cmd.name);
+  const setlist = cmd.name && library.setlists.find(s => s.name === cmd.name);
+
+  switch (cmd.command) {
+    case 'save': {
+      const settings = capturePresetSettings(state);
+      library = mergeLibrary(library, { presets: [{ name: cmd.name, settings }], setlists: [] });
+      ui.currentPreset = cmd.name;
+      pushLibraryChange({ method: 'PUT', kind: 'presets', name: cmd.name, body: { settings } });
+      break;
+    }
+    case 'load':
+      if (preset) applyPreset(preset);
+      break;
+    case 'delete':
+      library.presets = library.presets.filter(p => p.name !== cmd.name);
+      library.setlists = library.setlists
+        .map(s => ({ ...s, songs: s.songs.filter(song => song !== cmd.name) }))
+        .filter(s => s.songs.length > 0);
+      if (!library.setlists.some(s => s.name === ui.activeSetlist)) ui.activeSetlist = null;
+      // The server drops the preset from its setlists the same way
+      pushLibraryChange({ method: 'DELETE', kind: 'presets', name: cmd.name });
+      break;
+    case 'setlist': {
+      const songs = cmd.songs.filter(song => library.presets.some(p => p.name === song));
+      if (songs.length === 0) break;
+      library = mergeLibrary(library, { presets: [], setlists: [{ name: cmd.name, songs }] });
+      pushLibraryChange({ method: 'PUT', kind: 'setlists', name: cmd.name, body: { songs } });
+      break;
+    }
+    case 'play':
+      if (setlist) {
+        ui.activeSetlist = setlist.name;
+        stepSetlist(0, 0);
+      }
+      break;
+    case 'export':
+      downloadLibrary();
+      break;
+    case 'import':
+      if (libraryInput) libraryInput.click();
+      break;
+  }
+  updateUI();
+}
+
+// Move through the active setlist: `delta` songs from the current one, or to `index` if given
+function stepSetlist(delta, index = ui.setlistIndex + delta) {
+  const setlist = library.setlists.find(s => s.name === ui.activeSetlist);
+  if (!setlist) return;
+
+  ui.setlistIndex = Math.max(0, Math.min(setlist.songs.length - 1, index));
+  const preset = library.presets.find(p => p.name === setlist.songs[ui.setlistIndex]);
+  if (preset) applyPreset(preset);
+}
+
+// Download all presets and setlists as JSON
+function downloadLibrary() {
+  downloadFile(serializeLibrary(library), 'application/json', 'metronome-setlists.json');
+}
+
+// Import a presets/setlists JSON file picked with the library input
+function importLibraryFile(file) {
+  if (!file) return Promise.resolve();
+
+  return file.text().then(text => {
+    const imported = parseLibrary(text);
+    if (!imported) {
+      console.error('Not a presets file:', file.name);
+      return;
+    }
+    library = mergeLibrary(library, imported);
+    pushLibraryChange(...libraryUploads(imported));
+    updateUI();
+  });
+}
+
+// Record every start/stop of `engine` as a practice session and hand it to
+// `save(session)` on stop:
+//   { start (ms since the epoch), duration (s),
+//     tempos: [{ at (s from the start), bpm, source ('start', 'set', 'tap', 'trainer', 'map') }],
+//     mutes: [{ at, setting (muting in prompt syntax, '' for off) }] }
+// `now()` is the wall clock in ms. Returns a function that stops recording.
+function recordPracticeSessions(engine, save, now = () => Date.now()) {
+  let session = null;
+  const elapsed = () => Math.max(0, (now() - session.start) / 1000);
+  const muteSetting = () => (isMutingActive(engine.state) ? formatMuteSetting(engine.state) : '');
+
+  const onStateChange = ({ isRunning }) => {
+    if (isRunning) {
+      session = {
+        start: now(),
+        duration: 0,
+        tempos: [{ at: 0, bpm: engine.bpm, source: 'start' }],
+        mutes: [{ at: 0, setting: muteSetting() }],
+      };
+    } else if (session) {
+      session.duration = elapsed();
+      save(session);
+      session = null;
+    }
+  };
+
+  const onTempoChange = ({ bpm, source }) => {
+    if (!session || bpm === session.tempos[session.tempos.length - 1].bpm) return;
+    session.tempos.push({ at: elapsed(), bpm, source });
+  };
+
+  // Muting has no event of its own; a change is noted with the next beat
+  const onBeat = () => {
+    if (!session) return;
+    const setting = muteSetting();
+    if (setting !== session.mutes[session.mutes.length - 1].setting) {
+      session.mutes.push({ at: elapsed(), setting });
+    }
+  };
+
+  const unsubscribe = [
+    engine.on('statechange', onStateChange),
+    engine.on('tempochange', onTempoChange),
+    engine.on('beat', onBeat),
+  ];
+  return () => unsubscribe.forEach(off => off());
+}
+
+// Parse a stored or exported practice log; invalid sessions are dropped.
+// Returns the sessions oldest first, or null if the text isn't a practice log.
+function parsePracticeLog(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.sessions)) return null;
+
+  const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const sessions = data.sessions.filter(session =>
+    session && isTime(session.start) && isTime(session.duration) &&
+    Array.isArray(session.tempos) && session.tempos.length > 0 &&
+    session.tempos.every(tempo => tempo && isTime(tempo.at) && typeof tempo.bpm === 'number' &&
+      tempo.bpm >= MIN_BPM && tempo.bpm <= MAX_BPM) &&
+    (session.mutes === undefined || (Array.isArray(session.mutes) &&
+      session.mutes.every(mute => mute && isTime(mute.at) && typeof mute.setting === 'string'))));
+
+  return sessions
+    .map(session => ({
+      start: session.start,
+      duration: session.duration,
+      tempos: session.tempos.map(({ at, bpm, source }) => ({ at, bpm, source: typeof source === 'string' ? source : 'set' })),
+      mutes: (session.mutes || []).map(({ at, setting }) => ({ at, setting })),
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+function serializePracticeLog(sessions) {
+  return JSON.stringify({ version: PRACTICE_VERSION, sessions }, null, 2);
+}
+
+// Seconds spent at each tempo of a session: [{ bpm, seconds }] by tempo
+function tempoDurations(session) {
+  const seconds = new Map();
+  session.tempos.forEach((tempo, i) => {
+    const next = session.tempos[i + 1];
+    const end = Math.min(next ? next.at : session.duration, session.duration);
+    seconds.set(tempo.bpm, (seconds.get(tempo.bpm) || 0) + Math.max(0, end - tempo.at));
+  });
+  return [...seconds].map(([bpm, time]) => ({ bpm, seconds: time })).sort((a, b) => a.bpm - b.bpm);
+}
+
+// Local calendar day of a time in ms, as YYYY-MM-DD
+function practiceDay(time) {
+  const date = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Totals over a practice log:
+//   { totalSeconds,
+//     days: [{ date, sessions, seconds, maxBpm }] oldest first, with the highest
+//           tempo held for any time that day (sessions count on the day they started),
+//     tempos: [{ bpm, seconds }] across all sessions, by tempo }
+function summarizePractice(sessions) {
+  const days = new Map();
+  const tempos = new Map();
+  let totalSeconds = 0;
+
+  sessions.forEach(session => {
+    const date = practiceDay(session.start);
+    if (!days.has(date)) days.set(date, { date, sessions: 0, seconds: 0, maxBpm: null });
+    const day = days.get(date);
+    day.sessions++;
+    day.seconds += session.duration;
+    totalSeconds += session.duration;
+
+    tempoDurations(session).forEach(({ bpm, seconds }) => {
+      tempos.set(bpm, (tempos.get(bpm) || 0) + seconds);
+      if (seconds > 0 && (day.maxBpm === null || bpm > day.maxBpm)) day.maxBpm = bpm;
+    });
+  });
+
+  return {
+    totalSeconds,
+    days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    tempos: [...tempos].map(([bpm, seconds]) => ({ bpm, seconds })).sort((a, b) => a.bpm - b.bpm),
+  };
+}
+
+// One row per session: start (ISO), duration, highest tempo, seconds per
+// tempo as "bpm:seconds" and the muting settings used, separated by ';'
+function practiceToCsv(sessions) {
+  const field = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = sessions.map(session => {
+    const tempos = tempoDurations(session);
+    return [
+      new Date(session.start).toISOString(),
+      session.duration.toFixed(1),
+      String(Math.max(...session.tempos.map(tempo => tempo.bpm))),
+      tempos.map(({ bpm, seconds }) => `${bpm}:${Math.round(seconds)}`).join(';'),
+      session.mutes.map(mute => mute.setting || 'off').join(';'),
+    ].map(field).join(',');
+  });
+  return ['start,duration_s,max_bpm,seconds_per_bpm,muting', ...rows].join('\n') + '\n';
+}
+
+// Practice time for the history view, e.g. 1h 05m, 42m or 35s
+function formatPracticeTime(seconds) {
+  const total = Math.round(seconds);
+  if (total < 60) return `${total}s`;
+  const minutes = Math.floor(total / 60);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function loadPracticeLog() {
+  try {
+    const stored = localStorage.getItem(PRACTICE_STORAGE_KEY);
+    practiceSessions = (stored && parsePracticeLog(stored)) || [];
+  } catch (e) {
+    console.error('Failed to load the practice log:', e);
+  }
+}
+
+function savePracticeLog() {
+  try {
+    localStorage.setItem(PRACTICE_STORAGE_KEY, serializePracticeLog(practiceSessions));
+  } catch (e) {
+    console.error('Failed to save the practice log:', e);
+  }
+}
+
+// Keep a finished session, dropping the oldest beyond MAX_PRACTICE_SESSIONS
+function addPracticeSession(session) {
+  practiceSessions.push(session);
+  if (practiceSessions.length > MAX_PRACTICE_SESSIONS) {
+    practiceSessions.splice(0, practiceSessions.length - MAX_PRACTICE_SESSIONS);
+  }
+  savePracticeLog();
+}
+
+// Run a command from the practice log prompt: show (toggle the history), hide,
+// csv, json or clear. Returns an error message, or null.
+function runPracticeCommand(text) {
+  switch (String(text).trim().toLowerCase()) {
+    case '':
+    case 'show':
+      ui.showHistory = !ui.showHistory;
+      break;
+    case 'hide':
+      ui.showHistory = false;
+      break;
+    case 'csv':
+      downloadFile(practiceToCsv(practiceSessions), 'text/csv', 'metronome-practice.csv');
+      break;
+    case 'json':
+      downloadFile(serializePracticeLog(practiceSessions), 'application/json', 'metronome-practice.json');
+      break;
+    case 'clear':
+      practiceSessions = [];
+      savePracticeLog();
+      break;
+    default:
+      return `Unknown practice log command: ${String(text).trim()} (show, hide, csv, json or clear)`;
+  }
+  updateUI();
+  return null;
+}
+
+// The history view: total time, the last HISTORY_DAYS days practiced with
+// their highest tempo, and the tempos practiced longest
+function updateHistory() {
+  if (!historyEl) return;
+  if (!ui.showHistory) {
+    historyEl.style.display = 'none';
+    return;
+  }
+
+  const summary = summarizePractice(practiceSessions);
+  const lines = [`Practice log: ${formatPracticeTime(summary.totalSeconds)} in ${practiceSessions.length} session${practiceSessions.length === 1 ? '' : 's'}`];
+  summary.days.slice(-HISTORY_DAYS).forEach(day => {
+    const tempo = day.maxBpm === null ? '' : `, up to ${day.maxBpm} BPM`;
+    lines.push(`${day.date}: ${formatPracticeTime(day.seconds)}${tempo}`);
+  });
+  const longest = summary.tempos.slice().sort((a, b) => b.seconds - a.seconds).slice(0, 3).filter(tempo => tempo.seconds > 0);
+  if (longest.length > 0) {
+    lines.push(`Most practiced: ${longest.map(({ bpm, seconds }) => `${bpm} BPM (${formatPracticeTime(seconds)})`).join(', ')}`);
+  }
+
+  const text = lines.join('\n');
+  if (historyEl.textContent !== text) historyEl.textContent = text;
+  historyEl.style.display = 'block';
+}
+
+// Parse deep link query parameters into settings. Numbers out of range are
+// clamped, anything unparseable is ignored. Returns { settings, autostart }.
+function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const settings = {};
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  const number = name => {
+    const value = params.has(name) ? parseFloat(params.get(name)) : NaN;
+    return isFinite(value) ? value : null;
+  };
+
+  const bpm = number('bpm');
+  if (bpm !== null) settings.bpm = clampTempo(bpm, DEFAULT_TEMPO_RANGE);
+
+  const meter = params.has('meter') && parseMeter(params.get('meter'));
+  if (meter) {
+    settings.meter = meter;
+    settings.accentPattern = defaultAccentPattern(meter);
+  }
+
+  const beats = (settings.meter || createRenderSettings().meter).beats;
+  const accents = params.has('accents') && parseAccentPattern(params.get('accents'), beats);
+  if (accents) settings.accentPattern = accents;
+
+  const layers = params.has('sub') && parseSubdivisionLayers(params.get('sub'));
+  if (layers) settings.subdivisionLayers = layers;
+
+  const swing = number('swing');
+  if (swing !== null) settings.swing = clamp(swing, MIN_SWING * 100, MAX_SWING * 100) / 100;
+
+  const polyrhythm = params.has('poly') && parsePolyrhythm(params.get('poly'));
+  if (polyrhythm) settings.polyrhythm = polyrhythm;
+
+  const trainer = params.has('trainer') && parseTrainer(params.get('trainer'));
+  if (trainer) {
+    settings.trainer = trainer;
+    settings.bpm = trainer.startBpm;
+  }
+
+  const tempoMap = params.has('map') && parseTempoMap(params.get('map'));
+  if (tempoMap) {
+    settings.tempoMap = tempoMap;
+    settings.bpm = tempoMap.sections[0].bpm;
+  }
+
+  // A bare percentage is clamped; other muting modes must parse as typed
+  if (params.has('mute')) {
+    const text = params.get('mute').trim();
+    const mute = /^\d+(\.\d+)?$/.test(text)
+      ? parseMuteSetting(String(clamp(Math.round(parseFloat(text)), 0, 100)))
+      : parseMuteSetting(text);
+    if (mute) Object.assign(settings, mute);
+  }
+
+  const voice = params.has('voice') && parseVoiceSetting(params.get('voice'));
+  if (voice && voice.voice !== 'sample') Object.assign(settings, voice);
+
+  const autostart = ['1', 'true', 'yes'].includes((params.get('autostart') || '').toLowerCase());
+  return { settings, autostart };
+}
+
+// Query string for the settings that differ from the defaults, so links stay short
+function serializeUrlState(settings) {
+  const defaults = createRenderSettings({ meter: settings.meter });
+  const params = new URLSearchParams();
+  const add = (name, value, defaultValue) => {
+    if (value !== defaultValue) params.set(name, value);
+  };
+
+  add('bpm', formatTempo(settings.bpm), formatTempo(createRenderSettings().bpm));
+  add('meter', formatMeter(settings.meter), '4/4');
+  add('accents', formatAccentPattern(settings.accentPattern), formatAccentPattern(defaults.accentPattern));
+  add('sub', formatSubdivisionLayers(settings.subdivisionLayers), '');
+  add('swing', String(Math.round(settings.swing * 100)), String(MIN_SWING * 100));
+  if (settings.polyrhythm) params.set('poly', formatPolyrhythm(settings.polyrhythm));
+  if (settings.trainer) params.set('trainer', formatTrainer(settings.trainer));
+  if (settings.tempoMap) params.set('map', formatTempoMap(settings.tempoMap));
+  if (isMutingActive(settings) || settings.keepDownbeat || settings.muteSeed !== null) {
+    params.set('mute', formatMuteSetting(settings));
+  }
+  if (settings.voice !== 'sample') add('voice', formatVoiceSetting(settings), formatVoiceSetting(defaults));
+
+  return params.toString();
+}
+
+// Load settings from the page URL
+function applyUrlState() {
+  const { settings, autostart } = parseUrlState(window.location.search);
+  engine.configure(settings);
+  if (autostart) start();
+}
+
+// Keep the address bar in sync with the settings without reloading, so the
+// current setup can be shared as a link
+function syncUrl() {
+  if (typeof window === 'undefined' || !window.history || !window.history.replaceState) return;
+
+  const query = serializeUrlState(state);
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, '', url);
+  }
+}
+
+// NTP-style clock offset (server minus local, ms) from ping exchanges
+// { t0: sent, t1: server received, t2: server replied, t3: reply received }.
+// The exchange with the shortest round trip is the most trustworthy.
+function estimateClockOffset(samples) {
+  let best = null;
+  samples.forEach(({ t0, t1, t2, t3 }) => {
+    const delay = (t3 - t0) - (t2 - t1);
+    if (!best || delay < best.delay) {
+      best = { offset: ((t1 - t0) + (t2 - t3)) / 2, delay };
+    }
+  });
+  return best;
+}
+
+// The shared part of the settings as a timeline message; the leader adds
+// where the next beat falls when running
+function buildTimeline(settings) {
+  return {
+    type: 'timeline',
+    bpm: settings.bpm,
+    settings: serializeUrlState(createRenderSettings(pick(settings, SYNC_FIELDS))),
+    running: settings.isRunning,
+  };
+}
+
+// Settings from a timeline message; fields the leader left at their default
+// are reset, and the leader's tempo replaces the speed trainer and tempo map
+function parseTimeline(message) {
+  const { settings } = parseUrlState(`?${message.settings || ''}`);
+  return { ...pick(createRenderSettings(settings), SYNC_FIELDS), trainer: null, tempoMap: null, bpm: message.bpm };
+}
+
+// Join a band sync room on the server the app came from
+function joinBand(room) {
+  leaveBand();
+  if (typeof WebSocket === 'undefined') {
+    console.error('WebSocket is not supported in this browser');
+    return;
+  }
+
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(`${protocol}//${window.location.host}${SYNC_PATH}`);
+  const sync = { socket, room, leader: false, members: 0, samples: [], offset: null, timeline: null, lastSent: null, refreshId: null };
+  ui.sync = sync;
+
+  socket.onopen = () => {
+    sendSync(sync, { type: 'join', room });
+    measureClockOffset(sync);
+    sync.refreshId = setInterval(() => {
+      measureClockOffset(sync);
+      // Followers that joined late or drifted line up again
+      publishTimeline(true);
+    }, SYNC_REFRESH);
+  };
+  socket.onmessage = event => {
+    try {
+      handleSyncMessage(sync, JSON.parse(event.data));
+    } catch (error) {
+      console.error('Invalid band sync message:', error);
+    }
+  };
+  socket.onerror = () => console.error('Band sync connection failed');
+  socket.onclose = () => {
+    clearInterval(sync.refreshId);
+    if (ui.sync === sync) {
+      ui.sync = null;
+      updateUI();
+    }
+  };
+}
+
+function leaveBand() {
+  if (!ui.sync) return;
+  const sync = ui.sync;
+  ui.sync = null;
+  clearInterval(sync.refreshId);
+  sync.socket.close();
+}
+
+function sendSync(sync, message) {
+  if (sync.socket.readyState === WebSocket.OPEN) sync.socket.send(JSON.stringify(message));
+}
+
+// A burst of pings; each pong refines the offset estimate
+function measureClockOffset(sync) {
+  for (let i = 0; i < SYNC_PINGS; i++) {
+    setTimeout(() => sendSync(sync, { type: 'ping', t0: performance.now() }), i * SYNC_PING_INTERVAL);
+  }
+}
+
+function handleSyncMessage(sync, message) {
+  if (ui.sync !== sync) return;
+
+  if (message.type === 'members') {
+    sync.members = message.count;
+    if (message.leader && !sync.leader) sync.lastSent = null; // Announce the timeline as the new leader
+    sync.leader = message.leader;
+    updateUI();
+  } else if (message.type === 'pong') {
+    sync.samples.push({ t0: message.t0, t1: message.t1, t2: message.t2, t3: performance.now() });
+    if (sync.samples.length > SYNC_PINGS) sync.samples.shift();
+    const firstEstimate = sync.offset === null;
+    sync.offset = estimateClockOffset(sync.samples).offset;
+    if (firstEstimate) {
+      // Anything that waited for the offset can go now
+      if (sync.timeline && !sync.leader) followTimeline(sync.timeline);
+      publishTimeline();
+    }
+  } else if (message.type === 'timeline') {
+    sync.timeline = message;
+    if (!sync.leader && sync.offset !== null) followTimeline(message);
+  } else if (message.type === 'error') {
+    console.error('Band sync:', message.message);
+  }
+}
+
+// Leader: send the timeline when the shared settings or running state change,
+// or with `force` to send a fresh anchor. Called from updateUI(), which runs
+// after every change, and every SYNC_REFRESH.
+function publishTimeline(force = false) {
+  const sync = ui.sync;
+  if (!sync || !sync.leader || sync.offset === null) return;
+
+  const timeline = buildTimeline(state);
+  const signature = JSON.stringify(timeline);
+  if (!force && signature === sync.lastSent) return;
+  sync.lastSent = signature;
+
+  if (state.isRunning) {
+    // The next beat on the server clock
+    const local = performance.now() + (state.nextNoteTime - engine.clock.now()) * 1000;
+    timeline.anchor = { time: local + sync.offset, beat: state.currentBeat };
+  }
+  sendSync(sync, timeline);
+}
+
+// Follower: take the leader's settings and line the beats up with its timeline
+function followTimeline(message) {
+  engine.configure(parseTimeline(message));
+
+  if (!message.running || !message.anchor) {
+    stop();
+    return;
+  }
+
+  const local = message.anchor.time - ui.sync.offset;
+  const time = engine.clock.now() + (local - performance.now()) / 1000;
+  if (engine.isRunning) {
+    // Small errors are left alone rather than moving the beat under the player
+    if (engine.alignmentError(time, message.anchor.beat) > SYNC_TOLERANCE) engine.align(time, message.anchor.beat);
+  } else {
+    start(time, message.anchor.beat);
+  }
+  updateUI();
+}
+
+// Start metronome once the audio context can play, optionally with a beat at
+// an audio clock `time` (see MetronomeEngine.start())
+function start(time, beat) {
+  if (engine.isRunning) return;
+
+  // For iOS, if audio context doesn't exist yet, trigger creation
+  if (isIOS() && !audioContext) {
+    console.log('iOS: Audio context not ready yet, metronome will start after user interaction');
+    // Don't start metronome yet - wait for audio context creation
+    return;
+  }
+
+  // Try to resume audio context if suspended
+  if (audioContext && audioContext.state === 'suspended') {
+    audioContext.resume().then(() => {
+      audioInitialized = true;
+      console.log('Audio context resumed when starting metronome');
+      engine.start(time, beat);
+    }).catch(error => {
+      console.error('Failed to resume audio context:', error);
+      engine.start(time, beat); // Start anyway, audio might work on next interaction
+    });
+  } else {
+    engine.start(time, beat);
+  }
+}
+
+// Remove the notes that have sounded by `now` from the front of the queue and
+// return the latest of them, or null if none is due yet
+function takeDueNote(queue, now) {
+  let note = null;
+  while (queue.length > 0 && queue[0].time <= now) {
+    note = queue.shift();
+  }
+  return note;
+}
+
+// Animation loop: light the indicator for each note when the audio clock
+// reaches its scheduled time, and turn it off FLASH_DURATION later
+function drawLoop() {
+  if (audioContext) {
+    const now = audioContext.currentTime;
+    const note = takeDueNote(ui.noteQueue, now);
+    if (note) {
+      showNote(note);
+      ui.flashUntil = note.time + FLASH_DURATION;
+    } else if (ui.flashUntil && now >= ui.flashUntil) {
+      clearFlash();
+      ui.flashUntil = 0;
+    }
+  }
+  updateDiagnostics();
+  ui.animationFrameId = requestAnimationFrame(drawLoop);
+}
+
+function startDrawLoop() {
+  if (typeof requestAnimationFrame === 'undefined' || ui.animationFrameId) return;
+  ui.animationFrameId = requestAnimationFrame(drawLoop);
+}
+
+function stopDrawLoop() {
+  if (ui.animationFrameId) {
+    cancelAnimationFrame(ui.animationFrameId);
+    ui.animationFrameId = null;
+  }
+  ui.noteQueue = [];
+  clearFlash();
+}
+
+// One dot per beat of the bar (or per polyrhythm voice), styled by accent
+function buildBeatIndicator() {
+  if (!indicatorEl) return;
+
+  const levels = state.polyrhythm
+    ? state.polyrhythm.voices.map(voice => (voice.muted ? 'silent' : 'strong'))
+    : state.accentPattern;
+  const signature = levels.join(',');
+  if (indicatorEl.dataset.signature === signature) return;
+
+  indicatorEl.dataset.signature = signature;
+  indicatorEl.innerHTML = '';
+  levels.forEach(level => {
+    const dot = document.createElement('span');
+    dot.className = `beat-dot beat-dot--${level}`;
+    indicatorEl.appendChild(dot);
+  });
+}
+
+// Light the dot for a note; muted beats move the position without flashing.
+// The meter is the note's own, as a new one is scheduled ahead of the display.
+function showNote(note) {
+  if (!state.polyrhythm) updateBeatDisplay(note.beat, note.meter);
+  if (state.tempoMap) updateTempoMapDisplay(note.section);
+  if (!indicatorEl) return;
+
+  buildBeatIndicator();
+  Array.from(indicatorEl.children).forEach((dot, index) => {
+    dot.classList.toggle('current', index === note.beat);
+    dot.classList.toggle('lit', index === note.beat && !note.muted);
+  });
+
+  if (flashEl && ui.fullscreenFlash && !note.muted && note.accent !== 'silent') {
+    flashEl.className = `flash-overlay flash-overlay--${note.accent} lit`;
+  }
+}
+
+function clearFlash() {
+  if (indicatorEl) {
+    Array.from(indicatorEl.children).forEach(dot => dot.classList.remove('lit'));
+  }
+  if (flashEl) flashEl.classList.remove('lit');
+}
+
+// Scheduling readout, refreshed every frame while running
+function updateDiagnostics() {
+  if (!diagnosticsEl) return;
+  if (!ui.showDiagnostics) {
+    diagnosticsEl.style.display = 'none';
+    return;
+  }
+
+  const d = summarizeDiagnostics(state.diagnostics);
+  const lateText = d.lateNotes > 0 ? ` (max ${d.maxLateness.toFixed(1)} ms)` : '';
+  const text = `Timer: ${engine.timer.kind} | Jitter: ${d.meanJitter.toFixed(1)} ms (max ${d.maxJitter.toFixed(1)}) | Late notes: ${d.lateNotes}${lateText}`;
+  if (diagnosticsEl.textContent !== text) diagnosticsEl.textContent = text;
+  diagnosticsEl.style.display = 'block';
+}
+
+// Turn the tap-along trainer on or off; the microphone goes off with it
+function toggleTapAccuracy() {
+  if (ui.accuracy) stopMic();
+  ui.accuracy = ui.accuracy ? null : createTapAccuracy();
+  updateUI();
+}
+
+// The mic prompt: "on", "on 20" or "20" (extra latency in ms), or "off".
+// Returns { on, latency (s) } or null.
+function parseMicSetting(text) {
+  const match = /^\s*(?:(off)|(?:on)?\s*(\d+(?:\.\d+)?)?)\s*$/i.exec(String(text));
+  if (!match || (!match[1] && !/\S/.test(text))) return null;
+  if (match[1]) return { on: false, latency: 0 };
+
+  const latency = match[2] === undefined ? 0 : Number(match[2]);
+  return latency <= MAX_MIC_LATENCY_MS ? { on: true, latency: latency / 1000 } : null;
+}
+
+function applyMicSetting(text) {
+  const setting = parseMicSetting(text);
+  if (!setting) return;
+
+  stopMic();
+  if (setting.on) startMic(setting.latency);
+}
+
+// Listen through the microphone and score the onsets of what is played like
+// tap-along taps. A perfectly timed note scheduled with a click at t reaches
+// the detector at t plus the output latency, the input latency and whatever
+// extra latency was given in the prompt; that sum is subtracted.
+async function startMic(extraLatency) {
+  if (!audioContext || !audioContext.audioWorklet || typeof navigator === 'undefined' || !navigator.mediaDevices) {
+    console.error('Microphone input is not supported in this browser');
+    return;
+  }
+
+  const request = ++ui.micRequest;
+  let stream = null;
+  try {
+    // Processing meant for speech smears the attacks the detector looks for
+    stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+    });
+    await audioContext.audioWorklet.addModule('onset-worklet.js');
+    // Turned off or asked for again while waiting for permission
+    if (request !== ui.micRequest) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    const source = audioContext.createMediaStreamSource(stream);
+    const node = new AudioWorkletNode(audioContext, 'capture', { numberOfOutputs: 0 });
+    const detector = createOnsetDetector(audioContext.sampleRate);
+    const inputLatency = stream.getAudioTracks()[0].getSettings().latency || 0;
+    const latency = () => (audioContext.outputLatency || 0) + inputLatency + extraLatency;
+
+    node.port.onmessage = ({ data }) => {
+      const onsets = detector.process(data.samples, data.time);
+      if (!state.isRunning || !ui.accuracy || onsets.length === 0) return;
+      onsets.forEach(time => recordAccuracyTap(ui.accuracy, time - latency(), 60 / state.bpm));
+      updateUI();
+    };
+    source.connect(node);
+
+    ui.mic = { stream, source, node, latency };
+    if (!ui.accuracy) ui.accuracy = createTapAccuracy();
+  } catch (error) {
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    if (request !== ui.micRequest) return;
+    console.error('Failed to open the microphone:', error);
+  }
+  updateUI();
+}
+
+function stopMic() {
+  // Also cancels a startMic() still waiting for the microphone
+  ui.micRequest++;
+  if (!ui.mic) return;
+  ui.mic.node.port.onmessage = null;
+  ui.mic.source.disconnect();
+  ui.mic.stream.getTracks().forEach(track => track.stop());
+  ui.mic = null;
+  updateUI();
+}
+
+// Score a tap against the scheduled beats. A click scheduled at t is heard at
+// t plus the output latency, so that is subtracted from the tap's clock time.
+function scoreTap() {
+  const latency = (audioContext && audioContext.outputLatency) || 0;
+  recordAccuracyTap(ui.accuracy, engine.clock.now() - latency, 60 / state.bpm);
+  updateUI();
+}
+
+// e.g. +12 ms late, -8 ms early
+function formatTapOffset(offset) {
+  const ms = Math.round(offset);
+  if (ms === 0) return '0 ms';
+  return `${ms > 0 ? '+' : '-'}${Math.abs(ms)} ms ${ms > 0 ? 'late' : 'early'}`;
+}
+
+// The tap-along readout: the last tap on the early/late meter and running
+// stats while playing, the summary with a histogram after stopping
+function updateAccuracy() {
+  if (!accuracyEl) return;
+  if (!ui.accuracy) {
+    accuracyEl.style.display = 'none';
+    if (accuracyMeterEl) accuracyMeterEl.style.display = 'none';
+    return;
+  }
+
+  const taps = ui.accuracy.taps;
+  const all = summarizeAccuracy(taps);
+  const silent = summarizeAccuracy(taps.filter(tap => tap.muted));
+  const stats = (label, summary) =>
+    `${label}: ${summary.count} tap${summary.count === 1 ? '' : 's'}, mean ${formatTapOffset(summary.mean)}, SD ${Math.round(summary.sd)} ms`;
+
+  const label = ui.mic ? `Mic (latency ${Math.round(ui.mic.latency() * 1000)} ms)` : 'Tap-along';
+  const action = ui.mic ? 'play on every beat' : 'tap T or TAP on every beat';
+  const lines = [];
+  if (taps.length === 0) {
+    lines.push(state.isRunning ? `${label}: ${action}` : `${label}: press SPACE, then ${action}`);
+  } else if (state.isRunning) {
+    lines.push(`${label}: last ${formatTapOffset(taps[taps.length - 1].offset)}`);
+    lines.push(stats('All beats', all));
+    if (silent.count > 0) lines.push(stats('Silent beats', silent));
+  } else {
+    lines.push(stats(label, all));
+    if (silent.count > 0) lines.push(stats('Silent beats', silent));
+    const most = Math.max(...all.histogram.map(bin => bin.count));
+    all.histogram.forEach(({ from, count }) => {
+      const label = `${from > 0 ? '+' : ''}${from}`.padStart(4);
+      lines.push(`${label} ms ${'█'.repeat(Math.round((count / most) * 20))} ${count || ''}`.trimEnd());
+    });
+  }
+
+  const text = lines.join('\n');
+  if (accuracyEl.textContent !== text) accuracyEl.textContent = text;
+  accuracyEl.style.display = 'block';
+
+  // The marker sits left of the center line for early taps, right for late ones
+  if (accuracyMeterEl) {
+    const last = taps[taps.length - 1];
+    accuracyMeterEl.style.display = state.isRunning ? 'block' : 'none';
+    const marker = accuracyMeterEl.firstElementChild;
+    if (marker && last) {
+      const position = Math.max(-1, Math.min(1, last.offset / ACCURACY_RANGE_MS));
+      marker.style.left = `${50 + position * 50}%`;
+      marker.classList.toggle('late', last.offset > 0);
+      marker.style.display = 'block';
+    } else if (marker) {
+      marker.style.display = 'none';
+    }
+  }
+}
+
+// Stop metronome
+function stop() {
+  engine.stop();
+}
+
+// Drop intervals too far from the median, e.g. a missed or doubled tap. With
+// fewer than three intervals there is no telling which is the outlier, and if
+// every one is off the median the taps are just uneven, so all are kept.
+function rejectTapOutliers(intervals) {
+  if (intervals.length < 3) return intervals;
+  const sorted = intervals.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  const kept = intervals.filter(interval => Math.abs(interval - median) <= median * TAP_OUTLIER_TOLERANCE);
+  return kept.length > 0 ? kept : intervals;
+}
+
+// Estimated BPM from tap timestamps (ms) within the settings' tempo range, or
+// null until there are two taps
+function estimateTapTempo(tapTimes, settings = DEFAULT_TEMPO_RANGE) {
+  if (tapTimes.length < 2) return null;
+
+  const intervals = [];
+  for (let i = 1; i < tapTimes.length; i++) {
+    intervals.push(tapTimes[i] - tapTimes[i - 1]);
+  }
+
+  const bpm = calculateBpmFromInterval(rejectTapOutliers(intervals));
+  return bpm === null ? null : clampTempo(bpm, settings);
+}
+
+// Handle tap tempo. Works while stopped, so the tempo can be set before starting.
+function handleTapTempo() {
+  // Tap-along: taps are scored against the beat instead of setting the tempo
+  if (ui.accuracy && state.isRunning) {
+    scoreTap();
+    return;
+  }
+
+  // A run of taps is undone as one change, back to the tempo before the first
+  const now = performance.now();
+  const sameRun = engine.isTapping(now) && ui.undoStack[ui.undoStack.length - 1] === ui.tapUndo;
+  const before = undoSnapshot();
+  engine.tap(now);
+  if (!sameRun) ui.tapUndo = recordUndo(before);
+
+  updateUI();
+  // Clear the tapping readout once the sequence times out
+  setTimeout(updateUI, TAP_TIMEOUT + 10);
+}
+
+// Handle random muting input
+function handleRandomMuting() {
+  // Show input field with current value
+  randomInput.style.display = 'block';
+  randomInput.value = formatMuteSetting(state);
+  randomInput.focus();
+  randomInput.select();
+}
+
+// Apply random muting when input is confirmed
+function applyRandomMuting() {
+  const before = undoSnapshot();
+  engine.setMute(randomInput.value);
+  recordUndo(before);
+  randomInput.style.display = 'none';
+  updateUI();
+}
+
+// Open the text input for a setting
+function openSettingPrompt(mode) {
+  ui.promptMode = mode;
+  settingInput.style.display = 'block';
+  settingInput.setAttribute('aria-label', PROMPT_LABELS[mode]);
+  if (mode === 'meter') {
+    settingInput.value = formatMeter(state.meter);
+    settingInput.placeholder = METER_PRESETS.join(' ');
+  } else if (mode === 'accent') {
+    settingInput.value = formatAccentPattern(state.accentPattern);
+    settingInput.placeholder = 's m w -';
+  } else if (mode === 'subdivision') {
+    settingInput.value = formatSubdivisionLayers(state.subdivisionLayers);
+    settingInput.placeholder = Object.keys(SUBDIVISION_CODES).join(' ');
+  } else if (mode === 'trainer') {
+    settingInput.value = state.trainer ? formatTrainer(state.trainer) : '';
+    settingInput.placeholder = '60>120 5 4b';
+  } else if (mode === 'tempoMap') {
+    settingInput.value = state.tempoMap ? formatTempoMap(state.tempoMap) : '';
+    settingInput.placeholder = 'intro 8b 90 4/4, bridge 8b 72 6/8, outro 4b 90>60';
+  } else if (mode === 'polyrhythm') {
+    settingInput.value = state.polyrhythm ? formatPolyrhythm(state.polyrhythm) : '';
+    settingInput.placeholder = '3:2 4:3 5:4 7:4';
+  } else if (mode === 'voice') {
+    settingInput.value = formatVoiceSetting(state);
+    settingInput.placeholder = CLICK_VOICES.join(' ');
+  } else if (mode === 'export') {
+    settingInput.value = '16 wav';
+    settingInput.placeholder = 'bars wav|mid';
+  } else if (mode === 'library') {
+    settingInput.value = ui.currentPreset ? `save ${ui.currentPreset}` : '';
+    const where = ui.libraryServer ? 'shared on the server' : 'this browser only';
+    settingInput.placeholder = `save|load|delete <name>, setlist <name>: a, b, play <name>, export, import (${where})`;
+  } else if (mode === 'mic') {
+    settingInput.value = ui.mic ? 'off' : 'on';
+    settingInput.placeholder = 'on, on <extra latency ms>, off (use headphones)';
+  } else if (mode === 'practice') {
+    settingInput.value = ui.showHistory ? 'hide' : 'show';
+    const count = practiceSessions.length;
+    settingInput.placeholder = `show|hide history, csv, json, clear (${count} session${count === 1 ? '' : 's'} logged)`;
+  } else if (mode === 'access') {
+    settingInput.value = formatAccessSetting(ui.access);
+    settingInput.placeholder = 'announce vibrate contrast, or off';
+  } else if (mode === 'band') {
+    settingInput.value = ui.sync ? ui.sync.room : '';
+    settingInput.placeholder = 'room name (empty to leave)';
+  } else if (mode === 'midi') {
+    const { inputs, outputs } = listMidiPorts(ui.midiAccess);
+    const list = ports => ports.map((port, i) => `${i + 1} ${port.name}`).join(', ') || 'none';
+    settingInput.value = '';
+    settingInput.placeholder = `out: ${list(outputs)} | in: ${list(inputs)} | off`;
+  } else {
+    settingInput.value = Math.round(state.swing * 100);
+    settingInput.placeholder = '50-75';
+  }
+  settingInput.focus();
+  settingInput.select();
+}
+
+// Open the setting input as a command line, starting with the key that
+// opened it (a digit, + or -), see parseCommand()
+function openCommandLine(text = '') {
+  ui.promptMode = 'command';
+  ui.commandHistoryIndex = ui.commandHistory.length;
+  settingInput.style.display = 'block';
+  settingInput.setAttribute('aria-label', PROMPT_LABELS.command);
+  settingInput.value = text;
+  settingInput.placeholder = '120, +5, r35, m7/8, u';
+  showCommandError(null);
+  settingInput.focus();
+  settingInput.setSelectionRange(text.length, text.length);
+}
+
+// Run the typed command. An invalid one keeps the command line open with the
+// error shown, so it can be corrected.
+function runCommandLine() {
+  const text = settingInput.value.trim();
+  const command = parseCommand(text, state);
+  const error = command && (command.error || applyCommand(command));
+
+  if (text && ui.commandHistory[ui.commandHistory.length - 1] !== text) {
+    ui.commandHistory.push(text);
+    if (ui.commandHistory.length > COMMAND_HISTORY_SIZE) ui.commandHistory.shift();
+  }
+  ui.commandHistoryIndex = ui.commandHistory.length;
+
+  if (error) {
+    showCommandError(error);
+    return;
+  }
+  closeSettingPrompt();
+}
+
+// Apply a parsed command, remembering what it replaced for undo. Returns an
+// error message, or null.
+function applyCommand(command) {
+  if (command.command === 'undo') {
+    const previous = ui.undoStack.pop();
+    if (!previous) return 'Nothing to undo';
+    applySettingFields(previous);
+    return null;
+  }
+
+  const { fields } = command;
+  // 'sample' only once a sample has been loaded with U
+  if (fields.voice === 'sample' && !sampleBuffer) return 'Load a sample with U first';
+
+  const before = undoSnapshot();
+  applySettingFields(fields);
+  recordUndo(before);
+  return null;
+}
+
+// The settings "u" can bring back, as they are now
+function undoSnapshot() {
+  return JSON.parse(JSON.stringify(pick(state, UNDO_FIELDS)));
+}
+
+// Remember what a change from the keyboard, a button or a prompt replaced:
+// the fields that differ from `before` (see undoSnapshot()). Returns the undo
+// entry, or null when nothing changed.
+function recordUndo(before) {
+  const changed = UNDO_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(state[field]));
+  if (changed.length === 0) return null;
+
+  const entry = pick(before, changed);
+  ui.undoStack.push(entry);
+  if (ui.undoStack.length > UNDO_DEPTH) ui.undoStack.shift();
+  return entry;
+}
+
+// Muting goes through setMute() so a seed restarts the pattern; the tempo
+// range is kept for next time
+function applySettingFields(fields) {
+  engine.configure(fields);
+  if (fields.muteMode !== undefined) engine.setMute(fields);
+  if (fields.minBpm !== undefined) savePreferences();
+  updateUI();
+}
+
+// Show an earlier (-1) or later (1) line of the command history; past the
+// latest the line is empty again
+function stepCommandHistory(step) {
+  ui.commandHistoryIndex = Math.max(0, Math.min(ui.commandHistory.length, ui.commandHistoryIndex + step));
+  settingInput.value = ui.commandHistory[ui.commandHistoryIndex] || '';
+  settingInput.setSelectionRange(settingInput.value.length, settingInput.value.length);
+}
+
+// Show an error under the command line; null hides it
+function showCommandError(message) {
+  if (!commandErrorEl) return;
+  commandErrorEl.textContent = message || '';
+  commandErrorEl.style.display = message ? 'block' : 'none';
+}
+
+// Accessibility options from the access prompt; invalid input changes nothing
+function applyAccessSetting(text) {
+  const access = parseAccessSetting(text);
+  if (!access) return;
+  ui.access = access;
+  // Turning announcements on shouldn't read out what changed while they were off
+  ui.announced = readAnnouncement();
+  applyAccess();
+  savePreferences();
+}
+
+// The high contrast theme also stops animations and full-screen flashing
+function applyAccess() {
+  if (typeof document !== 'undefined' && document.body) {
+    document.body.classList.toggle('high-contrast', ui.access.contrast);
+  }
+  if (announcerEl && !ui.access.announce) announcerEl.textContent = '';
+}
+
+// Status, tempo and muting as a screen reader hears them
+function readAnnouncement() {
+  return {
+    status: state.isRunning ? 'Running' : 'Stopped',
+    tempo: `${formatTempo(state.bpm)} BPM`,
+    muting: isMutingActive(state) ? describeMuting(state) : 'Muting off',
+  };
+}
+
+// Called on every display update: what changed is announced through the live
+// region once changes have settled for ANNOUNCE_DELAY_MS
+function scheduleAnnouncement() {
+  if (!announcerEl || !ui.access.announce || ui.announceTimer) return;
+  ui.announceTimer = setTimeout(flushAnnouncement, ANNOUNCE_DELAY_MS);
+}
+
+function flushAnnouncement() {
+  ui.announceTimer = null;
+  const current = readAnnouncement();
+  const message = describeAnnouncement(ui.announced, current);
+  ui.announced = current;
+  if (message && ui.access.announce) announcerEl.textContent = message;
+}
+
+// Pulse the vibration motor when a beat sounds. Beats are scheduled ahead on
+// the audio clock, so wait out the difference plus the output latency.
+function scheduleVibration(note) {
+  const pulse = vibrationPulse(note);
+  if (!pulse || typeof navigator === 'undefined' || !navigator.vibrate) return;
+
+  const latency = (audioContext && audioContext.outputLatency) || 0;
+  const delay = (note.time + latency - engine.clock.now()) * 1000;
+  setTimeout(() => {
+    if (engine.isRunning) navigator.vibrate(pulse);
+  }, Math.max(0, delay));
+}
+
+function loadPreferences() {
+  try {
+    const stored = localStorage.getItem(PREFERENCES_STORAGE_KEY);
+    const preferences = stored && parsePreferences(stored);
+    if (!preferences) return;
+    ui.keyBindings = preferences.keys;
+    engine.configure({ minBpm: preferences.minBpm, maxBpm: preferences.maxBpm });
+    if (preferences.access) ui.access = preferences.access;
+  } catch (e) {
+    console.error('Failed to load preferences:', e);
+  }
+}
+
+function savePreferences() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(PREFERENCES_STORAGE_KEY, serializePreferences({
+      keys: ui.keyBindings,
+      minBpm: state.minBpm,
+      maxBpm: state.maxBpm,
+      access: ui.access,
+    }));
+  } catch (e) {
+    console.error('Failed to save preferences:', e);
+  }
+}
+
+// Open the key settings: every action with its key, and a last row that
+// resets them all
+function openKeyPanel() {
+  ui.keyPanel = { index: 0, capturing: false, message: null };
+  renderKeyPanel();
+}
+
+function closeKeyPanel() {
+  ui.keyPanel = null;
+  renderKeyPanel();
+  updateUI();
+}
+
+// Keys while the key settings are open: arrows pick a row, Enter waits for
+// the new key, Delete unbinds, Escape closes
+function handleKeyPanelKey(e) {
+  const panel = ui.keyPanel;
+  const rows = KEY_ACTIONS.length + 1;
+  e.preventDefault();
+
+  if (panel.capturing) {
+    if (e.code === 'Escape') {
+      panel.capturing = false;
+      panel.message = null;
+    } else {
+      // A taken key keeps waiting, so another one can be pressed
+      setKeyBinding(KEY_ACTIONS[panel.index].action, e.code);
+    }
+    renderKeyPanel();
+    return;
+  }
+
+  if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+    panel.index = (panel.index + (e.code === 'ArrowUp' ? -1 : 1) + rows) % rows;
+    panel.message = null;
+  } else if (e.code === 'Enter' || e.code === 'Space') {
+    selectKeyRow(panel.index);
+    return;
+  } else if ((e.code === 'Delete' || e.code === 'Backspace') && panel.index < KEY_ACTIONS.length) {
+    setKeyBinding(KEY_ACTIONS[panel.index].action, null);
+  } else if (e.code === 'Escape' || actionForKey(ui.keyBindings, e.code) === 'keys') {
+    closeKeyPanel();
+    return;
+  }
+  renderKeyPanel();
+}
+
+// Start waiting for a new key for a row, or reset every key on the last row
+function selectKeyRow(index) {
+  const panel = ui.keyPanel;
+  panel.index = index;
+  if (index === KEY_ACTIONS.length) {
+    ui.keyBindings = defaultKeyBindings();
+    panel.message = 'All keys reset';
+    savePreferences();
+  } else {
+    panel.capturing = true;
+    panel.message = `Press a key for ${KEY_ACTIONS[index].label} (Esc to cancel)`;
+  }
+  renderKeyPanel();
+}
+
+// Change one binding, showing why if it can't be changed
+function setKeyBinding(action, key) {
+  const panel = ui.keyPanel;
+  const result = rebindKey(ui.keyBindings, action, key);
+  if (result.error) {
+    panel.message = result.error;
+    return;
+  }
+  ui.keyBindings = result.bindings;
+  panel.capturing = false;
+  panel.message = null;
+  savePreferences();
+}
+
+function renderKeyPanel() {
+  if (!keyPanelEl) return;
+  const panel = ui.keyPanel;
+  keyPanelEl.style.display = panel ? 'block' : 'none';
+  if (!panel) return;
+
+  const rows = KEY_ACTIONS.map(({ action, label }) => [label, formatKey(ui.keyBindings[action])]);
+  rows.push(['Reset all keys', '']);
+  keyListEl.replaceChildren(...rows.map(([label, key], index) => {
+    const row = document.createElement('li');
+    row.className = 'key-panel__row';
+    row.setAttribute('role', 'option');
+    row.setAttribute('aria-selected', String(index === panel.index));
+    row.classList.toggle('selected', index === panel.index);
+    row.classList.toggle('capturing', index === panel.index && panel.capturing);
+    const name = document.createElement('span');
+    name.textContent = label;
+    const binding = document.createElement('kbd');
+    binding.textContent = index === panel.index && panel.capturing ? '…' : key;
+    row.append(name, binding);
+    // Tapping a row, e.g. on a tablet with a page-turner pedal, waits for its key
+    row.addEventListener('click', () => selectKeyRow(index));
+    return row;
+  }));
+  keyMessageEl.textContent = panel.message || '↑↓ select | Enter = change | Delete = unbind | Esc = close';
+
+  const selected = keyListEl.children[panel.index];
+  if (selected && selected.scrollIntoView) selected.scrollIntoView({ block: 'nearest' });
+}
+
+// Apply the setting when input is confirmed; invalid input leaves it unchanged
+function applySettingPrompt() {
+  if (!ui.promptMode) return;
+  // Clicking away from the command line cancels it; only Enter runs it
+  if (ui.promptMode === 'command') {
+    closeSettingPrompt();
+    return;
+  }
+
+  const before = undoSnapshot();
+  if (ui.promptMode === 'meter') {
+    const meter = parseMeter(settingInput.value);
+    if (meter) setMeter(meter);
+  } else if (ui.promptMode === 'accent') {
+    const pattern = parseAccentPattern(settingInput.value, state.meter.beats);
+    if (pattern) state.accentPattern = pattern;
+  } else if (ui.promptMode === 'subdivision') {
+    const layers = parseSubdivisionLayers(settingInput.value);
+    if (layers) state.subdivisionLayers = layers;
+  } else if (ui.promptMode === 'trainer') {
+    applyTrainerSetting(settingInput.value);
+  } else if (ui.promptMode === 'tempoMap') {
+    applyTempoMapSetting(settingInput.value);
+  } else if (ui.promptMode === 'polyrhythm') {
+    applyPolyrhythmSetting(settingInput.value);
+  } else if (ui.promptMode === 'voice') {
+    const setting = parseVoiceSetting(settingInput.value);
+    // 'sample' only once a sample has been loaded with U
+    if (setting && (setting.voice !== 'sample' || sampleBuffer)) Object.assign(state, setting);
+  } else if (ui.promptMode === 'export') {
+    const setting = parseExportSetting(settingInput.value);
+    if (setting) exportClickTrack(setting.bars, setting.format);
+  } else if (ui.promptMode === 'library') {
+    runLibraryCommand(settingInput.value);
+  } else if (ui.promptMode === 'mic') {
+    applyMicSetting(settingInput.value);
+  } else if (ui.promptMode === 'practice') {
+    // An unknown command stays in the input with the error shown under it
+    const error = runPracticeCommand(settingInput.value);
+    if (error) {
+      showCommandError(error);
+      return;
+    }
+  } else if (ui.promptMode === 'access') {
+    applyAccessSetting(settingInput.value);
+  } else if (ui.promptMode === 'band') {
+    const room = settingInput.value.trim();
+    if (!room) {
+      leaveBand();
+    } else if (!ui.sync || ui.sync.room !== room) {
+      joinBand(room);
+    }
+  } else if (ui.promptMode === 'midi') {
+    applyMidiSetting(settingInput.value);
+  } else {
+    const swing = parseSwing(settingInput.value);
+    if (swing !== null) state.swing = swing;
+  }
+  recordUndo(before);
+  closeSettingPrompt();
+}
+
+// An empty value or 0 turns the trainer off; a new ramp starts from its
+// start tempo and replaces the tempo map
+function applyTrainerSetting(text) {
+  if (String(text).trim() === '' || String(text).trim() === '0') {
+    state.trainer = null;
+    return;
+  }
+
+  const trainer = parseTrainer(text);
+  if (trainer) {
+    state.trainer = trainer;
+    state.tempoMap = null;
+    engine.setTempo(trainer.startBpm);
+  }
+}
+
+// An empty value or 0 turns the tempo map off. A new map replaces the speed
+// trainer and starts on the next downbeat, or from the top on start.
+function applyTempoMapSetting(text) {
+  if (String(text).trim() === '' || String(text).trim() === '0') {
+    state.tempoMap = null;
+    return;
+  }
+
+  const tempoMap = parseTempoMap(text);
+  if (tempoMap) engine.configure({ tempoMap, trainer: null, bpm: tempoMap.sections[0].bpm });
+}
+
+// Ask for MIDI access the first time, then open the MIDI clock prompt
+function openMidiPrompt() {
+  if (ui.midiAccess) {
+    openSettingPrompt('midi');
+    return;
+  }
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    console.error('Web MIDI is not supported in this browser');
+    return;
+  }
+
+  navigator.requestMIDIAccess()
+    .then(access => {
+      ui.midiAccess = access;
+      openSettingPrompt('midi');
+    })
+    .catch(error => console.error('MIDI access denied:', error));
+}
+
+// Connect or disconnect MIDI clock ports; an unknown port changes nothing
+function applyMidiSetting(text) {
+  const setting = parseMidiSetting(text);
+  if (!setting || !ui.midiAccess) return;
+
+  if (setting.direction === 'both') {
+    setMidiPort('output', null);
+    setMidiPort('input', null);
+    return;
+  }
+
+  const kind = setting.direction === 'out' ? 'output' : 'input';
+  if (setting.port === null) {
+    setMidiPort(kind, null);
+    return;
+  }
+
+  const { inputs, outputs } = listMidiPorts(ui.midiAccess);
+  const port = findMidiPort(kind === 'output' ? outputs : inputs, setting.port);
+  if (port) setMidiPort(kind, port);
+}
+
+// Replace the connected MIDI clock output or input; null disconnects it.
+// Incoming Start/Stop go through start() and stop() like the space bar.
+function setMidiPort(kind, port) {
+  const current = ui.midiPorts[kind];
+  if (current) current.disconnect();
+
+  ui.midiPorts[kind] = port && {
+    port,
+    disconnect: kind === 'output'
+      ? connectMidiClockOutput(engine, port)
+      : connectMidiClockInput(engine, port, { start, stop }),
+  };
+}
+
+// An empty value or 0 turns polyrhythm mode off and returns to the meter
+function applyPolyrhythmSetting(text) {
+  if (String(text).trim() === '' || String(text).trim() === '0') {
+    state.polyrhythm = null;
+    return;
+  }
+
+  const polyrhythm = parsePolyrhythm(text);
+  if (polyrhythm) state.polyrhythm = polyrhythm;
+}
+
+// Mute or unmute one polyrhythm voice; takes effect from the next cycle
+function togglePolyrhythmVoice(index) {
+  if (!state.polyrhythm || !state.polyrhythm.voices[index]) return;
+  const before = undoSnapshot();
+  const voice = state.polyrhythm.voices[index];
+  voice.muted = !voice.muted;
+  recordUndo(before);
+  updateUI();
+}
+
+function closeSettingPrompt() {
+  ui.promptMode = null;
+  settingInput.style.display = 'none';
+  showCommandError(null);
+  updateUI();
+}
+
+// Show the current beat of the bar, e.g. "3 / 7 (7/8)"
+function updateBeatDisplay(beat, meter = state.meter) {
+  if (!beatEl) return;
+  if (state.polyrhythm) {
+    const voices = state.polyrhythm.voices
+      .map(voice => (voice.muted ? `(${voice.pulses})` : String(voice.pulses)));
+    beatEl.textContent = `Polyrhythm ${voices.join(':')} | SHIFT+1-${voices.length}=mute`;
+    beatEl.classList.remove('downbeat');
+    return;
+  }
+  const position = beat === null ? '-' : beat + 1;
+  beatEl.textContent = `${position} / ${meter.beats} (${formatMeter(meter)})`;
+  beatEl.classList.toggle('downbeat', beat === 0);
+}
+
+// Tempo map display: the section and bar of the sounding beat while the map
+// plays (`position` from the beat event), otherwise the whole map
+function updateTempoMapDisplay(position = null) {
+  if (!tempoMapEl) return;
+  const map = state.tempoMap;
+  if (!map) {
+    tempoMapEl.style.display = 'none';
+    return;
+  }
+
+  let text;
+  if (position) {
+    const section = map.sections[position.index];
+    const name = section.name || `section ${position.index + 1}`;
+    text = `${name} (${position.index + 1}/${map.sections.length}) | bar ${position.bar + 1}/${section.bars}`;
+    const [bpm, endBpm] = [section.bpm, section.endBpm].map(tempo => clampTempo(tempo, state));
+    if (endBpm !== bpm) text += ` | ${formatTempo(bpm)} → ${formatTempo(endBpm)}`;
+  } else if (state.isRunning && map.done) {
+    text = 'end, holding the last tempo';
+  } else {
+    const bars = map.sections.reduce((sum, section) => sum + section.bars, 0);
+    text = `${map.sections.length} section${map.sections.length === 1 ? '' : 's'}, ${bars} bars`;
+  }
+  tempoMapEl.textContent = `Tempo map: ${text}`;
+  tempoMapEl.style.display = 'block';
+}
+
+// Human readable muting mode for the mute display
+function describeMuting(settings) {
+  let text;
+  if (settings.muteMode === 'gap') {
+    text = `Gap click: ${settings.gapBars.play} bars on / ${settings.gapBars.mute} off`;
+  } else if (settings.muteMode === 'ramp') {
+    const ramp = settings.muteRamp;
+    text = `Mute ramp: ${Math.round(ramp.from * 100)}% → ${Math.round(ramp.to * 100)}% over ${ramp.minutes} min`;
+  } else {
+    text = `Random mute: ${Math.round(settings.randomMuteProbability * 100)}%`;
+  }
+  if (settings.keepDownbeat) text += ' | downbeat kept';
+  if (settings.muteSeed !== null) text += ` | seed ${settings.muteSeed}`;
+  return text;
+}
+
+// Update UI
+function updateUI() {
+  if (bpmEl) {
+    const taps = state.tapTimes.length;
+    const tapText = engine.isTapping(performance.now()) ? ` (TAP ${taps})` : '';
+    bpmEl.textContent = `BPM: ${formatTempo(state.bpm)}${tapText}`;
+  }
+  if (!state.isRunning || state.polyrhythm) updateBeatDisplay(null);
+  buildBeatIndicator();
+  if (statusEl) {
+    if (state.isRunning) {
+      if (audioInitialized && audioContext && audioContext.state === 'running') {
+        statusEl.textContent = "RUNNING";
+        statusEl.classList.remove('audio-disabled');
+      } else {
+        statusEl.textContent = "RUNNING (NO AUDIO - TAP TO ENABLE)";
+        statusEl.classList.add('audio-disabled');
+      }
+    } else {
+      statusEl.textContent = "STOPPED";
+      statusEl.classList.remove('audio-disabled');
+    }
+  }
+
+  // Update mute display - only show when active
+  if (muteEl) {
+    if (isMutingActive(state)) {
+      muteEl.textContent = describeMuting(state);
+      muteEl.classList.add('active');
+      muteEl.style.display = 'block';
+    } else {
+      muteEl.classList.remove('active');
+      muteEl.style.display = 'none';
+    }
+  }
+
+  // Update subdivision display - only show when active
+  if (grooveEl) {
+    if (state.subdivisionLayers.length > 0) {
+      const swingText = state.swing > MIN_SWING ? ` | Swing: ${Math.round(state.swing * 100)}%` : '';
+      grooveEl.textContent = `Subdivisions: ${state.subdivisionLayers.map(layer => layer.type).join(' + ')}${swingText}`;
+      grooveEl.style.display = 'block';
+    } else {
+      grooveEl.style.display = 'none';
+    }
+  }
+
+  // Update speed trainer display - only show when active
+  if (trainerEl) {
+    if (state.trainer) {
+      const t = state.trainer;
+      const progress = t.done ? 'target reached' : `every ${t.interval} ${t.unit}`;
+      trainerEl.textContent = `Trainer: ${t.startBpm} → ${t.targetBpm} (${progress})`;
+      trainerEl.style.display = 'block';
+    } else {
+      trainerEl.style.display = 'none';
+    }
+  }
+
+  // Update tempo map display - while running it follows the beats, see showNote()
+  if (!state.isRunning || !state.tempoMap) updateTempoMapDisplay();
+
+  // Update MIDI clock display - only show when a port is connected
+  if (midiEl) {
+    const { output, input } = ui.midiPorts;
+    if (output || input) {
+      const parts = [];
+      if (output) parts.push(`out ${output.port.name}`);
+      if (input) parts.push(`in ${input.port.name} (following)`);
+      midiEl.textContent = `MIDI clock: ${parts.join(' | ')}`;
+      midiEl.style.display = 'block';
+    } else {
+      midiEl.style.display = 'none';
+    }
+  }
+
+  // Update band sync display - only show in a room
+  if (bandEl) {
+    if (ui.sync) {
+      const sync = ui.sync;
+      const role = sync.leader ? 'leading' : `following, offset ${sync.offset === null ? '?' : Math.round(sync.offset)} ms`;
+      bandEl.textContent = `Band: ${sync.room} (${sync.members} device${sync.members === 1 ? '' : 's'}, ${role})`;
+      bandEl.style.display = 'block';
+    } else {
+      bandEl.style.display = 'none';
+    }
+  }
+
+  // Update song display - only show when a preset is loaded
+  if (songEl) {
+    const setlist = library.setlists.find(s => s.name === ui.activeSetlist);
+    if (setlist) {
+      songEl.textContent = `${setlist.name} ${ui.setlistIndex + 1}/${setlist.songs.length}: ${setlist.songs[ui.setlistIndex]} | ${formatKey(ui.keyBindings.previousSong)} ${formatKey(ui.keyBindings.nextSong)} = prev / next`;
+      songEl.style.display = 'block';
+    } else if (ui.currentPreset) {
+      songEl.textContent = `Preset: ${ui.currentPreset}`;
+      songEl.style.display = 'block';
+    } else {
+      songEl.style.display = 'none';
+    }
+  }
+
+  updateDiagnostics();
+  updateHistory();
+  updateAccuracy();
+  scheduleAnnouncement();
+
+  // Update hint based on state and audio status
+  if (hintEl) {
+    if (isIOS() && (!audioContext || !audioInitialized)) {
+      hintEl.textContent = "TAP START TO ENABLE AUDIO ON iOS";
+    } else if (!audioInitialized || (audioContext && audioContext.state === 'suspended')) {
+      hintEl.textContent = "TAP ANYWHERE TO ENABLE AUDIO";
+    } else if (state.isRunning) {
+      hintEl.textContent = `Use buttons below or: ${describeKeys(ui.keyBindings, true)} | :=command | ${formatKey(ui.keyBindings.startStop)}=stop`;
+    } else {
+      hintEl.textContent = `Use START button below or press ${formatKey(ui.keyBindings.startStop)} | ${describeKeys(ui.keyBindings, false)} | :=command`;
+    }
+  }
+
+  // Update mobile buttons
+  updateMobileButtons();
+
+  syncUrl();
+  publishTimeline();
+}
+
+// Keyboard event handler
+function handleKeydown(e) {
+  // Resume audio context on iOS for any key press
+  if (isIOS() && audioContext) {
+    audioContext.resume().catch(e => console.error('Resume failed on keydown:', e));
+  }
+
+  // Handle random input field first
+  if (randomInput.style.display !== 'none') {
+    if (e.code === 'Enter') {
+      applyRandomMuting();
+      e.preventDefault();
+      return;
+    }
+    if (e.code === 'Escape') {
+      randomInput.style.display = 'none';
+      e.preventDefault();
+      return;
+    }
+    // Allow normal input handling for the input field
+    return;
+  }
+
+  // Then the setting input field, or the command line
+  if (ui.promptMode) {
+    if (e.code === 'Enter') {
+      if (ui.promptMode === 'command') {
+        runCommandLine();
+      } else {
+        applySettingPrompt();
+      }
+      e.preventDefault();
+      return;
+    }
+    if (ui.promptMode === 'command' && (e.code === 'ArrowUp' || e.code === 'ArrowDown')) {
+      stepCommandHistory(e.code === 'ArrowUp' ? -1 : 1);
+      e.preventDefault();
+      return;
+    }
+    if (e.code === 'Escape') {
+      closeSettingPrompt();
+      e.preventDefault();
+      return;
+    }
+    return;
+  }
+
+  // The key settings take every key while open
+  if (ui.keyPanel) {
+    handleKeyPanelKey(e);
+    return;
+  }
+
+  // Keys are bound to actions by code, see KEY_ACTIONS; prevent the browser's
+  // default for bound keys
+  const action = actionForKey(ui.keyBindings, e.code);
+  if (action) {
+    e.preventDefault();
+  }
+
+  switch (action) {
+    case 'startStop':
+      if (isIOS() && !audioContext) {
+        // On iOS, space key before audio is enabled should create audio context
+        initAudio();
+        console.log('iOS: Audio initialization triggered by space key');
+        return;
+      }
+
+      if (state.isRunning) {
+        stop();
+      } else {
+        start();
+      }
+      break;
+
+    case 'tap':
+      handleTapTempo();
+      break;
+
+    case 'mute':
+      if (state.isRunning) handleRandomMuting();
+      break;
+
+    case 'half':
+      if (state.isRunning) {
+        const before = undoSnapshot();
+        engine.setTempo(state.bpm / 2);
+        recordUndo(before);
+        updateUI();
+      }
+      break;
+
+    case 'double':
+      if (state.isRunning) {
+        const before = undoSnapshot();
+        engine.setTempo(state.bpm * 2);
+        recordUndo(before);
+        updateUI();
+      }
+      break;
+
+    // Meter and accents can be set before starting
+    case 'meter':
+      openSettingPrompt('meter');
+      break;
+
+    case 'accents':
+      openSettingPrompt('accent');
+      break;
+
+    case 'subdivisions':
+      openSettingPrompt('subdivision');
+      break;
+
+    case 'swing':
+      openSettingPrompt('swing');
+      break;
+
+    case 'trainer':
+      openSettingPrompt('trainer');
+      break;
+
+    case 'tempoMap':
+      openSettingPrompt('tempoMap');
+      break;
+
+    case 'polyrhythm':
+      openSettingPrompt('polyrhythm');
+      break;
+
+    case 'voice':
+      openSettingPrompt('voice');
+      break;
+
+    case 'sample':
+      if (sampleInput) sampleInput.click();
+      break;
+
+    case 'export':
+      openSettingPrompt('export');
+      break;
+
+    case 'library':
+      // Try the preset server again if it was unreachable
+      if (ui.libraryServer === false) syncLibrary();
+      openSettingPrompt('library');
+      break;
+
+    // MIDI clock out to drum machines and DAWs, or follow an external clock
+    case 'midi':
+      openMidiPrompt();
+      break;
+
+    // Band sync room: click in lockstep with other devices on this server
+    case 'band':
+      openSettingPrompt('band');
+      break;
+
+    // Full-screen flash for practicing with the sound off
+    case 'flash':
+      ui.fullscreenFlash = !ui.fullscreenFlash;
+      updateUI();
+      break;
+
+    case 'practice':
+      openSettingPrompt('practice');
+      break;
+
+    case 'tapAlong':
+      toggleTapAccuracy();
+      break;
+
+    case 'mic':
+      openSettingPrompt('mic');
+      break;
+
+    // Scheduling diagnostics: timer jitter and late notes
+    case 'diagnostics':
+      ui.showDiagnostics = !ui.showDiagnostics;
+      updateUI();
+      break;
+
+    case 'keys':
+      openKeyPanel();
+      break;
+
+    // Screen reader announcements, vibration and high contrast
+    case 'access':
+      openSettingPrompt('access');
+      break;
+
+    // Previous / next song in the active setlist, also while playing
+    case 'previousSong':
+    case 'nextSong': {
+      const before = undoSnapshot();
+      stepSetlist(action === 'nextSong' ? 1 : -1);
+      recordUndo(before);
+      break;
+    }
+
+    default:
+      if (e.shiftKey && /^Digit[1-9]$/.test(e.code) && state.polyrhythm) {
+        e.preventDefault();
+        togglePolyrhythmVoice(parseInt(e.code.slice(5), 10) - 1);
+      } else if (/^[0-9+\-:]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        // Typing a number, + / - or : opens the command line
+        e.preventDefault();
+        openCommandLine(e.key === ':' ? '' : e.key);
+      }
+      break;
+  }
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener("keydown", handleKeydown);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && engine.isRunning) requestWakeLock();
+  });
+  // Closing the page ends the practice session, so it is logged
+  window.addEventListener('pagehide', () => stop());
+}
+
+// Handle input field blur (clicking outside)
+if (typeof randomInput !== 'undefined' && randomInput) {
+  randomInput.addEventListener('blur', () => {
+    applyRandomMuting();
+  });
+}
+
+if (typeof sampleInput !== 'undefined' && sampleInput) {
+  sampleInput.addEventListener('change', () => {
+    loadSampleFile(sampleInput.files[0]);
+    sampleInput.value = '';
+  });
+}
+
+if (typeof libraryInput !== 'undefined' && libraryInput) {
+  libraryInput.addEventListener('change', () => {
+    importLibraryFile(libraryInput.files[0]);
+    libraryInput.value = '';
+  });
+}
+
+if (typeof settingInput !== 'undefined' && settingInput) {
+  settingInput.addEventListener('blur', () => {
+    applySettingPrompt();
+  });
+}
+
+// Mobile Touch Controls
+const startStopBtn = typeof document !== 'undefined' ? document.getElementById('start-stop-btn') : null;
+const halfBtn = typeof document !== 'undefined' ? document.getElementById('half-btn') : null;
 const tapBtn = typeof document !== 'undefined' ? document.getElementById('tap-btn') : null;
 const doubleBtn = typeof document !== 'undefined' ? document.getElementById('double-btn') : null;
 const muteBtn = typeof document !== 'undefined' ? document.getElementById('mute-btn') : null;
+const meterBtn = typeof document !== 'undefined' ? document.getElementById('meter-btn') : null;
+const keysBtn = typeof document !== 'undefined' ? document.getElementById('keys-btn') : null;
 
 // Add mobile button event listeners
 if (startStopBtn) {
@@ -605,7 +4747,9 @@ if (halfBtn) {
     }
 
     if (state.isRunning) {
-      state.bpm = Math.max(1, Math.round(state.bpm / 2));
+      const before = undoSnapshot();
+      engine.setTempo(state.bpm / 2);
+      recordUndo(before);
       updateUI();
     }
   });
@@ -618,9 +4762,7 @@ if (tapBtn) {
       audioContext.resume().catch(e => console.error('Resume failed on tap button:', e));
     }
 
-    if (state.isRunning) {
-      handleTapTempo();
-    }
+    handleTapTempo();
   });
 }
 
@@ -632,7 +4774,9 @@ if (doubleBtn) {
     }
 
     if (state.isRunning) {
-      state.bpm = Math.min(300, Math.round(state.bpm * 2));
+      const before = undoSnapshot();
+      engine.setTempo(state.bpm * 2);
+      recordUndo(before);
       updateUI();
     }
   });
@@ -651,6 +4795,23 @@ if (muteBtn) {
   });
 }
 
+if (meterBtn) {
+  meterBtn.addEventListener('click', () => {
+    openSettingPrompt('meter');
+  });
+}
+
+// Key settings, for a keyboard or page-turner pedal paired with a touch device
+if (keysBtn) {
+  keysBtn.addEventListener('click', () => {
+    if (ui.keyPanel) {
+      closeKeyPanel();
+    } else {
+      openKeyPanel();
+    }
+  });
+}
+
 // Update mobile button text based on state
 function updateMobileButtons() {
   if (startStopBtn) {
@@ -670,29 +4831,163 @@ updateUI = function() {
 };
 
 // Utility functions for testing
+// Accepts one interval or a list of intervals (ms), which is averaged; null
+// for an empty list
 function calculateBpmFromInterval(intervalMs) {
+  if (Array.isArray(intervalMs)) {
+    if (intervalMs.length === 0) return null;
+    const total = intervalMs.reduce((sum, interval) => sum + interval, 0);
+    return Math.round(60000 / (total / intervalMs.length));
+  }
   return Math.round(60000 / intervalMs);
 }
 
 // Initialize audio on page load
-initAudio();
+if (typeof window !== 'undefined') {
+  initAudio();
+}
 
-// Initialize UI
-updateUI();
+// Cache the app for offline use, see service-worker.js. Needs http(s).
+if (typeof navigator !== 'undefined' && navigator.serviceWorker && /^https?:$/.test(location.protocol)) {
+  navigator.serviceWorker.register('service-worker.js').catch(error => {
+    console.warn('Offline mode unavailable:', error.message);
+  });
+}
 
-// Mock Metronome class for testing compatibility
-class Metronome {
-  constructor() {
-    this.currentBpm = 40;
-    this.isRunning = false;
-  }
+// Load saved presets and setlists
+if (typeof localStorage !== 'undefined') {
+  loadLibrary();
+  syncLibrary();
+}
+
+// Log every start/stop as a practice session
+if (typeof localStorage !== 'undefined') {
+  loadPracticeLog();
+  recordPracticeSessions(engine, session => {
+    addPracticeSession(session);
+    updateHistory();
+  });
 }
 
+// Key bindings, the tempo range and accessibility options, before a link's
+// tempo is applied. High contrast follows the system's contrast and reduced
+// motion settings until it is set here.
+ui.keyBindings = defaultKeyBindings();
+if (typeof window !== 'undefined' && window.matchMedia) {
+  ui.access.contrast = window.matchMedia('(prefers-contrast: more), (prefers-reduced-motion: reduce)').matches;
+}
+if (typeof localStorage !== 'undefined') {
+  loadPreferences();
+}
+applyAccess();
+
+// Load settings from a shared link
+if (typeof window !== 'undefined') {
+  applyUrlState();
+}
+
+// Initialize UI
+updateUI();
+ui.announced = readAnnouncement();
+
 // Export functions for testing (in Node.js environment)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     calculateBpmFromInterval,
-    Metronome
+    rejectTapOutliers,
+    estimateTapTempo,
+    parseTempo,
+    parseTempoRange,
+    clampTempo,
+    formatTempo,
+    parseMeter,
+    formatMeter,
+    defaultAccentPattern,
+    parseAccentPattern,
+    formatAccentPattern,
+    subdivisionOffsets,
+    parseSubdivisionLayers,
+    formatSubdivisionLayers,
+    parseSwing,
+    buildBeatEvents,
+    renderVoice,
+    parseVoiceSetting,
+    formatVoiceSetting,
+    parseTrainer,
+    formatTrainer,
+    advanceTrainer,
+    parseTempoMap,
+    formatTempoMap,
+    sectionTempo,
+    sectionBeatTime,
+    createRandom,
+    parseMuteSetting,
+    formatMuteSetting,
+    currentMuteProbability,
+    isBeatMuted,
+    parsePolyrhythm,
+    formatPolyrhythm,
+    polyrhythmCycleDuration,
+    buildPolyrhythmEvents,
+    createRenderSettings,
+    buildClickTrack,
+    renderClickTrack,
+    encodeWav,
+    encodeMidi,
+    parseExportSetting,
+    capturePresetSettings,
+    sanitizePresetSettings,
+    parseLibrary,
+    serializeLibrary,
+    mergeLibrary,
+    parseLibraryCommand,
+    parseCommand,
+    defaultKeyBindings,
+    resolveKeyBindings,
+    rebindKey,
+    actionForKey,
+    formatKey,
+    describeKeys,
+    parseAccessSetting,
+    formatAccessSetting,
+    describeAnnouncement,
+    vibrationPulse,
+    parsePreferences,
+    serializePreferences,
+    parseUrlState,
+    serializeUrlState,
+    takeDueNote,
+    createWorkerTimer,
+    createDiagnostics,
+    recordTick,
+    recordClick,
+    summarizeDiagnostics,
+    estimateClockOffset,
+    buildTimeline,
+    parseTimeline,
+    midiClockPulses,
+    connectMidiClockOutput,
+    createClockFollower,
+    followClockPulse,
+    connectMidiClockInput,
+    parseMidiSetting,
+    listMidiPorts,
+    findMidiPort,
+    createOnsetDetector,
+    detectOnsets,
+    parseMicSetting,
+    createTapAccuracy,
+    recordAccuracyBeat,
+    recordAccuracyTap,
+    summarizeAccuracy,
+    recordPracticeSessions,
+    parsePracticeLog,
+    serializePracticeLog,
+    tempoDurations,
+    summarizePractice,
+    practiceToCsv,
+    formatPracticeTime,
+    MetronomeEngine
   };
 }// redeploy trigger
 // force redeploy
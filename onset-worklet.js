@@ -0,0 +1,31 @@
+// Captures microphone audio for the onset detector in metronome.js. Posts
+// { samples, time } every CHUNK_FRAMES frames, with `time` the AudioContext
+// clock time of the first sample, the same clock clicks are scheduled on.
+const CHUNK_FRAMES = 1024;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunk = new Float32Array(CHUNK_FRAMES);
+    this.filled = 0;
+    this.time = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      if (this.filled === 0) this.time = (currentFrame + i) / sampleRate;
+      this.chunk[this.filled++] = channel[i];
+      if (this.filled === CHUNK_FRAMES) {
+        this.port.postMessage({ samples: this.chunk, time: this.time }, [this.chunk.buffer]);
+        this.chunk = new Float32Array(CHUNK_FRAMES);
+        this.filled = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('capture', CaptureProcessor);
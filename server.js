@@ -1,71 +1,275 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { attachSyncServer, SYNC_PATH } = require('./sync-server');
+const { API_PREFIX, createLibraryStore, handleApiRequest } = require('./library-api');
 
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = path.join(__dirname);
+const LIBRARY_FILE = process.env.LIBRARY_FILE || path.join(__dirname, 'data', 'library.json');
 
-const server = http.createServer((req, res) => {
-    // Handle root path
-    let filePath = req.url === '/' ? '/index.html' : req.url;
-    filePath = path.join(PUBLIC_DIR, filePath);
+// The only files served, by URL path. Everything else in the repo (package.json,
+// tests/, the presets file, ...) stays private, and since request paths are only
+// ever looked up here, never joined onto the file system, they can't escape the
+// public directory.
+const PUBLIC_FILES = {
+    '/': 'index.html',
+    '/index.html': 'index.html',
+    '/style.css': 'style.css',
+    '/metronome.js': 'metronome.js',
+    '/timer-worker.js': 'timer-worker.js',
+    '/onset-worklet.js': 'onset-worklet.js',
+    '/service-worker.js': 'service-worker.js',
+    '/manifest.webmanifest': 'manifest.webmanifest',
+    '/icon.svg': 'icon.svg'
+};
 
-    // Security: prevent directory traversal
-    if (!filePath.startsWith(PUBLIC_DIR)) {
-        res.writeHead(403);
-        res.end('Forbidden');
-        return;
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.flac': 'audio/flac',
+    '.mid': 'audio/midi',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.wasm': 'application/wasm',
+    '.map': 'application/json; charset=utf-8'
+};
+
+// Types worth compressing, and files too small to bother
+const COMPRESSIBLE = /^(text\/|application\/(json|manifest\+json|xml)|image\/svg\+xml)/;
+const MIN_COMPRESS_SIZE = 1024;
+
+// Filenames aren't versioned, so browsers revalidate every time; with ETags
+// that is a cheap 304 when nothing changed
+const CACHE_CONTROL = 'no-cache';
+
+// index.html has an inline script and inline styles; the band sync WebSocket
+// and the preset API are on this origin
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': [
+        "default-src 'self'",
+        "script-src 'self' 'unsafe-inline'",
+        "style-src 'self' 'unsafe-inline'",
+        "connect-src 'self' ws: wss:",
+        "img-src 'self' data:",
+        "object-src 'none'",
+        "base-uri 'self'",
+        "frame-ancestors 'none'"
+    ].join('; '),
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin'
+};
+
+const ENCODERS = {
+    br: data => zlib.brotliCompressSync(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 } }),
+    gzip: data => zlib.gzipSync(data, { level: 9 })
+};
+
+// The best encoding an Accept-Encoding header allows: 'br', 'gzip' or null for
+// none. Higher q-values win; brotli wins a tie.
+function negotiateEncoding(header) {
+    if (!header) return null;
+
+    const weights = {};
+    for (const part of header.split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+        weights[name] = q ? Number(q[1]) : 1;
+    }
+
+    const weight = name => (weights[name] !== undefined ? weights[name] : (weights['*'] || 0));
+    const best = ['br', 'gzip'].filter(name => weight(name) > 0).sort((a, b) => weight(b) - weight(a))[0];
+    return best || null;
+}
+
+// Whether the client's cached copy is current. If-None-Match wins over
+// If-Modified-Since; ETags compare weakly.
+function isNotModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        const opaque = tag => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || opaque(tag) === opaque(etag));
     }
 
-    // Check if file exists
-    fs.access(filePath, fs.constants.F_OK, (err) => {
-        if (err) {
-            res.writeHead(404);
+    const since = Date.parse(req.headers['if-modified-since']);
+    return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+// Serves PUBLIC_FILES from `publicDir`. Files are read once per change and kept
+// in memory with their compressed variants.
+function createStaticHandler(publicDir, files = PUBLIC_FILES) {
+    const cache = new Map();
+
+    async function load(file) {
+        const stats = await fs.promises.stat(file);
+        const cached = cache.get(file);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) return cached;
+
+        const data = await fs.promises.readFile(file);
+        const hash = crypto.createHash('sha1').update(data).digest('base64url').slice(0, 20);
+        const entry = {
+            data,
+            mtime: stats.mtime,
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            // Weak, because the compressed variants share it
+            etag: `W/"${hash}"`,
+            type: MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            encoded: {}
+        };
+        cache.set(file, entry);
+        return entry;
+    }
+
+    return async (req, res, pathname) => {
+        const name = Object.prototype.hasOwnProperty.call(files, pathname) ? files[pathname] : null;
+        if (!name) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
             res.end('File not found');
             return;
         }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Method not allowed');
+            return;
+        }
 
-        // Determine content type
-        const ext = path.extname(filePath);
-        let contentType = 'text/plain';
-
-        switch (ext) {
-            case '.html':
-                contentType = 'text/html';
-                break;
-            case '.css':
-                contentType = 'text/css';
-                break;
-            case '.js':
-                contentType = 'text/javascript';
-                break;
-            case '.json':
-                contentType = 'application/json';
-                break;
+        let entry;
+        try {
+            entry = await load(path.join(publicDir, name));
+        } catch (error) {
+            const missing = error.code === 'ENOENT';
+            if (!missing) console.error(`Failed to read ${name}:`, error);
+            res.writeHead(missing ? 404 : 500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(missing ? 'File not found' : 'Internal server error');
+            return;
         }
 
-        // Read and serve file
-        fs.readFile(filePath, (err, data) => {
-            if (err) {
-                res.writeHead(500);
-                res.end('Internal server error');
-                return;
-            }
+        const compressible = COMPRESSIBLE.test(entry.type) && entry.size >= MIN_COMPRESS_SIZE;
+        const headers = {
+            'Cache-Control': CACHE_CONTROL,
+            'ETag': entry.etag,
+            'Last-Modified': entry.mtime.toUTCString()
+        };
+        if (compressible) headers['Vary'] = 'Accept-Encoding';
 
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(data);
+        if (isNotModified(req, entry.etag, entry.mtime)) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        let body = entry.data;
+        const encoding = compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+        if (encoding) {
+            if (!entry.encoded[encoding]) entry.encoded[encoding] = ENCODERS[encoding](entry.data);
+            body = entry.encoded[encoding];
+            headers['Content-Encoding'] = encoding;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Type': entry.type, 'Content-Length': body.length });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    };
+}
+
+// The app server: static files, the preset API and band sync rooms. `log`
+// gets one line per request.
+function createServer({ publicDir = PUBLIC_DIR, libraryFile = LIBRARY_FILE, log = console.log } = {}) {
+    const libraryStore = createLibraryStore(libraryFile);
+    const serveStatic = createStaticHandler(publicDir);
+
+    const server = http.createServer((req, res) => {
+        const started = process.hrtime.bigint();
+        res.on('finish', () => {
+            const ms = Number(process.hrtime.bigint() - started) / 1e6;
+            log(`${new Date().toISOString()} ${req.method} ${req.url} ${res.statusCode} ${ms.toFixed(1)}ms`);
         });
+        for (const [header, value] of Object.entries(SECURITY_HEADERS)) res.setHeader(header, value);
+
+        // Shared presets and setlists
+        if (req.url.startsWith(API_PREFIX)) {
+            handleApiRequest(req, res, libraryStore);
+            return;
+        }
+
+        // Ignore the query string: /?bpm=120 is a deep link into index.html
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (e) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Bad request');
+            return;
+        }
+
+        serveStatic(req, res, pathname);
     });
-});
-
-server.listen(PORT, () => {
-    console.log(`🚀 Metronome server running at http://localhost:${PORT}`);
-    console.log(`📁 Serving files from: ${PUBLIC_DIR}`);
-    console.log(`\n🎵 Keyboard Controls:`);
-    console.log(`   Space: Start/Stop metronome`);
-    console.log(`   T (x2): Tap tempo`);
-    console.log(`   R + #: Random muting percentage`);
-    console.log(`   H: Half tempo`);
-    console.log(`   D: Double tempo`);
-    console.log(`\nPress Ctrl+C to stop the server`);
-});
\ No newline at end of file
+
+    // Band sync rooms share the port
+    attachSyncServer(server);
+    return server;
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🚀 Metronome server running at http://localhost:${PORT}`);
+        console.log(`📁 Serving files from: ${PUBLIC_DIR}`);
+        console.log(`🥁 Band sync rooms at ws://localhost:${PORT}${SYNC_PATH}`);
+        console.log(`💾 Presets and setlists in ${LIBRARY_FILE}`);
+        console.log(`\n🎵 Keyboard Controls:`);
+        console.log(`   Space: Start/Stop metronome`);
+        console.log(`   T (x2+): Tap tempo`);
+        console.log(`   R + #: Random muting percentage (or g4/2, 10>60/5, d, #seed)`);
+        console.log(`   H: Half tempo`);
+        console.log(`   D: Double tempo`);
+        console.log(`   M: Meter (e.g. 7/8)`);
+        console.log(`   A: Accent pattern (s/m/w/-)`);
+        console.log(`   S: Subdivisions (e.g. 8 3:20)`);
+        console.log(`   W: Swing percentage`);
+        console.log(`   P: Speed trainer (e.g. 60>120 5 4b)`);
+        console.log(`   G: Tempo map (e.g. intro 8b 90 4/4, bridge 8b 72 6/8, outro 4b 90>60)`);
+        console.log(`   X: Polyrhythm (e.g. 3:2), Shift+1-4 mutes a voice`);
+        console.log(`   V: Click voice, U: Load a sample`);
+        console.log(`   E: Export WAV / MIDI`);
+        console.log(`   L: Presets and setlists, [ ]: Previous / next song`);
+        console.log(`   C: MIDI clock out / follow external clock`);
+        console.log(`   B: Band sync room`);
+        console.log(`   J: Practice log (history, CSV / JSON export)`);
+        console.log(`   K: Tap-along timing trainer (tap T on every beat)`);
+        console.log(`   O: Microphone: grade played notes against the click`);
+        console.log(`   F: Full-screen flash`);
+        console.log(`   I: Timing diagnostics (jitter, late notes)`);
+        console.log(`   : or 0-9: Command line (120, 92.5, +5, r35, m7/8, range 40-208, u = undo)`);
+        console.log(`   ,: Key settings (remap any key, e.g. for a foot pedal)`);
+        console.log(`   N: Accessibility (announce, vibrate, contrast)`);
+        console.log(`\nPress Ctrl+C to stop the server`);
+    });
+}
+
+module.exports = {
+    PUBLIC_FILES,
+    MIME_TYPES,
+    negotiateEncoding,
+    createServer
+};
@@ -0,0 +1,59 @@
+// Offline support: precaches the app so it loads without a network, e.g. in a
+// rehearsal room with no signal. Cached files are served right away and
+// refreshed in the background, so changes show up on the next load.
+// Bump CACHE_VERSION when the list changes or to make every client fetch all
+// files again; old caches are deleted when the new worker activates.
+// There are no sample files to cache: click voices are synthesized and user
+// samples are loaded from disk.
+const CACHE_VERSION = 2;
+const CACHE_NAME = `metronome-v${CACHE_VERSION}`;
+const PRECACHE_URLS = [
+  '/',
+  '/index.html',
+  '/style.css',
+  '/metronome.js',
+  '/timer-worker.js',
+  '/onset-worklet.js',
+  '/manifest.webmanifest',
+  '/icon.svg',
+];
+
+self.addEventListener('install', event => {
+  // 'reload' skips the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('metronome-') && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  // Everything else (the preset API, band sync, other sites) goes to the network
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || !PRECACHE_URLS.includes(url.pathname)) {
+    return;
+  }
+
+  event.respondWith(caches.open(CACHE_NAME).then(async cache => {
+    // Deep links like /?bpm=120 are index.html
+    const cached = await cache.match(url.pathname);
+    const update = fetch(event.request).then(response => {
+      if (response.ok) cache.put(url.pathname, response.clone());
+      return response;
+    });
+
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }));
+});
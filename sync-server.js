@@ -0,0 +1,243 @@
+// Band sync rooms over WebSocket, served by server.js on /sync, so several
+// devices in a rehearsal room can click in lockstep. The first device in a
+// room leads: its timeline (settings, tempo and the server time of a beat)
+// goes to everyone else. Any device can ping the server clock to estimate its
+// offset NTP style. Messages are JSON text frames:
+//   → { type: 'join', room }           ← { type: 'joined', room }, then 'members'
+//   ← { type: 'members', count, leader } whenever the room changes
+//   → { type: 'ping', t0 }             ← { type: 'pong', t0, t1, t2 } (server ms)
+//   → { type: 'timeline', ... }        leader only; relayed to the others as is
+//   ← { type: 'error', message }
+// Only the small part of RFC 6455 the app needs is implemented: unfragmented
+// frames, text, ping and close.
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+
+const SYNC_PATH = '/sync';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;
+const ROOM_NAME = /^[\w-]{1,40}$/;
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// Sec-WebSocket-Accept for a client's Sec-WebSocket-Key
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+// One frame with FIN set. Servers send unmasked frames; clients pass a 4-byte mask.
+function encodeFrame(payload, opcode = OPCODE_TEXT, mask = null) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    if (!mask) return Buffer.concat([header, data]);
+
+    header[1] |= 0x80;
+    const masked = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]));
+    return Buffer.concat([header, Buffer.from(mask), masked]);
+}
+
+// Decode the frame at the start of `buffer`. Returns { fin, opcode, payload,
+// length } with length the bytes used, or null if the frame is incomplete.
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let size = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (size === 126) {
+        if (buffer.length < 4) return null;
+        size = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (size === 127) {
+        if (buffer.length < 10) return null;
+        size = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + size) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + size));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { fin, opcode, payload, length: offset + size };
+}
+
+// Rooms by name: { members: [client, ...] oldest first, timeline }.
+// The leader is the oldest member. A client is anything with send(message).
+function createRooms(now = () => performance.now()) {
+    const rooms = new Map();
+
+    const broadcastMembers = room => {
+        room.members.forEach((member, index) => {
+            member.send({ type: 'members', count: room.members.length, leader: index === 0 });
+        });
+    };
+
+    function leave(client) {
+        const room = rooms.get(client.room);
+        if (!room) return;
+
+        room.members = room.members.filter(member => member !== client);
+        client.room = null;
+        if (room.members.length === 0) {
+            rooms.delete(room.name);
+        } else {
+            // The next oldest member takes over as leader
+            broadcastMembers(room);
+        }
+    }
+
+    function join(client, name) {
+        if (typeof name !== 'string' || !ROOM_NAME.test(name)) {
+            client.send({ type: 'error', message: 'Room names are 1-40 letters, digits, _ or -' });
+            return;
+        }
+
+        leave(client);
+        if (!rooms.has(name)) rooms.set(name, { name, members: [], timeline: null });
+        const room = rooms.get(name);
+        room.members.push(client);
+        client.room = name;
+
+        client.send({ type: 'joined', room: name });
+        broadcastMembers(room);
+        if (room.timeline && room.members[0] !== client) client.send(room.timeline);
+    }
+
+    // Handle one message from a client
+    function receive(client, text) {
+        const received = now();
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            client.send({ type: 'error', message: 'Invalid JSON' });
+            return;
+        }
+        if (!message || typeof message !== 'object') {
+            client.send({ type: 'error', message: 'Invalid message' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'join':
+                join(client, message.room);
+                break;
+            case 'leave':
+                leave(client);
+                break;
+            case 'ping':
+                client.send({ type: 'pong', t0: message.t0, t1: received, t2: now() });
+                break;
+            case 'timeline': {
+                const room = rooms.get(client.room);
+                if (!room || room.members[0] !== client) {
+                    client.send({ type: 'error', message: 'Only the room leader sets the timeline' });
+                    return;
+                }
+                room.timeline = message;
+                room.members.slice(1).forEach(member => member.send(message));
+                break;
+            }
+            default:
+                client.send({ type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    return { rooms, join, leave, receive };
+}
+
+// Accept WebSocket upgrades on SYNC_PATH and hand their messages to the rooms
+function attachSyncServer(server, rooms = createRooms()) {
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (pathname !== SYNC_PATH || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = {
+            room: null,
+            send: message => {
+                if (socket.writable) socket.write(encodeFrame(JSON.stringify(message)));
+            }
+        };
+        const close = (code = 1000) => {
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            if (socket.writable) socket.end(encodeFrame(payload, OPCODE_CLOSE));
+        };
+
+        let buffered = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffered = Buffer.concat([buffered, chunk]);
+            let frame;
+            while ((frame = decodeFrame(buffered))) {
+                buffered = buffered.subarray(frame.length);
+                if (!frame.fin) {
+                    close(1003); // Fragmented messages are not supported
+                    return;
+                }
+                if (frame.payload.length > MAX_PAYLOAD) {
+                    close(1009);
+                    return;
+                }
+                if (frame.opcode === OPCODE_TEXT) {
+                    rooms.receive(client, frame.payload.toString('utf8'));
+                } else if (frame.opcode === OPCODE_PING) {
+                    socket.write(encodeFrame(frame.payload, OPCODE_PONG));
+                } else if (frame.opcode === OPCODE_CLOSE) {
+                    close();
+                    return;
+                }
+            }
+            if (buffered.length > MAX_PAYLOAD + 14) close(1009);
+        });
+        // http.Server sockets allow half-open connections; finish ours when the client does
+        socket.on('end', () => socket.end());
+        socket.on('close', () => rooms.leave(client));
+        socket.on('error', () => socket.destroy());
+    });
+    return rooms;
+}
+
+module.exports = {
+    SYNC_PATH,
+    acceptKey,
+    encodeFrame,
+    decodeFrame,
+    createRooms,
+    attachSyncServer
+};
@@ -0,0 +1,98 @@
+const { FakeAudioContext, loadApp, press, answer } = require('./helpers/app');
+
+const announcer = () => document.getElementById('announcer');
+
+describe('Accessibility', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // Settings are kept in the page's URL as well
+    localStorage.clear();
+    history.replaceState(null, '', '/');
+    window.AudioContext = FakeAudioContext;
+    window.matchMedia = () => ({ matches: false });
+    navigator.vibrate = jest.fn(() => true);
+    loadApp();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    delete navigator.vibrate;
+  });
+
+  test('mobile buttons and the live region are labelled', () => {
+    expect(document.getElementById('half-btn').getAttribute('aria-label')).toBe('Half tempo');
+    expect(document.getElementById('double-btn').getAttribute('aria-label')).toBe('Double tempo');
+    expect(document.getElementById('tap-btn').getAttribute('aria-label')).toBe('Tap tempo');
+    expect(announcer().getAttribute('role')).toBe('status');
+    expect(announcer().getAttribute('aria-live')).toBe('polite');
+    expect(document.getElementById('command-error').getAttribute('role')).toBe('alert');
+  });
+
+  test('announces starting and stopping once the state settles', () => {
+    press('Space', ' ');
+    expect(announcer().textContent).toBe('');
+    jest.advanceTimersByTime(500);
+    expect(announcer().textContent).toBe('Running');
+
+    press('Space', ' ');
+    jest.advanceTimersByTime(500);
+    expect(announcer().textContent).toBe('Stopped');
+  });
+
+  test('announces tempo and muting changes made from the keyboard', () => {
+    answer('Semicolon', ':', '92.5');
+    jest.advanceTimersByTime(500);
+    expect(announcer().textContent).toBe('92.5 BPM');
+
+    press('Space', ' ');
+    press('KeyD', 'd');
+    answer('Semicolon', ':', 'r35');
+    jest.advanceTimersByTime(500);
+    expect(announcer().textContent).toBe('Running. 185 BPM. Random mute: 35%');
+  });
+
+  test('prompts are labelled for screen readers', () => {
+    press('KeyN', 'n');
+    expect(document.getElementById('setting-input').getAttribute('aria-label')).toMatch(/accessibility/i);
+    press('Escape', 'Escape');
+    press('Semicolon', ':');
+    expect(document.getElementById('setting-input').getAttribute('aria-label')).toMatch(/command/i);
+  });
+
+  test('announcements can be turned off', () => {
+    answer('KeyN', 'n', 'contrast');
+    press('Space', ' ');
+    jest.advanceTimersByTime(500);
+    expect(announcer().textContent).toBe('');
+  });
+
+  test('the high contrast theme is toggled from the keyboard and remembered', () => {
+    expect(document.body.classList.contains('high-contrast')).toBe(false);
+    answer('KeyN', 'n', 'announce contrast');
+    expect(document.body.classList.contains('high-contrast')).toBe(true);
+    expect(JSON.parse(localStorage.getItem('metronome.preferences')).access).toEqual({ announce: true, vibrate: false, contrast: true });
+
+    loadApp();
+    expect(document.body.classList.contains('high-contrast')).toBe(true);
+    answer('KeyN', 'n', 'off');
+    expect(document.body.classList.contains('high-contrast')).toBe(false);
+  });
+
+  test('the theme follows the system contrast and motion settings by default', () => {
+    window.matchMedia = () => ({ matches: true });
+    loadApp();
+    expect(document.body.classList.contains('high-contrast')).toBe(true);
+  });
+
+  test('vibrates on the beats while running', () => {
+    answer('KeyN', 'n', 'announce vibrate');
+    press('Space', ' ');
+    jest.advanceTimersByTime(1000);
+    expect(navigator.vibrate).toHaveBeenCalledWith(80);
+    press('Space', ' ');
+    navigator.vibrate.mockClear();
+    jest.advanceTimersByTime(1000);
+    expect(navigator.vibrate).not.toHaveBeenCalled();
+  });
+});
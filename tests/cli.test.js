@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs, renderFile, main } = require('../cli');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+describe('cli.js', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metronome-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs', () => {
+    test('maps options onto render settings', () => {
+      const options = parseArgs(['--bpm', '120', '--bars', '64', '--meter', '7/8', '-o', 'click.wav']);
+      expect(options.bars).toBe(64);
+      expect(options.format).toBe('wav');
+      expect(options.settings.bpm).toBe(120);
+      expect(parseArgs(['--bpm', '92.5']).settings.bpm).toBe(92.5);
+      expect(options.settings.meter.beats).toBe(7);
+      expect(options.settings.accentPattern).toHaveLength(7);
+    });
+
+    test('picks MIDI from the file extension', () => {
+      expect(parseArgs(['-o', 'click.mid']).format).toBe('mid');
+    });
+
+    test('checks accents against the meter', () => {
+      expect(parseArgs(['--meter', '3/4', '--accents', 's-w']).settings.accentPattern)
+        .toEqual(['strong', 'silent', 'weak']);
+      expect(() => parseArgs(['--meter', '3/4', '--accents', 'swww'])).toThrow('Invalid --accents');
+    });
+
+    test('rejects invalid values and unknown options', () => {
+      expect(() => parseArgs(['--bpm', '0'])).toThrow('Invalid --bpm');
+      expect(() => parseArgs(['--bpm', '1e2'])).toThrow('Invalid --bpm');
+      expect(() => parseArgs(['--bars'])).toThrow('Missing value');
+      expect(() => parseArgs(['--bars', '1000'])).toThrow('Invalid --bars');
+      expect(() => parseArgs(['--bars', '4 mid'])).toThrow('Invalid --bars');
+      expect(parseArgs(['--bars', '999']).bars).toBe(999);
+      expect(() => parseArgs(['--loud', 'yes'])).toThrow('Unknown option');
+    });
+  });
+
+  test('writes the same WAV bytes as the renderer, every time', () => {
+    const args = ['--bpm', '120', '--bars', '2', '--mute', '30 #5', '--sample-rate', '8000'];
+    const first = path.join(dir, 'a.wav');
+    const second = path.join(dir, 'b.wav');
+
+    execFileSync('node', [CLI, ...args, '-o', first]);
+    execFileSync('node', [CLI, ...args, '-o', second]);
+
+    const expected = Buffer.from(renderFile(parseArgs(args.concat('-o', first))));
+    expect(fs.readFileSync(first).equals(expected)).toBe(true);
+    expect(fs.readFileSync(second).equals(expected)).toBe(true);
+  });
+
+  test('writes a MIDI file', () => {
+    const output = path.join(dir, 'click.mid');
+    execFileSync('node', [CLI, '--bars', '4', '-o', output]);
+    expect(fs.readFileSync(output).subarray(0, 4).toString()).toBe('MThd');
+  });
+
+  test('reports tracks too long to render instead of throwing', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const output = path.join(dir, 'long.wav');
+    expect(main(['--bpm', '1', '--bars', '999', '-o', output])).toBe(1);
+    expect(error).toHaveBeenCalledWith(expect.stringMatching(/^Error: Click track too long/));
+    expect(fs.existsSync(output)).toBe(false);
+    error.mockRestore();
+  });
+
+  test('exits with an error for bad input', () => {
+    expect(() => execFileSync('node', [CLI, '--meter', 'x', '-o', path.join(dir, 'x.wav')], { stdio: 'pipe' }))
+      .toThrow();
+  });
+});
@@ -0,0 +1,132 @@
+const { FakeAudioContext, loadApp, press, answer } = require('./helpers/app');
+
+// Run a line on the command line
+const run = line => answer('Semicolon', ':', line);
+
+// The settings as the app keeps them in the page's URL; defaults are left out
+const setting = name => new URLSearchParams(window.location.search).get(name);
+const commandError = () => document.getElementById('command-error').textContent;
+
+describe('Command line undo', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    history.replaceState(null, '', '/');
+    loadApp();
+  });
+
+  test('undoes tempo changes one at a time', () => {
+    run('120');
+    run('+5');
+    expect(setting('bpm')).toBe('125');
+
+    run('u');
+    expect(setting('bpm')).toBe('120');
+    run('undo');
+    expect(setting('bpm')).toBeNull();
+  });
+
+  test('undoes changes made with keys and setting inputs too', () => {
+    jest.useFakeTimers();
+    const { AudioContext } = window;
+    window.AudioContext = FakeAudioContext;
+    loadApp();
+    run('120');
+    press('Space', ' ');
+    press('KeyD', 'd');
+    answer('KeyM', 'm', '7/8');
+    press('Space', ' ');
+    expect(setting('bpm')).toBe('240');
+    expect(setting('meter')).toBe('7/8');
+
+    run('u');
+    expect(setting('meter')).toBeNull();
+    run('u');
+    expect(setting('bpm')).toBe('120');
+    run('u');
+    expect(setting('bpm')).toBeNull();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    window.AudioContext = AudioContext;
+  });
+
+  test('a run of taps is undone as one change', () => {
+    const now = jest.spyOn(performance, 'now');
+    [0, 500, 1000, 1500].forEach(time => {
+      now.mockReturnValue(time);
+      press('KeyT', 't');
+    });
+    expect(setting('bpm')).toBe('120');
+
+    run('u');
+    expect(setting('bpm')).toBeNull();
+    expect(commandError()).toBe('');
+    run('u');
+    expect(commandError()).toBe('Nothing to undo');
+    now.mockRestore();
+  });
+
+  test('a meter change and the accents it reset come back together', () => {
+    run('a smws');
+    run('m 7/8');
+    expect(setting('meter')).toBe('7/8');
+
+    run('u');
+    expect(setting('meter')).toBeNull();
+    expect(setting('accents')).toBe('smws');
+  });
+
+  test('restores the muting that was replaced', () => {
+    run('r 30 #5');
+    const muting = setting('mute');
+    run('r g4/2');
+    expect(setting('mute')).not.toBe(muting);
+
+    run('u');
+    expect(setting('mute')).toBe(muting);
+    run('u');
+    expect(setting('mute')).toBeNull();
+  });
+
+  test('reports when there is nothing left to undo', () => {
+    run('u');
+    expect(commandError()).toBe('Nothing to undo');
+    // The line stays open with the error, so Escape closes it
+    press('Escape', 'Escape');
+
+    run('90');
+    run('u');
+    expect(commandError()).toBe('');
+    run('u');
+    expect(commandError()).toBe('Nothing to undo');
+  });
+
+  test('keeps the last 50 changes', () => {
+    for (let bpm = 60; bpm <= 110; bpm++) run(String(bpm));
+    for (let i = 0; i < 50; i++) run('u');
+    expect(setting('bpm')).toBe('60');
+    expect(commandError()).toBe('');
+
+    run('u');
+    expect(commandError()).toBe('Nothing to undo');
+    expect(setting('bpm')).toBe('60');
+  });
+});
+
+describe('Prompt errors', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    history.replaceState(null, '', '/');
+    loadApp();
+  });
+
+  test('an unknown practice log command stays open with the error shown', () => {
+    answer('KeyJ', 'j', 'hdie');
+    expect(commandError()).toMatch(/^Unknown practice log command: hdie/);
+    expect(document.getElementById('setting-input').style.display).toBe('block');
+
+    document.getElementById('setting-input').value = 'hide';
+    press('Enter', 'Enter');
+    expect(commandError()).toBe('');
+    expect(document.getElementById('setting-input').style.display).toBe('none');
+  });
+});
@@ -0,0 +1,59 @@
+// Load the app into a jsdom test's document and drive it from the keyboard
+const fs = require('fs');
+const path = require('path');
+
+const PAGE = fs.readFileSync(path.join(__dirname, '..', '..', 'index.html'), 'utf8');
+
+// Enough of the Web Audio API to start the metronome; the clock stands still
+class FakeAudioContext {
+  constructor() {
+    this.state = 'running';
+    this.sampleRate = 48000;
+    this.destination = {};
+    this.currentTime = 0;
+  }
+  createBuffer(channels, length) { return { getChannelData: () => new Float32Array(length) }; }
+  createBufferSource() { return { connect() {}, start() {}, stop() {} }; }
+  createGain() { return { connect() {}, gain: { setValueAtTime() {} } }; }
+  createOscillator() { return { connect() {}, start() {}, stop() {}, frequency: { setValueAtTime() {} } }; }
+  resume() { return Promise.resolve(); }
+}
+
+// Listeners the app added to the shared document and window, removed before
+// it is loaded again
+let listeners = [];
+
+// Load the page and the app into the test's document
+function loadApp() {
+  listeners.forEach(([target, ...args]) => target.removeEventListener(...args));
+  listeners = [];
+  for (const target of [document, window]) {
+    jest.spyOn(target, 'addEventListener').mockImplementation(function (...args) {
+      listeners.push([target, ...args]);
+      EventTarget.prototype.addEventListener.apply(target, args);
+    });
+  }
+
+  document.body.innerHTML = /<body[^>]*>([\s\S]*)<\/body>/.exec(PAGE)[1].replace(/<script[\s\S]*?<\/script>/g, '');
+  document.body.className = '';
+  jest.isolateModules(() => require('../../metronome'));
+  jest.restoreAllMocks();
+}
+
+function press(code, key = '') {
+  document.dispatchEvent(new KeyboardEvent('keydown', { code, key, bubbles: true, cancelable: true }));
+}
+
+// Open a prompt with a key press, type `text` and press Enter
+function answer(code, key, text) {
+  press(code, key);
+  document.getElementById('setting-input').value = text;
+  press('Enter', 'Enter');
+}
+
+module.exports = {
+  FakeAudioContext,
+  loadApp,
+  press,
+  answer
+};
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createLibraryStore, handleApiRequest } = require('../library-api');
+
+describe('library-api.js', () => {
+    let dir;
+    let file;
+    let server;
+    let port;
+
+    beforeEach(done => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-api-'));
+        file = path.join(dir, 'data', 'library.json');
+        const store = createLibraryStore(file);
+        server = http.createServer((req, res) => handleApiRequest(req, res, store));
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterEach(done => {
+        server.close(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+        });
+    });
+
+    // Resolves with { status, headers, body } with body parsed when it is JSON
+    function request(method, url, body, headers = {}) {
+        return new Promise((resolve, reject) => {
+            const data = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+            const req = http.request({
+                port,
+                host: '127.0.0.1',
+                method,
+                path: url,
+                agent: false,
+                headers: data === null ? headers : { 'Content-Type': 'application/json', ...headers }
+            }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+                });
+            });
+            req.on('error', reject);
+            req.end(data);
+        });
+    }
+
+    const savedFile = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    test('creates, reads, replaces and deletes presets', async () => {
+        expect(await request('GET', '/api/presets')).toMatchObject({ status: 200, body: [] });
+
+        const created = await request('POST', '/api/presets', { name: 'Groove', settings: { bpm: 96 } });
+        expect(created.status).toBe(201);
+        expect(created.headers.location).toBe('/api/presets/Groove');
+        expect(created.body.settings.bpm).toBe(96);
+        // Missing fields get the app's defaults
+        expect(created.body.settings.meter.beats).toBe(4);
+
+        expect((await request('POST', '/api/presets', { name: 'Groove', settings: { bpm: 100 } })).status).toBe(409);
+
+        expect((await request('GET', '/api/presets/Groove')).body.settings.bpm).toBe(96);
+        expect((await request('PUT', '/api/presets/Groove', { settings: { bpm: 120 } })).status).toBe(200);
+        expect((await request('PUT', '/api/presets/Ballad%20in%203', { settings: { bpm: 60 } })).status).toBe(201);
+        expect(savedFile().presets.map(preset => [preset.name, preset.settings.bpm])).toEqual([['Groove', 120], ['Ballad in 3', 60]]);
+
+        expect((await request('DELETE', '/api/presets/Groove')).status).toBe(204);
+        expect((await request('DELETE', '/api/presets/Groove')).status).toBe(404);
+        expect((await request('GET', '/api/presets/Groove')).status).toBe(404);
+    });
+
+    test('finds entries by their trimmed names', async () => {
+        expect((await request('POST', '/api/presets', { name: ' Groove ', settings: { bpm: 96 } })).body.name).toBe('Groove');
+        expect((await request('GET', '/api/presets/%20Groove%20')).body.settings.bpm).toBe(96);
+        expect((await request('PUT', '/api/presets/Groove%20', { settings: { bpm: 120 } })).status).toBe(200);
+        expect((await request('DELETE', '/api/presets/%20Groove')).status).toBe(204);
+        expect(savedFile().presets).toEqual([]);
+    });
+
+    test('setlists only name existing presets, and lose deleted ones', async () => {
+        await request('PUT', '/api/presets/a', { settings: { bpm: 80 } });
+        await request('PUT', '/api/presets/b', { settings: { bpm: 90 } });
+
+        const unknown = await request('PUT', '/api/setlists/gig', { songs: ['a', 'c'] });
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.error).toMatch(/c/);
+
+        expect((await request('PUT', '/api/setlists/gig', { songs: ['a', 'b'] })).status).toBe(201);
+        expect((await request('PUT', '/api/setlists/short', { songs: ['a'] })).status).toBe(201);
+
+        await request('DELETE', '/api/presets/a');
+        expect((await request('GET', '/api/setlists')).body).toEqual([{ name: 'gig', songs: ['b'] }]);
+    });
+
+    test.each([
+        ['an invalid tempo', { name: 'x', settings: { bpm: 5000 } }],
+        ['a missing name', { settings: { bpm: 90 } }],
+        ['a blank name', { name: '  ', settings: { bpm: 90 } }],
+        ['missing settings', { name: 'x' }]
+    ])('rejects a preset with %s', async (label, body) => {
+        const response = await request('POST', '/api/presets', body);
+        expect(response.status).toBe(400);
+        expect(response.body.error).toEqual(expect.any(String));
+        expect(fs.existsSync(file)).toBe(false);
+    });
+
+    test('rejects bodies that are not JSON or too large', async () => {
+        expect((await request('POST', '/api/presets', '{"name":', {})).status).toBe(400);
+        expect((await request('POST', '/api/presets', 'name=x', { 'Content-Type': 'text/plain' })).status).toBe(415);
+
+        const huge = JSON.stringify({ name: 'x', settings: { bpm: 90, padding: 'x'.repeat(2 * 1024 * 1024) } });
+        const response = await request('POST', '/api/presets', huge);
+        expect(response.status).toBe(413);
+        expect(response.body.error).toBe('Request body too large');
+        expect(fs.existsSync(file)).toBe(false);
+    });
+
+    test('answers unknown paths and methods', async () => {
+        expect((await request('GET', '/api/songs')).status).toBe(404);
+        const response = await request('PATCH', '/api/presets/a', { settings: {} });
+        expect(response.status).toBe(405);
+        expect(response.headers.allow).toBe('GET, PUT, DELETE');
+        expect((await request('DELETE', '/api/presets')).headers.allow).toBe('GET, POST');
+    });
+
+    test('concurrent writes are all kept', async () => {
+        const names = Array.from({ length: 20 }, (_, i) => `song ${i}`);
+        const responses = await Promise.all(names.map((name, i) =>
+            request('PUT', `/api/presets/${encodeURIComponent(name)}`, { settings: { bpm: 60 + i } })));
+
+        expect(responses.every(response => response.status === 201)).toBe(true);
+        expect(savedFile().presets.map(preset => preset.name).sort()).toEqual([...names].sort());
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['library.json']);
+    });
+
+    test('keeps an unreadable file as it is', async () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, 'not a library');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await request('PUT', '/api/presets/a', { settings: { bpm: 90 } })).status).toBe(500);
+        expect(fs.readFileSync(file, 'utf8')).toBe('not a library');
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,88 @@
+const { loadApp, answer } = require('./helpers/app');
+
+// The preset API of server.js, kept in memory; `online` false fails every request
+function createServer(presets = []) {
+  const server = { online: true, library: { presets, setlists: [] }, requests: [] };
+  window.fetch = jest.fn(async (url, { method = 'GET', body } = {}) => {
+    if (!server.online) throw new TypeError('Failed to fetch');
+    server.requests.push(`${method} ${url}`);
+
+    const [, kind, name] = /^\/api\/(\w+)(?:\/(.+))?$/.exec(url);
+    const entries = server.library[kind];
+    const respond = (status, json = null) => ({ ok: status < 400, status, json: async () => json });
+    if (method === 'GET') return respond(200, entries);
+
+    const index = entries.findIndex(entry => entry.name === decodeURIComponent(name));
+    if (method === 'DELETE') {
+      if (index === -1) return respond(404, { error: 'No such preset' });
+      entries.splice(index, 1);
+      return respond(204);
+    }
+    const entry = { name: decodeURIComponent(name), ...JSON.parse(body) };
+    if (index === -1) entries.push(entry); else entries[index] = entry;
+    return respond(index === -1 ? 201 : 200, entry);
+  });
+  return server;
+}
+
+// Let the sync's requests and their responses run
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setTimeout(resolve, 0));
+};
+
+const preset = (name, bpm) => ({ name, settings: { bpm } });
+const savedNames = () => JSON.parse(localStorage.getItem('metronome.library')).presets.map(entry => entry.name);
+
+describe('Preset server sync', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    delete window.fetch;
+  });
+
+  test('a preset deleted on the server stays deleted', async () => {
+    const server = createServer([preset('Groove', 96), preset('Ballad', 60)]);
+    loadApp();
+    await settle();
+    expect(savedNames()).toEqual(['Groove', 'Ballad']);
+
+    // Someone else deletes it; the next page load here must not bring it back
+    server.library.presets.splice(0, 1);
+    server.requests = [];
+    loadApp();
+    await settle();
+    expect(server.requests.filter(request => !request.startsWith('GET'))).toEqual([]);
+    expect(server.library.presets.map(entry => entry.name)).toEqual(['Ballad']);
+    expect(savedNames()).toEqual(['Ballad']);
+  });
+
+  test('changes made without the server are sent on the next sync', async () => {
+    const server = createServer([preset('Groove', 96), preset('Ballad', 60)]);
+    loadApp();
+    await settle();
+
+    server.online = false;
+    answer('KeyL', 'l', 'delete Groove');
+    answer('KeyL', 'l', 'save Shuffle');
+    await settle();
+    expect(server.library.presets.map(entry => entry.name)).toEqual(['Groove', 'Ballad']);
+
+    server.online = true;
+    loadApp();
+    await settle();
+    expect(server.library.presets.map(entry => entry.name)).toEqual(['Ballad', 'Shuffle']);
+    expect(savedNames()).toEqual(['Ballad', 'Shuffle']);
+    expect(JSON.parse(localStorage.getItem('metronome.library.pending'))).toEqual([]);
+  });
+
+  test('a browser syncing for the first time uploads what it holds', async () => {
+    localStorage.setItem('metronome.library', JSON.stringify({ version: 1, presets: [preset('Groove', 96)], setlists: [] }));
+    const server = createServer();
+    loadApp();
+    await settle();
+    expect(server.library.presets.map(entry => entry.name)).toEqual(['Groove']);
+  });
+});
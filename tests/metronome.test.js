@@ -1,4 +1,100 @@
-const { calculateBpmFromInterval } = require('../metronome');
+const {
+  calculateBpmFromInterval,
+  rejectTapOutliers,
+  estimateTapTempo,
+  parseTempo,
+  parseTempoRange,
+  clampTempo,
+  formatTempo,
+  parseMeter,
+  formatMeter,
+  defaultAccentPattern,
+  parseAccentPattern,
+  formatAccentPattern,
+  subdivisionOffsets,
+  parseSubdivisionLayers,
+  formatSubdivisionLayers,
+  parseSwing,
+  buildBeatEvents,
+  renderVoice,
+  parseVoiceSetting,
+  formatVoiceSetting,
+  parseTrainer,
+  formatTrainer,
+  advanceTrainer,
+  parseTempoMap,
+  formatTempoMap,
+  sectionTempo,
+  sectionBeatTime,
+  createRandom,
+  parseMuteSetting,
+  formatMuteSetting,
+  currentMuteProbability,
+  isBeatMuted,
+  parsePolyrhythm,
+  formatPolyrhythm,
+  polyrhythmCycleDuration,
+  buildPolyrhythmEvents,
+  createRenderSettings,
+  buildClickTrack,
+  renderClickTrack,
+  encodeWav,
+  encodeMidi,
+  parseExportSetting,
+  capturePresetSettings,
+  sanitizePresetSettings,
+  parseLibrary,
+  serializeLibrary,
+  mergeLibrary,
+  parseLibraryCommand,
+  parseCommand,
+  defaultKeyBindings,
+  resolveKeyBindings,
+  rebindKey,
+  actionForKey,
+  formatKey,
+  describeKeys,
+  parseAccessSetting,
+  formatAccessSetting,
+  describeAnnouncement,
+  vibrationPulse,
+  parsePreferences,
+  serializePreferences,
+  parseUrlState,
+  serializeUrlState,
+  takeDueNote,
+  createWorkerTimer,
+  createDiagnostics,
+  recordTick,
+  recordClick,
+  summarizeDiagnostics,
+  estimateClockOffset,
+  buildTimeline,
+  parseTimeline,
+  midiClockPulses,
+  connectMidiClockOutput,
+  createClockFollower,
+  followClockPulse,
+  connectMidiClockInput,
+  parseMidiSetting,
+  listMidiPorts,
+  findMidiPort,
+  createOnsetDetector,
+  detectOnsets,
+  parseMicSetting,
+  createTapAccuracy,
+  recordAccuracyBeat,
+  recordAccuracyTap,
+  summarizeAccuracy,
+  recordPracticeSessions,
+  parsePracticeLog,
+  serializePracticeLog,
+  tempoDurations,
+  summarizePractice,
+  practiceToCsv,
+  formatPracticeTime,
+  MetronomeEngine
+} = require('../metronome');
 
 describe('Metronome Utility Functions', () => {
   describe('calculateBpmFromInterval', () => {
@@ -22,10 +118,1734 @@ describe('Metronome Utility Functions', () => {
       expect(calculateBpmFromInterval(1)).toBe(60000);
       expect(calculateBpmFromInterval(60000)).toBe(1);
     });
+
+    test('averages a list of intervals', () => {
+      expect(calculateBpmFromInterval([500, 500, 500])).toBe(120);
+      expect(calculateBpmFromInterval([480, 520])).toBe(120);
+      expect(calculateBpmFromInterval([900, 1000, 1100])).toBe(60);
+    });
+
+    test('treats a single-element list like a single interval', () => {
+      expect(calculateBpmFromInterval([333])).toBe(calculateBpmFromInterval(333));
+    });
+
+    test('returns null for an empty list', () => {
+      expect(calculateBpmFromInterval([])).toBeNull();
+    });
+  });
+
+  describe('tap tempo', () => {
+    test('rejectTapOutliers drops missed and doubled taps', () => {
+      expect(rejectTapOutliers([500, 510, 1000, 490, 250])).toEqual([500, 510, 490]);
+    });
+
+    test('rejectTapOutliers keeps uneven taps it cannot tell apart', () => {
+      expect(rejectTapOutliers([500, 1000])).toEqual([500, 1000]);
+      expect(rejectTapOutliers([300, 500, 1000, 1200])).toEqual([300, 500, 1000, 1200]);
+    });
+
+    test('estimateTapTempo averages uneven taps instead of giving NaN', () => {
+      expect(estimateTapTempo([0, 500, 1500])).toBe(80);
+      const engine = new MetronomeEngine();
+      engine.tap(0);
+      engine.tap(500);
+      expect(engine.tap(1500)).toBe(80);
+      expect(engine.bpm).toBe(80);
+    });
+
+    test('estimateTapTempo needs two taps', () => {
+      expect(estimateTapTempo([])).toBeNull();
+      expect(estimateTapTempo([1000])).toBeNull();
+      expect(estimateTapTempo([1000, 1500])).toBe(120);
+    });
+
+    test('estimateTapTempo averages and ignores an outlier', () => {
+      // Steady 600ms taps with one missed tap (1200ms gap)
+      expect(estimateTapTempo([0, 600, 1200, 2400, 3000, 3600])).toBe(100);
+    });
+
+    test('estimateTapTempo clamps to the tempo range', () => {
+      expect(estimateTapTempo([0, 100])).toBe(300);
+      expect(estimateTapTempo([0, 5000])).toBe(12);
+      expect(estimateTapTempo([0, 100], { minBpm: 40, maxBpm: 208 })).toBe(208);
+      expect(estimateTapTempo([0, 1800], { minBpm: 40, maxBpm: 208 })).toBe(40);
+    });
+  });
+});
+
+describe('Meter and accents', () => {
+  describe('parseMeter', () => {
+    test('parses simple meters as a single group', () => {
+      expect(parseMeter('3/4')).toEqual({ beats: 3, noteValue: 4, groups: [3] });
+    });
+
+    test('groups compound and odd eighth meters', () => {
+      expect(parseMeter('12/8').groups).toEqual([3, 3, 3, 3]);
+      expect(parseMeter('5/8').groups).toEqual([3, 2]);
+      expect(parseMeter('7/8').groups).toEqual([2, 2, 3]);
+    });
+
+    test('accepts custom groupings', () => {
+      expect(parseMeter('3+3+2/8')).toEqual({ beats: 8, noteValue: 8, groups: [3, 3, 2] });
+    });
+
+    test('rejects invalid meters', () => {
+      expect(parseMeter('4')).toBeNull();
+      expect(parseMeter('0/4')).toBeNull();
+      expect(parseMeter('4/5')).toBeNull();
+      expect(parseMeter('33/4')).toBeNull();
+    });
+  });
+
+  test('formatMeter only shows non-default groupings', () => {
+    expect(formatMeter(parseMeter('7/8'))).toBe('7/8');
+    expect(formatMeter(parseMeter('3+2+2/8'))).toBe('3+2+2/8');
+  });
+
+  test('defaultAccentPattern accents the downbeat and group starts', () => {
+    expect(defaultAccentPattern(parseMeter('4/4'))).toEqual(['strong', 'weak', 'weak', 'weak']);
+    expect(defaultAccentPattern(parseMeter('5/8'))).toEqual(['strong', 'weak', 'weak', 'medium', 'weak']);
+  });
+
+  test('parseAccentPattern round-trips through formatAccentPattern', () => {
+    const pattern = parseAccentPattern('s-mw', 4);
+    expect(pattern).toEqual(['strong', 'silent', 'medium', 'weak']);
+    expect(formatAccentPattern(pattern)).toBe('s-mw');
+  });
+
+  test('parseAccentPattern rejects wrong lengths and characters', () => {
+    expect(parseAccentPattern('sww', 4)).toBeNull();
+    expect(parseAccentPattern('swwx', 4)).toBeNull();
+  });
+});
+
+describe('Subdivisions and swing', () => {
+  test('subdivisionOffsets are straight without swing', () => {
+    expect(subdivisionOffsets('eighths')).toEqual([0.5]);
+    expect(subdivisionOffsets('sixteenths')).toEqual([0.25, 0.5, 0.75]);
+  });
+
+  test('swing delays the off-beat subdivisions only', () => {
+    expect(subdivisionOffsets('eighths', 2 / 3)[0]).toBeCloseTo(2 / 3);
+    expect(subdivisionOffsets('sixteenths', 0.75)).toEqual([0.375, 0.5, 0.875]);
+    expect(subdivisionOffsets('triplets', 0.75)).toEqual([1 / 3, 2 / 3]);
+  });
+
+  test('parseSubdivisionLayers reads codes and optional volumes', () => {
+    expect(parseSubdivisionLayers('8 3:20')).toEqual([
+      { type: 'eighths', volume: 0.15 },
+      { type: 'triplets', volume: 0.2 }
+    ]);
+    expect(parseSubdivisionLayers('0')).toEqual([]);
+    expect(parseSubdivisionLayers('7')).toBeNull();
+    expect(parseSubdivisionLayers('8 8')).toBeNull();
+    expect(parseSubdivisionLayers('16:150')).toBeNull();
+  });
+
+  test('formatSubdivisionLayers round-trips', () => {
+    expect(formatSubdivisionLayers(parseSubdivisionLayers('16:40 d'))).toBe('16:40 d:15');
+  });
+
+  test('parseSwing accepts 50-75 percent', () => {
+    expect(parseSwing('66')).toBe(0.66);
+    expect(parseSwing('40')).toBeNull();
+    expect(parseSwing('80')).toBeNull();
+  });
+
+  test('buildBeatEvents merges the beat and its layers in time order', () => {
+    const events = buildBeatEvents(0, 10, {
+      bpm: 60,
+      accentPattern: ['strong', 'weak'],
+      subdivisionLayers: [{ type: 'triplets', volume: 0.2 }, { type: 'eighths', volume: 0.1 }],
+      swing: 0.5,
+      voice: 'woodblock',
+      accentVolumes: { strong: 0.8, medium: 0.5, weak: 0.3 }
+    });
+    expect(events.map(e => e.time)).toEqual([10, 10 + 1 / 3, 10.5, 10 + 2 / 3]);
+    expect(events[0].sound).toEqual({ voice: 'woodblock', frequency: 1600, gainLevel: 0.8 });
+    expect(events[2].sound).toEqual({ voice: 'triangle', frequency: 800, gainLevel: 0.1 });
+  });
+
+  test('buildBeatEvents keeps subdivisions of a silent beat', () => {
+    const events = buildBeatEvents(1, 0, {
+      bpm: 120,
+      accentPattern: ['strong', 'silent'],
+      subdivisionLayers: [{ type: 'eighths', volume: 0.15 }],
+      swing: 0.5,
+      voice: 'beep',
+      accentVolumes: { strong: 0.45, medium: 0.35, weak: 0.3 }
+    });
+    expect(events.map(e => e.time)).toEqual([0.25]);
+  });
+});
+
+describe('Click voices', () => {
+  const voices = ['woodblock', 'cowbell', 'rimshot', 'hihat', 'beep', 'soft'];
+
+  test.each(voices)('renderVoice(%s) stays within full scale and fades out', name => {
+    const data = renderVoice(name, 1000, 44100);
+    expect(data.length).toBeGreaterThan(0);
+    expect(Math.max(...data.map(Math.abs))).toBeLessThanOrEqual(1);
+    expect(Math.abs(data[data.length - 1])).toBeLessThan(0.01);
+  });
+
+  test('renderVoice is deterministic, noise included', () => {
+    expect(renderVoice('rimshot', 1000, 44100)).toEqual(renderVoice('rimshot', 1000, 44100));
+  });
+
+  test('renderVoice length follows the sample rate', () => {
+    expect(renderVoice('beep', 1000, 48000).length).toBe(2400);
+  });
+
+  test('parseVoiceSetting reads a voice and optional accent volumes', () => {
+    expect(parseVoiceSetting('Woodblock')).toEqual({ voice: 'woodblock' });
+    expect(parseVoiceSetting('cowbell 80/50/30')).toEqual({
+      voice: 'cowbell', accentVolumes: { strong: 0.8, medium: 0.5, weak: 0.3 }
+    });
+    expect(parseVoiceSetting('tuba')).toBeNull();
+    expect(parseVoiceSetting('beep 80/50')).toBeNull();
+    expect(parseVoiceSetting('beep 80/50/130')).toBeNull();
+  });
+
+  test('formatVoiceSetting round-trips', () => {
+    expect(formatVoiceSetting({ voice: 'soft', ...parseVoiceSetting('soft 40/30/20') })).toBe('soft 40/30/20');
+  });
+});
+
+describe('Speed trainer', () => {
+  // Feed bar boundaries of a fixed length through the trainer, returning the tempo of each bar
+  function runBars(trainer, bars, barLength = 2) {
+    let bpm = trainer.startBpm;
+    const tempos = [];
+    for (let bar = 0; bar < bars; bar++) {
+      bpm = advanceTrainer(trainer, bpm, bar * barLength);
+      tempos.push(bpm);
+    }
+    return tempos;
+  }
+
+  test('parseTrainer reads bar and second intervals', () => {
+    expect(parseTrainer('60>120 5 4b')).toMatchObject({
+      startBpm: 60, targetBpm: 120, steps: [5], interval: 4, unit: 'bars'
+    });
+    expect(parseTrainer('80>140 5,5,-3 30s')).toMatchObject({ steps: [5, 5, -3], unit: 'seconds' });
+  });
+
+  test('parseTrainer rejects ramps that never get anywhere', () => {
+    expect(parseTrainer('60>60 5 4b')).toBeNull();
+    expect(parseTrainer('60>120 3,-3 4b')).toBeNull();
+    expect(parseTrainer('60>400 5 4b')).toBeNull();
+    expect(parseTrainer('60>120 5 0b')).toBeNull();
+  });
+
+  test('formatTrainer round-trips', () => {
+    expect(formatTrainer(parseTrainer('80>140 5,5,-3 30s'))).toBe('80>140 +5,+5,-3 30s');
+  });
+
+  test('raises the tempo every N bars on the bar boundary', () => {
+    expect(runBars(parseTrainer('60>70 5 2b'), 7)).toEqual([60, 60, 65, 65, 70, 70, 70]);
+  });
+
+  test('cycles through step-back steps', () => {
+    expect(runBars(parseTrainer('60>120 5,5,-3 1b'), 5)).toEqual([60, 65, 70, 67, 72]);
+  });
+
+  test('changes after T seconds at the next bar boundary', () => {
+    // 3 second bars against a 4 second interval: changes land on 6s, 12s, ...
+    expect(runBars(parseTrainer('60>120 10 4s'), 5, 3)).toEqual([60, 60, 70, 70, 80]);
+  });
+
+  test('clamps to the target and stops', () => {
+    const trainer = parseTrainer('60>68 5 1b');
+    expect(runBars(trainer, 4)).toEqual([60, 65, 68, 68]);
+    expect(trainer.done).toBe(true);
+  });
+
+  test('ramps down when the target is below the start', () => {
+    expect(runBars(parseTrainer('100>90 5 1b'), 4)).toEqual([100, 95, 90, 90]);
+  });
+});
+
+describe('Muting modes', () => {
+  const settings = text => ({ randomMuteProbability: 0, ...parseMuteSetting(text) });
+
+  test('parseMuteSetting keeps the plain percentage', () => {
+    expect(parseMuteSetting('35')).toEqual({
+      muteMode: 'random', randomMuteProbability: 0.35, keepDownbeat: false, muteSeed: null
+    });
+  });
+
+  test('parseMuteSetting reads gap, ramp and flags', () => {
+    expect(parseMuteSetting('g4/2 d')).toMatchObject({ muteMode: 'gap', gapBars: { play: 4, mute: 2 }, keepDownbeat: true });
+    expect(parseMuteSetting('10>60/5 #42')).toMatchObject({
+      muteMode: 'ramp', muteRamp: { from: 0.1, to: 0.6, minutes: 5 }, muteSeed: 42
+    });
+  });
+
+  test('parseMuteSetting rejects invalid input', () => {
+    expect(parseMuteSetting('')).toBeNull();
+    expect(parseMuteSetting('101')).toBeNull();
+    expect(parseMuteSetting('g0/2')).toBeNull();
+    expect(parseMuteSetting('35 x')).toBeNull();
+  });
+
+  test('formatMuteSetting round-trips', () => {
+    ['35', 'g4/2 d', '10>60/5 #42'].forEach(text => {
+      expect(formatMuteSetting(settings(text))).toBe(text);
+    });
+  });
+
+  test('gap click plays N bars then mutes M bars', () => {
+    const gap = settings('g2/1');
+    const muted = [0, 1, 2, 3, 4, 5].map(bar => isBeatMuted(gap, { beat: 1, bar, elapsed: 0 }, Math.random));
+    expect(muted).toEqual([false, false, true, false, false, true]);
+  });
+
+  test('keepDownbeat never mutes beat one', () => {
+    const always = settings('100 d');
+    expect(isBeatMuted(always, { beat: 0, bar: 0, elapsed: 0 }, Math.random)).toBe(false);
+    expect(isBeatMuted(always, { beat: 1, bar: 0, elapsed: 0 }, Math.random)).toBe(true);
+  });
+
+  test('ramp probability grows over the session and then holds', () => {
+    const ramp = settings('10>60/5');
+    expect(currentMuteProbability(ramp, 0)).toBeCloseTo(0.1);
+    expect(currentMuteProbability(ramp, 150)).toBeCloseTo(0.35);
+    expect(currentMuteProbability(ramp, 600)).toBeCloseTo(0.6);
+  });
+
+  test('a seeded random source replays the same pattern', () => {
+    const run = seed => {
+      const random = createRandom(seed);
+      return Array.from({ length: 32 }, (_, i) => isBeatMuted(settings('50'), { beat: i % 4, bar: 0, elapsed: 0 }, random));
+    };
+    expect(run(42)).toEqual(run(42));
+    expect(run(42)).not.toEqual(run(43));
+  });
+});
+
+describe('Polyrhythm', () => {
+  test('parsePolyrhythm gives each voice a default pitch and pan', () => {
+    expect(parsePolyrhythm('3:2')).toEqual({
+      voices: [
+        { pulses: 3, frequency: 1320, pan: -0.6, muted: false },
+        { pulses: 2, frequency: 880, pan: 0.6, muted: false }
+      ]
+    });
+  });
+
+  test('parsePolyrhythm accepts pitch and pan per voice', () => {
+    const poly = parsePolyrhythm('7/500/-100:4/300/0');
+    expect(poly.voices[0]).toMatchObject({ pulses: 7, frequency: 500, pan: -1 });
+    expect(formatPolyrhythm(poly)).toBe('7/500/-100:4/300/0');
+  });
+
+  test('parsePolyrhythm rejects invalid voices', () => {
+    expect(parsePolyrhythm('3')).toBeNull();
+    expect(parsePolyrhythm('3:0')).toBeNull();
+    expect(parsePolyrhythm('3:2/440/150')).toBeNull();
+    expect(parsePolyrhythm('2:3:4:5:6')).toBeNull();
+  });
+
+  test('the last voice follows the tempo', () => {
+    expect(polyrhythmCycleDuration(parsePolyrhythm('3:2'), 60)).toBe(2);
+    expect(polyrhythmCycleDuration(parsePolyrhythm('5:4'), 120)).toBe(2);
+  });
+
+  test('buildPolyrhythmEvents divides one cycle per voice', () => {
+    const events = buildPolyrhythmEvents(0, parsePolyrhythm('3:2'), 60);
+    expect(events.map(e => [e.voice, e.time])).toEqual([
+      [0, 0], [1, 0], [0, 2 / 3], [1, 1], [0, 4 / 3]
+    ]);
+  });
+
+  test('buildPolyrhythmEvents skips muted voices', () => {
+    const poly = parsePolyrhythm('4:3');
+    poly.voices[0].muted = true;
+    expect(buildPolyrhythmEvents(0, poly, 60).every(e => e.voice === 1)).toBe(true);
+  });
+});
+
+describe('Click track export', () => {
+  const fs = require('fs');
+  const path = require('path');
+
+  test('buildClickTrack lays out bars in seconds and ticks', () => {
+    const track = buildClickTrack(createRenderSettings({ bpm: 120, meter: parseMeter('3/4') }), 2);
+    expect(track.duration).toBe(3);
+    expect(track.ticks).toBe(2880);
+    expect(track.events.map(e => e.tick)).toEqual([0, 480, 960, 1440, 1920, 2400]);
+    expect(track.events.map(e => e.accent)).toEqual(['strong', 'weak', 'weak', 'strong', 'weak', 'weak']);
+  });
+
+  test('buildClickTrack follows the speed trainer bar by bar', () => {
+    const track = buildClickTrack(createRenderSettings({ trainer: parseTrainer('60>70 5 1b') }), 3);
+    expect(track.tempos.map(t => [t.tick, t.bpm])).toEqual([[0, 60], [1920, 65], [3840, 70]]);
+  });
+
+  test('buildClickTrack mutes the same beats for the same seed', () => {
+    const settings = createRenderSettings({ bpm: 120, ...parseMuteSetting('50 #7') });
+    const ticks = () => buildClickTrack(settings, 8).events.map(e => e.tick);
+    expect(ticks()).toEqual(ticks());
+    expect(ticks().length).toBeLessThan(32);
+  });
+
+  test('encodeWav writes a 16-bit PCM header', () => {
+    const bytes = encodeWav([new Float32Array([0, 1]), new Float32Array([0, -1])], 8000);
+    const view = new DataView(bytes.buffer);
+    expect(String.fromCharCode(...bytes.slice(0, 4))).toBe('RIFF');
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(8000);
+    expect(view.getUint32(40, true)).toBe(8);
+    expect(view.getInt16(48, true)).toBe(32767);
+    expect(view.getInt16(50, true)).toBe(-32767);
+  });
+
+  test('rendered WAV matches the reference file byte for byte', () => {
+    const settings = createRenderSettings({
+      bpm: 240,
+      meter: parseMeter('2/4'),
+      subdivisionLayers: parseSubdivisionLayers('8')
+    });
+    const track = buildClickTrack(settings, 1);
+    const bytes = encodeWav(renderClickTrack(track, 8000), 8000);
+    const reference = fs.readFileSync(path.join(__dirname, 'fixtures', 'click-2-4-240bpm.wav'));
+    expect(Buffer.from(bytes).equals(reference)).toBe(true);
+  });
+
+  test('encodeMidi writes a format 0 file with tempo, meter and notes', () => {
+    const track = buildClickTrack(createRenderSettings({ bpm: 120, meter: parseMeter('2/4') }), 1);
+    expect(Array.from(encodeMidi(track))).toEqual([
+      0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xE0,
+      0x4D, 0x54, 0x72, 0x6B, 0, 0, 0, 0x25,
+      0x00, 0xFF, 0x58, 0x04, 2, 2, 24, 8,
+      0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,
+      0x00, 0x99, 34, 114, 0x3C, 0x89, 34, 0,
+      0x83, 0x24, 0x99, 33, 76, 0x3C, 0x89, 33, 0,
+      0x83, 0x24, 0xFF, 0x2F, 0x00
+    ]);
+  });
+
+  test('encodeMidi stores tempo per quarter note for eighth-note meters', () => {
+    const track = buildClickTrack(createRenderSettings({ bpm: 120, meter: parseMeter('6/8') }), 1);
+    const bytes = Array.from(encodeMidi(track));
+    const tempoAt = bytes.indexOf(0x51);
+    expect(bytes.slice(tempoAt + 2, tempoAt + 5)).toEqual([0x0F, 0x42, 0x40]); // 1,000,000 us
+  });
+
+  test('encodeMidi keeps very slow tempos within the 24-bit tempo field', () => {
+    const track = buildClickTrack(createRenderSettings({ bpm: 2 }), 1);
+    const bytes = Array.from(encodeMidi(track));
+    const tempoAt = bytes.indexOf(0x51);
+    expect(bytes.slice(tempoAt + 2, tempoAt + 5)).toEqual([0xFF, 0xFF, 0xFF]);
+  });
+
+  test('parseExportSetting reads bars and format', () => {
+    expect(parseExportSetting('64')).toEqual({ bars: 64, format: 'wav' });
+    expect(parseExportSetting('8 mid')).toEqual({ bars: 8, format: 'mid' });
+    expect(parseExportSetting('0')).toBeNull();
+    expect(parseExportSetting('8 mp3')).toBeNull();
+  });
+});
+
+describe('Presets and setlists', () => {
+  const songSettings = () => createRenderSettings({
+    bpm: 132,
+    meter: parseMeter('7/8'),
+    subdivisionLayers: parseSubdivisionLayers('8:20'),
+    trainer: parseTrainer('60>120 5 4b'),
+    ...parseMuteSetting('g4/2 d #9'),
+    ...parseVoiceSetting('cowbell 80/50/30')
+  });
+
+  test('capturePresetSettings survives a JSON round trip', () => {
+    const captured = capturePresetSettings(songSettings());
+    const restored = sanitizePresetSettings(JSON.parse(JSON.stringify(captured)));
+    expect(restored).toMatchObject({
+      bpm: 132,
+      meter: { beats: 7, noteValue: 8 },
+      subdivisionLayers: [{ type: 'eighths', volume: 0.2 }],
+      trainer: { startBpm: 60, targetBpm: 120 },
+      muteMode: 'gap',
+      keepDownbeat: true,
+      voice: 'cowbell'
+    });
+  });
+
+  test('capturePresetSettings drops trainer progress and the sample voice', () => {
+    const settings = songSettings();
+    settings.trainer.stepIndex = 3;
+    settings.voice = 'sample';
+    const captured = capturePresetSettings(settings);
+    expect(captured.trainer).not.toHaveProperty('stepIndex');
+    expect(captured.voice).toBe('beep');
+  });
+
+  test('sanitizePresetSettings fills in defaults', () => {
+    const settings = sanitizePresetSettings({ bpm: 90, meter: { beats: 3, noteValue: 4, groups: [3] } });
+    expect(settings.bpm).toBe(90);
+    expect(settings.accentPattern).toEqual(['strong', 'weak', 'weak']);
+    expect(settings.voice).toBe('beep');
+  });
+
+  test('sanitizePresetSettings rejects invalid fields', () => {
+    expect(sanitizePresetSettings({ bpm: 'fast' })).toBeNull();
+    expect(sanitizePresetSettings({ bpm: 900 })).toBeNull();
+    expect(sanitizePresetSettings({ meter: { beats: 3 } })).toBeNull();
+    expect(sanitizePresetSettings({ accentPattern: ['loud', 'weak', 'weak', 'weak'] })).toBeNull();
+    expect(sanitizePresetSettings({ voice: 'sample' })).toBeNull();
+    expect(sanitizePresetSettings(null)).toBeNull();
+  });
+
+  test('parseLibrary skips broken presets and unknown songs', () => {
+    const lib = parseLibrary(JSON.stringify({
+      presets: [
+        { name: 'Intro', settings: { bpm: 90 } },
+        { name: 'Broken', settings: { bpm: -1 } },
+        { settings: { bpm: 100 } }
+      ],
+      setlists: [
+        { name: 'Gig', songs: ['Intro', 'Broken', 'Missing'] },
+        { name: 'Empty', songs: ['Missing'] }
+      ]
+    }));
+    expect(lib.presets.map(p => p.name)).toEqual(['Intro']);
+    expect(lib.setlists).toEqual([{ name: 'Gig', songs: ['Intro'] }]);
+  });
+
+  test('parseLibrary rejects files that are not libraries', () => {
+    expect(parseLibrary('not json')).toBeNull();
+    expect(parseLibrary('{"songs": []}')).toBeNull();
+  });
+
+  test('serializeLibrary output parses back to the same library', () => {
+    const lib = parseLibrary(JSON.stringify({
+      presets: [{ name: 'Song', settings: capturePresetSettings(songSettings()) }],
+      setlists: [{ name: 'Gig', songs: ['Song'] }]
+    }));
+    expect(parseLibrary(serializeLibrary(lib))).toEqual(lib);
+    expect(JSON.parse(serializeLibrary(lib)).version).toBe(1);
+  });
+
+  test('mergeLibrary replaces same-named entries in place and keeps order', () => {
+    const merged = mergeLibrary(
+      { presets: [{ name: 'A', settings: 1 }, { name: 'B', settings: 1 }], setlists: [] },
+      { presets: [{ name: 'C', settings: 2 }, { name: 'A', settings: 2 }], setlists: [{ name: 'Gig', songs: ['A'] }] }
+    );
+    expect(merged.presets).toEqual([{ name: 'A', settings: 2 }, { name: 'B', settings: 1 }, { name: 'C', settings: 2 }]);
+    expect(merged.setlists).toHaveLength(1);
+  });
+
+  test('parseLibraryCommand reads each command', () => {
+    expect(parseLibraryCommand('save Blue Bossa')).toEqual({ command: 'save', name: 'Blue Bossa' });
+    expect(parseLibraryCommand('setlist Friday: Intro, Blue Bossa')).toEqual({
+      command: 'setlist', name: 'Friday', songs: ['Intro', 'Blue Bossa']
+    });
+    expect(parseLibraryCommand('export')).toEqual({ command: 'export' });
+    expect(parseLibraryCommand('load')).toBeNull();
+    expect(parseLibraryCommand('setlist Friday')).toBeNull();
+    expect(parseLibraryCommand('rename x')).toBeNull();
+  });
+});
+
+describe('Deep links', () => {
+  test('parseUrlState reads the basic settings', () => {
+    expect(parseUrlState('?bpm=132&mute=25&autostart=0')).toEqual({
+      settings: { bpm: 132, muteMode: 'random', randomMuteProbability: 0.25, keepDownbeat: false, muteSeed: null },
+      autostart: false
+    });
+    expect(parseUrlState('?autostart=1').autostart).toBe(true);
+  });
+
+  test('parseUrlState clamps numbers and ignores garbage', () => {
+    expect(parseUrlState('?bpm=999&mute=150&swing=90').settings).toMatchObject({
+      bpm: 300, randomMuteProbability: 1, swing: 0.75
+    });
+    expect(parseUrlState('?bpm=abc&meter=4/5&voice=tuba&poly=3').settings).toEqual({});
+  });
+
+  test('parseUrlState applies accents against the linked meter', () => {
+    expect(parseUrlState('?meter=3/4&accents=s-m').settings.accentPattern).toEqual(['strong', 'silent', 'medium']);
+    expect(parseUrlState('?accents=s-m').settings.accentPattern).toBeUndefined();
+  });
+
+  test('serializeUrlState leaves out defaults', () => {
+    expect(serializeUrlState(createRenderSettings())).toBe('');
+    expect(serializeUrlState(createRenderSettings({ bpm: 132 }))).toBe('bpm=132');
+  });
+
+  test('serializeUrlState and parseUrlState round-trip', () => {
+    const settings = createRenderSettings({
+      bpm: 96,
+      meter: parseMeter('7/8'),
+      subdivisionLayers: parseSubdivisionLayers('8:20'),
+      swing: 0.6,
+      ...parseMuteSetting('g4/2 d #9'),
+      ...parseVoiceSetting('woodblock')
+    });
+    const restored = createRenderSettings(parseUrlState(`?${serializeUrlState(settings)}`).settings);
+    expect(restored).toEqual(settings);
+  });
+});
+
+describe('Visual beat indicator', () => {
+  test('takeDueNote waits for the audio clock', () => {
+    const queue = [{ time: 1, beat: 0 }, { time: 1.5, beat: 1 }];
+    expect(takeDueNote(queue, 0.99)).toBeNull();
+    expect(queue).toHaveLength(2);
+    expect(takeDueNote(queue, 1)).toEqual({ time: 1, beat: 0 });
+    expect(queue).toHaveLength(1);
+  });
+
+  test('takeDueNote skips to the latest note after a dropped frame', () => {
+    const queue = [{ time: 1, beat: 0 }, { time: 1.5, beat: 1 }, { time: 2, beat: 2 }];
+    expect(takeDueNote(queue, 1.6)).toEqual({ time: 1.5, beat: 1 });
+    expect(queue).toEqual([{ time: 2, beat: 2 }]);
+  });
+});
+
+describe('MetronomeEngine', () => {
+  // A clock the test moves by hand, a timer that never fires on its own and
+  // an audio backend that records clicks
+  function createEngine(settings = {}) {
+    const clock = { time: 0, now() { return this.time; } };
+    const timer = { start: jest.fn(() => 1), stop: jest.fn() };
+    const audio = { playClick: jest.fn() };
+    const engine = new MetronomeEngine({ clock, timer, audio, settings });
+    const advance = seconds => {
+      const end = clock.time + seconds;
+      while (clock.time < end - 1e-9) {
+        clock.time += 0.01;
+        engine.tick();
+      }
+    };
+    return { engine, clock, timer, audio, advance };
+  }
+
+  const clickTimes = audio => audio.playClick.mock.calls.map(([time]) => time);
+
+  test('start and stop drive the timer and emit statechange', () => {
+    const { engine, timer } = createEngine();
+    const changes = [];
+    engine.on('statechange', change => changes.push(change));
+
+    engine.start();
+    engine.start();
+    expect(engine.isRunning).toBe(true);
+    expect(timer.start).toHaveBeenCalledTimes(1);
+    expect(timer.start.mock.calls[0][1]).toBe(10);
+
+    engine.stop();
+    expect(engine.isRunning).toBe(false);
+    expect(timer.stop).toHaveBeenCalledWith(1);
+    expect(changes).toEqual([{ isRunning: true }, { isRunning: false }]);
+  });
+
+  test('schedules clicks on the injected clock, one lookahead ahead', () => {
+    const { engine, audio, advance } = createEngine({ bpm: 120 });
+    engine.start();
+    engine.tick();
+    expect(clickTimes(audio)).toEqual([0.05]);
+
+    advance(1);
+    const times = clickTimes(audio);
+    expect(times).toHaveLength(3);
+    expect(times[1]).toBeCloseTo(0.55);
+    expect(times[2]).toBeCloseTo(1.05);
+    expect(audio.playClick.mock.calls[0][1]).toMatchObject({ voice: 'beep', gainLevel: 0.45 });
+  });
+
+  test('does not schedule while stopped', () => {
+    const { engine, audio, advance } = createEngine({ bpm: 120 });
+    engine.start();
+    advance(0.5);
+    engine.stop();
+    const played = audio.playClick.mock.calls.length;
+    advance(2);
+    expect(audio.playClick).toHaveBeenCalledTimes(played);
+  });
+
+  test('emits beat events with accent and bar', () => {
+    const meter = parseMeter('3/4');
+    const { engine, advance } = createEngine({ bpm: 60, meter, accentPattern: parseAccentPattern('smw', 3) });
+    const beats = [];
+    engine.on('beat', beat => beats.push(beat));
+    engine.start();
+    advance(4);
+
+    expect(beats.map(beat => [beat.beat, beat.accent, beat.bar])).toEqual([
+      [0, 'strong', 0], [1, 'medium', 0], [2, 'weak', 0], [0, 'strong', 1], [1, 'medium', 1]
+    ]);
+    expect(beats[3].time).toBeCloseTo(3.05);
+  });
+
+  test('setMute applies the prompt syntax and rejects invalid input', () => {
+    const { engine, audio, advance } = createEngine({ bpm: 120 });
+    const beats = [];
+    engine.on('beat', beat => beats.push(beat));
+
+    expect(engine.setMute('bogus')).toBe(false);
+    expect(engine.setMute('100')).toBe(true);
+    expect(engine.state.randomMuteProbability).toBe(1);
+
+    engine.start();
+    advance(2);
+    expect(audio.playClick).not.toHaveBeenCalled();
+    expect(beats.length).toBeGreaterThan(0);
+    expect(beats.every(beat => beat.muted)).toBe(true);
+
+    expect(engine.setMute({ muteMode: 'gap', gapBars: { play: 1, mute: 1 } })).toBe(true);
+    expect(engine.state.muteMode).toBe('gap');
+  });
+
+  test('setTempo clamps and reports changes', () => {
+    const { engine } = createEngine();
+    const changes = [];
+    engine.on('tempochange', change => changes.push(change));
+
+    expect(engine.setTempo(500)).toBe(300);
+    expect(engine.setTempo(300)).toBe(300);
+    expect(engine.setTempo(0)).toBe(1);
+    expect(engine.setTempo('abc')).toBe(1);
+    expect(changes.map(change => [change.previous, change.bpm, change.source])).toEqual([
+      [40, 300, 'set'], [300, 1, 'set']
+    ]);
+  });
+
+  test('tap sets the tempo from the second tap', () => {
+    const { engine } = createEngine();
+    const changes = [];
+    engine.on('tempochange', change => changes.push(change));
+
+    expect(engine.tap(1000)).toBeNull();
+    expect(engine.tap(1500)).toBe(120);
+    expect(engine.tap(2000)).toBe(120);
+    expect(engine.isTapping(2500)).toBe(true);
+    expect(engine.bpm).toBe(120);
+    expect(changes).toEqual([{ bpm: 120, previous: 40, time: 0, source: 'tap' }]);
+
+    // A pause starts a new sequence
+    expect(engine.tap(10000)).toBeNull();
+  });
+
+  test('speed trainer steps the tempo at bar boundaries', () => {
+    const { engine, advance } = createEngine({ bpm: 90, trainer: parseTrainer('60>70 5 1b') });
+    const changes = [];
+    engine.on('tempochange', change => changes.push(change));
+
+    engine.start();
+    advance(8.5);
+
+    expect(changes.map(change => [change.bpm, change.source])).toEqual([
+      [60, 'trainer'], [65, 'trainer'], [70, 'trainer']
+    ]);
+    // Four beats at 60 bpm, then the second bar starts at 65
+    expect(changes[1].time).toBeCloseTo(4.05);
+  });
+
+  test('counts late notes after the timer stalls', () => {
+    const { engine, clock, advance } = createEngine({ bpm: 120 });
+    engine.start();
+    advance(0.2);
+    expect(summarizeDiagnostics(engine.state.diagnostics)).toMatchObject({ lateNotes: 0 });
+
+    // A throttled timer: nothing for a second, then one tick
+    clock.time += 1;
+    engine.tick();
+    const summary = summarizeDiagnostics(engine.state.diagnostics);
+    expect(summary.lateNotes).toBe(2);
+    expect(summary.maxLateness).toBeCloseTo(650);
+    expect(summary.maxJitter).toBeCloseTo(990);
+
+    // A new run starts a new readout
+    engine.stop();
+    engine.start();
+    expect(summarizeDiagnostics(engine.state.diagnostics).lateNotes).toBe(0);
+  });
+
+  test('listeners can unsubscribe', () => {
+    const { engine } = createEngine();
+    const listener = jest.fn();
+    const unsubscribe = engine.on('tempochange', listener);
+    engine.setTempo(100);
+    unsubscribe();
+    engine.setTempo(110);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Scheduling timers and diagnostics', () => {
+  class FakeWorker {
+    constructor(url) {
+      this.url = url;
+      this.messages = [];
+      FakeWorker.instances.push(this);
+    }
+
+    postMessage(message) {
+      this.messages.push(message);
+    }
+  }
+
+  beforeEach(() => {
+    FakeWorker.instances = [];
+  });
+
+  afterEach(() => {
+    delete global.Worker;
+    jest.useRealTimers();
+  });
+
+  test('createWorkerTimer ticks from worker messages', () => {
+    global.Worker = FakeWorker;
+    const timer = createWorkerTimer('timer-worker.js');
+    const worker = FakeWorker.instances[0];
+    const tick = jest.fn();
+
+    expect(timer.kind).toBe('worker');
+    expect(worker.url).toBe('timer-worker.js');
+    timer.start(tick, 10);
+    expect(worker.messages).toEqual([{ command: 'start', interval: 10 }]);
+    worker.onmessage({ data: 'tick' });
+    expect(tick).toHaveBeenCalledTimes(1);
+
+    timer.stop();
+    expect(worker.messages[1]).toEqual({ command: 'stop' });
+    worker.onmessage({ data: 'tick' });
+    expect(tick).toHaveBeenCalledTimes(1);
+  });
+
+  test('createWorkerTimer falls back to setInterval', () => {
+    jest.useFakeTimers();
+    expect(createWorkerTimer('timer-worker.js').kind).toBe('interval');
+
+    // The worker script fails to load after the timer has started
+    global.Worker = FakeWorker;
+    const timer = createWorkerTimer('timer-worker.js');
+    const tick = jest.fn();
+    timer.start(tick, 10);
+    FakeWorker.instances[0].onerror({ message: 'not found' });
+    expect(timer.kind).toBe('interval');
+    jest.advanceTimersByTime(30);
+    expect(tick).toHaveBeenCalledTimes(3);
+
+    timer.stop();
+    jest.advanceTimersByTime(30);
+    expect(tick).toHaveBeenCalledTimes(3);
+  });
+
+  test('recordTick measures how far tick gaps stray from the interval', () => {
+    const diagnostics = createDiagnostics();
+    [0, 0.01, 0.022, 0.03].forEach(now => recordTick(diagnostics, now, 10));
+    const summary = summarizeDiagnostics(diagnostics);
+    expect(summary.meanJitter).toBeCloseTo(4 / 3);
+    expect(summary.maxJitter).toBeCloseTo(2);
+  });
+
+  test('recordClick counts clicks handed over after their time', () => {
+    const diagnostics = createDiagnostics();
+    recordClick(diagnostics, 1, 0.95);
+    recordClick(diagnostics, 1, 1.02);
+    recordClick(diagnostics, 1.5, 1.51);
+    expect(summarizeDiagnostics(diagnostics)).toMatchObject({ lateNotes: 2 });
+    expect(diagnostics.maxLateness).toBeCloseTo(20);
+  });
+});
+
+describe('MIDI clock', () => {
+  // Engine on a hand-moved clock; the timer never fires on its own
+  function createEngine(settings = {}) {
+    const clock = { time: 0, now() { return this.time; } };
+    const engine = new MetronomeEngine({ clock, timer: { start: () => 1, stop: () => {} }, settings });
+    const advance = seconds => {
+      const end = clock.time + seconds;
+      while (clock.time < end - 1e-9) {
+        clock.time += 0.01;
+        engine.tick();
+      }
+    };
+    return { engine, advance };
+  }
+
+  // A fake MIDIAccess with one output and one input
+  function createMidiAccess() {
+    const output = { name: 'Drum Machine', send: jest.fn(), clear: jest.fn() };
+    const input = {
+      name: 'DAW Clock',
+      listeners: [],
+      addEventListener(type, listener) { this.listeners.push(listener); },
+      removeEventListener(type, listener) { this.listeners = this.listeners.filter(l => l !== listener); },
+      receive(data, timeStamp) { this.listeners.forEach(listener => listener({ data, timeStamp })); }
+    };
+    return { inputs: new Map([['in-1', input]]), outputs: new Map([['out-1', output]]) };
+  }
+
+  const toTimestamp = time => time * 1000;
+  const messages = output => output.send.mock.calls.map(([data, timestamp]) => [data[0], timestamp]);
+
+  test('midiClockPulses gives 24 pulses per quarter note', () => {
+    const quarter = midiClockPulses(1, createRenderSettings({ bpm: 120 }));
+    expect(quarter).toHaveLength(24);
+    expect(quarter[0]).toBe(1);
+    expect(quarter[12]).toBeCloseTo(1.25);
+
+    expect(midiClockPulses(0, createRenderSettings({ bpm: 120, meter: parseMeter('7/8') }))).toHaveLength(12);
+    expect(midiClockPulses(0, createRenderSettings({ bpm: 60, meter: parseMeter('3/2') }))).toHaveLength(48);
+  });
+
+  test('sends Start, clock pulses and Stop with the engine', () => {
+    const { engine, advance } = createEngine({ bpm: 120 });
+    const { outputs } = listMidiPorts(createMidiAccess());
+    connectMidiClockOutput(engine, outputs[0], toTimestamp);
+
+    engine.start();
+    advance(0.5);
+    const sent = messages(outputs[0]);
+    expect(sent[0]).toEqual([0xfa, 50]);
+    // Two beats scheduled by now, 24 pulses each, starting on the beat
+    expect(sent.slice(1).every(([status]) => status === 0xf8)).toBe(true);
+    expect(sent).toHaveLength(1 + 48);
+    expect(sent[1][1]).toBeCloseTo(50);
+    expect(sent[25][1]).toBeCloseTo(550);
+
+    engine.stop();
+    expect(outputs[0].clear).toHaveBeenCalled();
+    expect(outputs[0].send).toHaveBeenLastCalledWith([0xfc]);
+  });
+
+  test('keeps clocking a polyrhythm whose tempo voice is muted', () => {
+    const polyrhythm = parsePolyrhythm('3:2');
+    polyrhythm.voices[1].muted = true;
+    const { engine, advance } = createEngine({ bpm: 120, polyrhythm });
+    const { outputs } = listMidiPorts(createMidiAccess());
+    connectMidiClockOutput(engine, outputs[0], toTimestamp);
+
+    engine.start();
+    advance(0.5);
+    // One cycle of two beats scheduled by now, 24 pulses each
+    const pulses = messages(outputs[0]).filter(([status]) => status === 0xf8);
+    expect(pulses).toHaveLength(48);
+    expect(pulses[0][1]).toBeCloseTo(50);
+    expect(pulses[24][1]).toBeCloseTo(550);
+    engine.stop();
+  });
+
+  test('sends Continue when connected while running, and stops after disconnecting', () => {
+    const { engine, advance } = createEngine({ bpm: 120 });
+    const { outputs } = listMidiPorts(createMidiAccess());
+    engine.start();
+    advance(0.2);
+
+    const disconnect = connectMidiClockOutput(engine, outputs[0], toTimestamp);
+    expect(outputs[0].send).toHaveBeenCalledWith([0xfb]);
+
+    disconnect();
+    const count = outputs[0].send.mock.calls.length;
+    advance(1);
+    engine.stop();
+    expect(outputs[0].send).toHaveBeenCalledTimes(count);
+  });
+
+  test('followClockPulse averages pulse intervals and ignores a stray one', () => {
+    const follower = createClockFollower();
+    const interval = 60000 / (100 * 24); // 100 bpm
+    let bpm = null;
+    for (let i = 0; i < 30; i++) {
+      // One late pulse among steady ones
+      const jitter = i === 20 ? 8 : 0;
+      bpm = followClockPulse(follower, i * interval + jitter) || bpm;
+      if (i < 6) expect(bpm).toBeNull();
+    }
+    expect(bpm).toBeCloseTo(100, 0);
+
+    // A pause restarts the history
+    expect(followClockPulse(follower, 60000)).toBeNull();
+  });
+
+  test('follows an external clock and its transport', () => {
+    const { engine } = createEngine({ meter: parseMeter('6/8') });
+    const { inputs } = listMidiPorts(createMidiAccess());
+    const disconnect = connectMidiClockInput(engine, inputs[0]);
+
+    inputs[0].receive([0xfa], 0);
+    expect(engine.isRunning).toBe(true);
+
+    const interval = 60000 / (120 * 24);
+    for (let i = 0; i <= 24; i++) inputs[0].receive([0xf8], i * interval);
+    // 120 quarter notes per minute is 240 eighths
+    expect(engine.bpm).toBe(240);
+
+    inputs[0].receive([0xfc], 600);
+    expect(engine.isRunning).toBe(false);
+    inputs[0].receive([0xfb], 700);
+    expect(engine.isRunning).toBe(true);
+
+    disconnect();
+    inputs[0].receive([0xfc], 800);
+    expect(engine.isRunning).toBe(true);
+  });
+
+  test('parseMidiSetting and findMidiPort pick ports by number or name', () => {
+    expect(parseMidiSetting('out 1')).toEqual({ direction: 'out', port: '1' });
+    expect(parseMidiSetting('IN digitakt')).toEqual({ direction: 'in', port: 'digitakt' });
+    expect(parseMidiSetting('in off')).toEqual({ direction: 'in', port: null });
+    expect(parseMidiSetting('off')).toEqual({ direction: 'both', port: null });
+    expect(parseMidiSetting('sideways 1')).toBeNull();
+
+    const ports = [{ name: 'IAC Bus 1' }, { name: 'Elektron Digitakt' }];
+    expect(findMidiPort(ports, '2')).toBe(ports[1]);
+    expect(findMidiPort(ports, 'digitakt')).toBe(ports[1]);
+    expect(findMidiPort(ports, '3')).toBeNull();
+    expect(findMidiPort(ports, 'tr-8')).toBeNull();
+  });
+});
+
+describe('Band sync', () => {
+  test('estimateClockOffset trusts the fastest round trip', () => {
+    // Server 500ms ahead; the second exchange had a slow way back
+    const samples = [
+      { t0: 0, t1: 510, t2: 511, t3: 21 },
+      { t0: 100, t1: 605, t2: 606, t3: 300 }
+    ];
+    expect(estimateClockOffset(samples)).toEqual({ offset: 500, delay: 20 });
+    expect(estimateClockOffset([])).toBeNull();
+  });
+
+  test('a timeline carries the shared settings and resets the rest', () => {
+    const leader = {
+      ...createRenderSettings({
+        bpm: 132.5,
+        meter: parseMeter('7/8'),
+        subdivisionLayers: parseSubdivisionLayers('16'),
+        ...parseMuteSetting('30')
+      }),
+      isRunning: true
+    };
+    const timeline = buildTimeline(leader);
+    expect(timeline).toMatchObject({ type: 'timeline', bpm: 132.5, running: true });
+    expect(timeline.settings).not.toMatch(/mute/);
+
+    const settings = parseTimeline(timeline);
+    expect(settings.bpm).toBe(132.5);
+    expect(settings.meter).toEqual(parseMeter('7/8'));
+    expect(settings.subdivisionLayers).toEqual(leader.subdivisionLayers);
+    expect(settings.polyrhythm).toBeNull();
+    expect(settings.trainer).toBeNull();
+    expect(settings.randomMuteProbability).toBeUndefined();
+  });
+
+  test('the engine joins a running timeline at its next beat', () => {
+    const clock = { time: 10, now() { return this.time; } };
+    const audio = { playClick: jest.fn() };
+    const engine = new MetronomeEngine({ clock, audio, timer: { start: () => 1, stop: () => {} }, settings: { bpm: 120 } });
+    const beats = [];
+    engine.on('beat', beat => beats.push(beat));
+
+    // The leader's bar started at 8.3: beats every 0.5s, so 10.3 is beat 0 of a bar
+    engine.start(8.3, 0);
+    engine.tick();
+    clock.time = 10.3;
+    engine.tick();
+    expect(beats.map(beat => beat.beat)).toEqual([0]);
+    expect(beats[0].time).toBeCloseTo(10.3);
+
+    // A later anchor moves the grid
+    engine.align(10.75, 2);
+    clock.time = 10.7;
+    engine.tick();
+    expect(beats[1]).toMatchObject({ beat: 2 });
+    expect(beats[1].time).toBeCloseTo(10.75);
+  });
+
+  test('measures how far the beats are off a timeline', () => {
+    const clock = { time: 10, now() { return this.time; } };
+    const engine = new MetronomeEngine({ clock, audio: { playClick() {} }, timer: { start: () => 1, stop: () => {} }, settings: { bpm: 120 } });
+    engine.start(10.3, 1);
+
+    // Anchors anywhere on the same grid agree with it
+    expect(engine.alignmentError(10.3, 1)).toBeCloseTo(0);
+    expect(engine.alignmentError(12.3, 1)).toBeCloseTo(0);
+    expect(engine.alignmentError(9.8, 0)).toBeCloseTo(0);
+    expect(engine.alignmentError(10.302, 1)).toBeCloseTo(0.002);
+    // The same times with other beat numbers need aligning
+    expect(engine.alignmentError(10.3, 2)).toBe(Infinity);
+  });
+});
+
+describe('Tap-along accuracy', () => {
+  // Beats every half second (120 BPM); every fourth one muted
+  function createBeats(count = 8) {
+    const accuracy = createTapAccuracy();
+    for (let i = 0; i < count; i++) recordAccuracyBeat(accuracy, { time: i * 0.5, muted: i % 4 === 3 });
+    return accuracy;
+  }
+
+  test('scores a tap against the nearest beat, early or late', () => {
+    const accuracy = createBeats();
+    expect(recordAccuracyTap(accuracy, 0.98, 0.5).offset).toBeCloseTo(-20);
+    expect(recordAccuracyTap(accuracy, 1.515, 0.5)).toEqual({ offset: expect.any(Number), muted: true });
+    expect(accuracy.taps[1].offset).toBeCloseTo(15);
+  });
+
+  test('ignores a second tap on the same beat and taps far from any beat', () => {
+    const accuracy = createBeats(2);
+    expect(recordAccuracyTap(accuracy, 0.51, 0.5)).not.toBeNull();
+    expect(recordAccuracyTap(accuracy, 0.49, 0.5)).toBeNull();
+    // Past the last beat by more than half a beat
+    expect(recordAccuracyTap(accuracy, 0.8, 0.5)).toBeNull();
+    expect(accuracy.taps).toHaveLength(1);
+  });
+
+  test('keeps only the most recent beats', () => {
+    const accuracy = createBeats(100);
+    expect(accuracy.beats.length).toBeLessThan(100);
+    expect(accuracy.beats[accuracy.beats.length - 1].time).toBe(49.5);
+    expect(recordAccuracyTap(accuracy, 0, 0.5)).toBeNull();
+  });
+
+  test('summarizeAccuracy gives mean, standard deviation and a histogram', () => {
+    const summary = summarizeAccuracy([-30, -10, 10, 30, 250].map(offset => ({ offset, muted: false })));
+    expect(summary.count).toBe(5);
+    expect(summary.mean).toBe(50);
+    expect(summary.sd).toBeCloseTo(Math.sqrt((80 ** 2 + 60 ** 2 + 40 ** 2 + 20 ** 2 + 200 ** 2) / 5));
+
+    const counts = Object.fromEntries(summary.histogram.map(bin => [bin.from, bin.count]));
+    expect(summary.histogram[0].from).toBe(-100);
+    expect(counts).toMatchObject({ '-40': 1, '-20': 1, 0: 1, 20: 1 });
+    // Far out taps land in the outermost bin
+    expect(summary.histogram[summary.histogram.length - 1].count).toBe(1);
+  });
+
+  test('summarizeAccuracy without taps', () => {
+    const summary = summarizeAccuracy([]);
+    expect(summary).toMatchObject({ count: 0, mean: 0, sd: 0 });
+    expect(summary.histogram.every(bin => bin.count === 0)).toBe(true);
+  });
+});
+
+describe('Microphone onset detection', () => {
+  const fs = require('fs');
+  const path = require('path');
+
+  // Mono 16-bit PCM WAV as samples in -1..1
+  function readWav(name) {
+    const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+    const sampleRate = bytes.readUInt32LE(24);
+    const samples = new Float32Array(bytes.readUInt32LE(40) / 2);
+    for (let i = 0; i < samples.length; i++) samples[i] = bytes.readInt16LE(44 + i * 2) / 32768;
+    return { samples, sampleRate };
+  }
+
+  // The fixtures: hits over room noise and mains hum, played around the beat.
+  // Kick and snare alternate at 120 BPM from 0.25 s; plucked strings at
+  // 90 BPM from 0.3 s ring into the next note.
+  const fixtures = {
+    'onsets-drums-120bpm.wav': { first: 0.25, beat: 0.5, offsets: [0, 12, -15, 30, 0, -8] },
+    'onsets-plucks-90bpm.wav': { first: 0.3, beat: 60 / 90, offsets: [0, -20, 10, 25, -5] }
+  };
+
+  test.each(Object.keys(fixtures))('finds every onset in %s within a millisecond', name => {
+    const { first, beat, offsets } = fixtures[name];
+    const { samples, sampleRate } = readWav(name);
+    const onsets = detectOnsets(samples, sampleRate);
+
+    expect(onsets).toHaveLength(offsets.length);
+    onsets.forEach((time, i) => {
+      expect(Math.abs(time - (first + i * beat + offsets[i] / 1000))).toBeLessThan(0.001);
+    });
+  });
+
+  test('streaming in chunks finds the same onsets on the clock', () => {
+    const { samples, sampleRate } = readWav('onsets-drums-120bpm.wav');
+    const detector = createOnsetDetector(sampleRate);
+    const onsets = [];
+    for (let i = 0; i < samples.length; i += 1000) {
+      onsets.push(...detector.process(samples.subarray(i, i + 1000), 10 + i / sampleRate));
+    }
+
+    const whole = detectOnsets(samples, sampleRate);
+    expect(onsets).toHaveLength(whole.length);
+    onsets.forEach((time, i) => expect(time).toBeCloseTo(10 + whole[i], 9));
+  });
+
+  test('ignores silence, steady noise and a held tone', () => {
+    const sampleRate = 8000;
+    const samples = new Float32Array(sampleRate * 2);
+    let noise = 1;
+    for (let i = sampleRate / 2; i < samples.length; i++) {
+      noise = (noise * 16807) % 2147483647;
+      samples[i] = 0.3 * Math.sin(2 * Math.PI * 55 * i / sampleRate) + 0.05 * (noise / 2147483647 - 0.5);
+    }
+    // The tone starting is the only onset
+    expect(detectOnsets(samples, sampleRate)).toEqual([expect.closeTo(0.5, 2)]);
+    expect(detectOnsets(new Float32Array(sampleRate), sampleRate)).toEqual([]);
+  });
+
+  test('grades onsets against the beats like taps', () => {
+    const { first, beat, offsets } = fixtures['onsets-drums-120bpm.wav'];
+    const { samples, sampleRate } = readWav('onsets-drums-120bpm.wav');
+    const accuracy = createTapAccuracy();
+    offsets.forEach((_, i) => recordAccuracyBeat(accuracy, { time: first + i * beat, muted: false }));
+
+    detectOnsets(samples, sampleRate).forEach(time => recordAccuracyTap(accuracy, time, beat));
+    accuracy.taps.forEach((tap, i) => expect(Math.abs(tap.offset - offsets[i])).toBeLessThan(1));
+  });
+
+  test('parseMicSetting reads on, off and an extra latency', () => {
+    expect(parseMicSetting('on')).toEqual({ on: true, latency: 0 });
+    expect(parseMicSetting('on 25')).toEqual({ on: true, latency: 0.025 });
+    expect(parseMicSetting('12.5')).toEqual({ on: true, latency: 0.0125 });
+    expect(parseMicSetting(' OFF ')).toEqual({ on: false, latency: 0 });
+    expect(parseMicSetting('')).toBeNull();
+    expect(parseMicSetting('on 900')).toBeNull();
+    expect(parseMicSetting('loud')).toBeNull();
+  });
+});
+
+describe('Practice log', () => {
+  // An engine on a hand-moved audio clock, recording onto a hand-moved wall clock
+  function createRecorder(settings = {}) {
+    const clock = { time: 0, now() { return this.time; } };
+    const engine = new MetronomeEngine({ clock, timer: { start: () => 1, stop() {} }, audio: { playClick() {} }, settings });
+    const wall = { time: new Date(2026, 2, 2, 18, 0).getTime(), now() { return this.time; } };
+    const saved = [];
+    const stopRecording = recordPracticeSessions(engine, session => saved.push(session), () => wall.now());
+    const advance = seconds => {
+      wall.time += seconds * 1000;
+      const end = clock.time + seconds;
+      while (clock.time < end - 1e-9) {
+        clock.time += 0.01;
+        engine.tick();
+      }
+    };
+    return { engine, saved, advance, wall, stopRecording };
+  }
+
+  const session = (start, duration, tempos, mutes = []) => ({ start, duration, tempos, mutes });
+
+  test('records a start/stop cycle with its tempo and muting changes', () => {
+    const { engine, saved, advance, wall } = createRecorder({ bpm: 100 });
+    const start = wall.time;
+
+    engine.start();
+    advance(60);
+    engine.setTempo(120);
+    engine.setTempo(120);
+    advance(30);
+    engine.tap(0);
+    engine.tap(500);
+    engine.setMute('25 d');
+    advance(10);
+    engine.stop();
+
+    expect(saved).toHaveLength(1);
+    expect(saved[0].start).toBe(start);
+    expect(saved[0].duration).toBe(100);
+    expect(saved[0].tempos).toEqual([
+      { at: 0, bpm: 100, source: 'start' },
+      { at: 60, bpm: 120, source: 'set' },
+      // The tapped tempo matches, so only the change counts
+    ]);
+    expect(saved[0].mutes[0]).toEqual({ at: 0, setting: '' });
+    expect(saved[0].mutes[1].setting).toBe('25 d');
+    expect(saved[0].mutes[1].at).toBeGreaterThanOrEqual(90);
+  });
+
+  test('a trainer ramp starts the session at its start tempo', () => {
+    const { engine, saved, advance } = createRecorder({ trainer: parseTrainer('60>80 10 4b') });
+    engine.start();
+    advance(20);
+    engine.stop();
+
+    expect(saved[0].tempos[0]).toEqual({ at: 0, bpm: 60, source: 'start' });
+    expect(saved[0].tempos.slice(1).every(tempo => tempo.source === 'trainer')).toBe(true);
+    expect(saved[0].tempos.map(tempo => tempo.bpm)).toContain(70);
+  });
+
+  test('stops recording when unsubscribed', () => {
+    const { engine, saved, stopRecording } = createRecorder();
+    stopRecording();
+    engine.start();
+    engine.stop();
+    expect(saved).toEqual([]);
+  });
+
+  test('tempoDurations splits the session time by tempo', () => {
+    const log = session(0, 100, [
+      { at: 0, bpm: 100, source: 'start' },
+      { at: 60, bpm: 120, source: 'set' },
+      { at: 80, bpm: 100, source: 'set' }
+    ]);
+    expect(tempoDurations(log)).toEqual([{ bpm: 100, seconds: 80 }, { bpm: 120, seconds: 20 }]);
+  });
+
+  test('summarizePractice totals days and tracks the highest tempo', () => {
+    const day = (date, hour) => new Date(2026, 2, date, hour).getTime();
+    const summary = summarizePractice([
+      session(day(2, 9), 600, [{ at: 0, bpm: 90, source: 'start' }, { at: 300, bpm: 100, source: 'set' }]),
+      session(day(2, 20), 300, [{ at: 0, bpm: 110, source: 'start' }]),
+      // A tempo left right away doesn't count as reached
+      session(day(4, 9), 60, [{ at: 0, bpm: 100, source: 'start' }, { at: 60, bpm: 200, source: 'set' }])
+    ]);
+
+    expect(summary.totalSeconds).toBe(960);
+    expect(summary.days).toEqual([
+      { date: '2026-03-02', sessions: 2, seconds: 900, maxBpm: 110 },
+      { date: '2026-03-04', sessions: 1, seconds: 60, maxBpm: 100 }
+    ]);
+    expect(summary.tempos).toEqual([
+      { bpm: 90, seconds: 300 },
+      { bpm: 100, seconds: 360 },
+      { bpm: 110, seconds: 300 },
+      { bpm: 200, seconds: 0 }
+    ]);
+  });
+
+  test('practiceToCsv writes one row per session', () => {
+    const csv = practiceToCsv([
+      session(Date.UTC(2026, 2, 2, 18), 95.04, [{ at: 0, bpm: 100, source: 'start' }, { at: 60, bpm: 132, source: 'tap' }],
+        [{ at: 0, setting: '' }, { at: 30, setting: 'g4/2 d' }])
+    ]);
+    expect(csv).toBe(
+      'start,duration_s,max_bpm,seconds_per_bpm,muting\n' +
+      '2026-03-02T18:00:00.000Z,95.0,132,100:60;132:35,off;g4/2 d\n'
+    );
+  });
+
+  test('parsePracticeLog round-trips and drops invalid sessions', () => {
+    const sessions = [
+      session(2000, 10, [{ at: 0, bpm: 120, source: 'start' }], [{ at: 0, setting: '35' }]),
+      session(1000, 5, [{ at: 0, bpm: 80, source: 'start' }])
+    ];
+    const text = JSON.stringify({
+      version: 1,
+      sessions: [...sessions, session(3000, -1, [{ at: 0, bpm: 80 }]), session(4000, 5, [{ at: 0, bpm: 9000 }]), null]
+    });
+
+    expect(parsePracticeLog(text)).toEqual([sessions[1], sessions[0]]);
+    expect(parsePracticeLog(serializePracticeLog(sessions))).toEqual([sessions[1], sessions[0]]);
+    expect(parsePracticeLog('{"presets": []}')).toBeNull();
+    expect(parsePracticeLog('not json')).toBeNull();
+  });
+
+  test('formatPracticeTime', () => {
+    expect(formatPracticeTime(35.4)).toBe('35s');
+    expect(formatPracticeTime(42 * 60 + 10)).toBe('42m');
+    expect(formatPracticeTime(3900)).toBe('1h 05m');
+  });
+});
+
+describe('Command mode', () => {
+  const settings = new MetronomeEngine({ settings: { bpm: 100 } }).state;
+
+  test('a number sets the tempo, + and - nudge it', () => {
+    expect(parseCommand('120', settings)).toEqual({ command: 'set', fields: { bpm: 120 } });
+    expect(parseCommand(':120', settings)).toEqual({ command: 'set', fields: { bpm: 120 } });
+    expect(parseCommand('+5', settings)).toEqual({ command: 'set', fields: { bpm: 105 } });
+    expect(parseCommand('-15', settings)).toEqual({ command: 'set', fields: { bpm: 85 } });
+    // Nudges stop at the tempo range
+    expect(parseCommand('+500', settings)).toEqual({ command: 'set', fields: { bpm: 300 } });
+    expect(parseCommand('0', settings).error).toMatch(/1-300/);
+    expect(parseCommand('301', settings).error).toMatch(/1-300/);
+  });
+
+  test('setting keys take the text their prompt takes', () => {
+    expect(parseCommand('r35', settings).fields).toEqual(parseMuteSetting('35'));
+    expect(parseCommand('r g4/2 d', settings).fields).toEqual(parseMuteSetting('g4/2 d'));
+
+    const meter = parseCommand('m7/8', settings).fields;
+    expect(meter.meter).toEqual(parseMeter('7/8'));
+    // A new meter resets the accents, like the meter prompt
+    expect(meter.accentPattern).toHaveLength(7);
+
+    expect(parseCommand('a s-w-', settings).fields).toEqual({ accentPattern: ['strong', 'silent', 'weak', 'silent'] });
+    expect(parseCommand('w66', settings).fields).toEqual({ swing: 0.66 });
+    expect(parseCommand('x3:2', settings).fields.polyrhythm).toEqual(parsePolyrhythm('3:2'));
+    expect(parseCommand('x0', settings).fields).toEqual({ polyrhythm: null });
+    expect(parseCommand('p60>120 5 4b', settings).fields).toEqual({ trainer: parseTrainer('60>120 5 4b'), tempoMap: null, bpm: 60 });
+    expect(parseCommand('v woodblock', settings).fields).toEqual({ voice: 'woodblock' });
+  });
+
+  test('accent patterns are checked against the current meter', () => {
+    expect(parseCommand('a smw', createRenderSettings({ meter: parseMeter('3/4') }))).toEqual({
+      command: 'set',
+      fields: { accentPattern: ['strong', 'medium', 'weak'] }
+    });
+    expect(parseCommand('a smw', settings).error).toBe('Invalid accent pattern: smw');
+  });
+
+  test('u undoes', () => {
+    expect(parseCommand('u', settings)).toEqual({ command: 'undo' });
+    expect(parseCommand('undo', settings)).toEqual({ command: 'undo' });
+  });
+
+  test('invalid lines give a message', () => {
+    expect(parseCommand('m7/9', settings)).toEqual({ error: 'Invalid meter: 7/9' });
+    expect(parseCommand('r150', settings)).toEqual({ error: 'Invalid mute setting: 150' });
+    expect(parseCommand('m', settings)).toEqual({ error: 'Missing meter after m' });
+    expect(parseCommand('q', settings)).toEqual({ error: 'Unknown command: q' });
+    expect(parseCommand('12x', settings)).toEqual({ error: 'Unknown command: 12x' });
+    expect(parseCommand('  ', settings)).toBeNull();
+    expect(parseCommand(':', settings)).toBeNull();
   });
 });
 
-// Skipping class tests for now - implementation changed to functional approach
-describe.skip('Metronome Class', () => {
-  // Tests skipped due to architecture change from class to functional approach
-});
\ No newline at end of file
+describe('Tempo range and decimal tempos', () => {
+  const range = { minBpm: 40, maxBpm: 208 };
+
+  test('parseTempo takes up to two decimals within 1-300', () => {
+    expect(parseTempo('92.5')).toBe(92.5);
+    expect(parseTempo(' 120 ')).toBe(120);
+    expect(parseTempo('92.25')).toBe(92.25);
+    expect(parseTempo('92.125')).toBeNull();
+    expect(parseTempo('0')).toBeNull();
+    expect(parseTempo('301')).toBeNull();
+    expect(parseTempo('-5')).toBeNull();
+    expect(parseTempo('1e2')).toBeNull();
+  });
+
+  test('parseTempoRange', () => {
+    expect(parseTempoRange('40-208')).toEqual(range);
+    expect(parseTempoRange('60.5-90')).toEqual({ minBpm: 60.5, maxBpm: 90 });
+    expect(parseTempoRange('208-40')).toBeNull();
+    expect(parseTempoRange('40')).toBeNull();
+    expect(parseTempoRange('0-400')).toBeNull();
+  });
+
+  test('clampTempo rounds to two decimals and keeps to the range', () => {
+    expect(clampTempo(92.5, range)).toBe(92.5);
+    expect(clampTempo(100 / 3, { minBpm: 1, maxBpm: 300 })).toBe(33.33);
+    expect(clampTempo(20, range)).toBe(40);
+    expect(clampTempo(250, range)).toBe(208);
+    expect(formatTempo(92.5)).toBe('92.5');
+    expect(formatTempo(120)).toBe('120');
+  });
+
+  test('every engine tempo change keeps to the range', () => {
+    const engine = new MetronomeEngine({ settings: { bpm: 250, ...range } });
+    expect(engine.bpm).toBe(208);
+
+    expect(engine.setTempo(20)).toBe(40);
+    expect(engine.setTempo(92.5 / 2)).toBe(46.25);
+
+    engine.configure({ bpm: 300 });
+    expect(engine.bpm).toBe(208);
+
+    engine.tap(0);
+    expect(engine.tap(100)).toBe(208);
+    expect(engine.bpm).toBe(208);
+  });
+
+  test('a narrower range moves the current tempo into it', () => {
+    const engine = new MetronomeEngine({ settings: { bpm: 250 } });
+    const changes = [];
+    engine.on('tempochange', change => changes.push(change.bpm));
+
+    engine.configure(range);
+    expect(engine.bpm).toBe(208);
+    expect(changes).toEqual([208]);
+  });
+
+  test('the speed trainer stops at the top of the range', () => {
+    const engine = new MetronomeEngine({
+      clock: { now: () => 0 },
+      timer: { start: () => 1, stop: () => {} },
+      settings: { trainer: parseTrainer('60>120 30 1b'), minBpm: 40, maxBpm: 100 }
+    });
+    engine.start();
+    for (let i = 0; i < 40; i++) engine.advanceNote();
+    expect(engine.bpm).toBe(100);
+  });
+
+  test('command mode types decimal tempos and the range', () => {
+    const settings = new MetronomeEngine({ settings: { bpm: 250 } }).state;
+    expect(parseCommand('92.5', settings)).toEqual({ command: 'set', fields: { bpm: 92.5 } });
+    expect(parseCommand('-0.5', settings)).toEqual({ command: 'set', fields: { bpm: 249.5 } });
+    expect(parseCommand('92.125', settings).error).toMatch(/2 decimals/);
+    // The tempo moves into the range with it, so undo restores both
+    expect(parseCommand('range 40-208', settings)).toEqual({ command: 'set', fields: { minBpm: 40, maxBpm: 208, bpm: 208 } });
+    expect(parseCommand('range 208-40', settings).error).toMatch(/40-208/);
+
+    const narrow = new MetronomeEngine({ settings: { bpm: 100, ...range } }).state;
+    expect(parseCommand('220', narrow)).toEqual({ error: 'Tempo must be 40-208 BPM with up to 2 decimals' });
+    expect(parseCommand('+200', narrow).fields.bpm).toBe(208);
+  });
+
+  test('links keep decimal tempos', () => {
+    expect(parseUrlState('?bpm=92.5').settings.bpm).toBe(92.5);
+    expect(serializeUrlState(createRenderSettings({ bpm: 92.5 }))).toBe('bpm=92.5');
+  });
+});
+
+describe('Key bindings', () => {
+  test('every action has its own default key', () => {
+    const bindings = defaultKeyBindings();
+    expect(bindings.startStop).toBe('Space');
+    expect(bindings.tap).toBe('KeyT');
+    const keys = Object.values(bindings);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(actionForKey(bindings, 'KeyH')).toBe('half');
+    expect(actionForKey(bindings, 'KeyQ')).toBeNull();
+  });
+
+  test('rebindKey refuses taken and reserved keys', () => {
+    const bindings = defaultKeyBindings();
+    const { bindings: pedal } = rebindKey(bindings, 'startStop', 'PageDown');
+    expect(pedal.startStop).toBe('PageDown');
+    expect(actionForKey(pedal, 'Space')).toBeNull();
+    // The original is left alone
+    expect(bindings.startStop).toBe('Space');
+
+    expect(rebindKey(bindings, 'startStop', 'KeyT')).toEqual({ error: 'T is already Tap tempo' });
+    expect(rebindKey(bindings, 'tap', 'KeyT').bindings.tap).toBe('KeyT');
+    expect(rebindKey(bindings, 'tap', 'Escape').error).toMatch(/can't be bound/);
+    expect(rebindKey(bindings, 'tap', 'ShiftLeft').error).toMatch(/can't be bound/);
+  });
+
+  test('actions can be unbound, except the key settings', () => {
+    const { bindings } = rebindKey(defaultKeyBindings(), 'tap', null);
+    expect(bindings.tap).toBeNull();
+    expect(rebindKey(bindings, 'half', 'KeyT').bindings.half).toBe('KeyT');
+    expect(rebindKey(bindings, 'keys', null).error).toMatch(/need a key/);
+  });
+
+  test('formatKey and the hint follow the bindings', () => {
+    expect(formatKey('KeyT')).toBe('T');
+    expect(formatKey('Digit5')).toBe('5');
+    expect(formatKey('BracketLeft')).toBe('[');
+    expect(formatKey('PageDown')).toBe('PageDown');
+    expect(formatKey(null)).toBe('-');
+
+    const bindings = defaultKeyBindings();
+    expect(describeKeys(bindings, true)).toMatch(/^T=tap tempo \| R=random mute \| H=half \| D=double \| M=meter/);
+    expect(describeKeys(bindings, false)).toMatch(/^T=tap tempo \| M=meter/);
+    expect(describeKeys(rebindKey(bindings, 'tap', 'ArrowRight').bindings, false)).toMatch(/^→=tap tempo/);
+    expect(describeKeys(rebindKey(bindings, 'tap', null).bindings, false)).toMatch(/^M=meter/);
+  });
+
+  test('stored bindings drop invalid and duplicate keys', () => {
+    const bindings = resolveKeyBindings({ tap: 'PageDown', half: 'PageDown', meter: 'Enter', flash: null, bogus: 'KeyZ' });
+    expect(bindings.tap).toBe('PageDown');
+    expect(bindings.half).toBe('KeyH');
+    expect(bindings.meter).toBe('KeyM');
+    expect(bindings.flash).toBeNull();
+    expect(bindings).not.toHaveProperty('bogus');
+    expect(resolveKeyBindings(null)).toEqual(defaultKeyBindings());
+  });
+
+  test('a stored key wins over another action\'s default', () => {
+    const bindings = resolveKeyBindings({ tap: 'KeyM' });
+    expect(bindings.tap).toBe('KeyM');
+    expect(bindings.meter).toBeNull();
+  });
+
+  test('preferences round-trip and fall back to defaults', () => {
+    const keys = rebindKey(defaultKeyBindings(), 'startStop', 'PageDown').bindings;
+    const access = { announce: true, vibrate: true, contrast: false };
+    expect(parsePreferences(serializePreferences({ keys, minBpm: 40, maxBpm: 208.5, access }))).toEqual({ keys, minBpm: 40, maxBpm: 208.5, access });
+    expect(parsePreferences('{"minBpm": 200, "maxBpm": 100}')).toEqual({ keys: defaultKeyBindings(), minBpm: 1, maxBpm: 300, access: null });
+    expect(parsePreferences('[]')).toBeNull();
+    expect(parsePreferences('not json')).toBeNull();
+  });
+});
+
+describe('Accessibility', () => {
+  test('parseAccessSetting turns on the options named', () => {
+    expect(parseAccessSetting('announce vibrate')).toEqual({ announce: true, vibrate: true, contrast: false });
+    expect(parseAccessSetting('Contrast')).toEqual({ announce: false, vibrate: false, contrast: true });
+    expect(parseAccessSetting('off')).toEqual({ announce: false, vibrate: false, contrast: false });
+    expect(parseAccessSetting('')).toEqual({ announce: false, vibrate: false, contrast: false });
+    expect(parseAccessSetting('loud')).toBeNull();
+    expect(formatAccessSetting(parseAccessSetting('contrast, announce'))).toBe('announce contrast');
+    expect(formatAccessSetting(parseAccessSetting('off'))).toBe('off');
+  });
+
+  test('describeAnnouncement reads out only what changed', () => {
+    const stopped = { status: 'Stopped', tempo: '120 BPM', muting: 'Muting off' };
+    expect(describeAnnouncement(null, stopped)).toBeNull();
+    expect(describeAnnouncement(stopped, { ...stopped })).toBeNull();
+    expect(describeAnnouncement(stopped, { ...stopped, status: 'Running' })).toBe('Running');
+    expect(describeAnnouncement(stopped, { status: 'Running', tempo: '92.5 BPM', muting: 'Random mute: 35%' }))
+      .toBe('Running. 92.5 BPM. Random mute: 35%');
+  });
+
+  test('vibrationPulse follows the accents and skips silent beats', () => {
+    expect(vibrationPulse({ accent: 'strong', muted: false })).toBeGreaterThan(vibrationPulse({ accent: 'weak', muted: false }));
+    expect(vibrationPulse({ accent: 'strong', muted: true })).toBe(0);
+    expect(vibrationPulse({ accent: 'silent', muted: false })).toBe(0);
+  });
+
+  test('every action key can be remapped, including the accessibility toggle', () => {
+    expect(defaultKeyBindings().access).toBe('KeyN');
+  });
+});
+
+describe('Tempo map', () => {
+  const SONG = 'intro 2b 120 4/4, bridge 1b 90 6/8, outro 2b 120>60';
+
+  function runMap(text, seconds) {
+    const clock = { time: 0, now() { return this.time; } };
+    const engine = new MetronomeEngine({
+      clock,
+      timer: { start: () => 1, stop() {} },
+      audio: { playClick() {} },
+      settings: { tempoMap: parseTempoMap(text) },
+    });
+    const beats = [];
+    engine.on('beat', beat => beats.push({ ...beat, bpm: engine.bpm, beats: engine.state.meter.beats }));
+    engine.start();
+    while (clock.time < seconds) {
+      clock.time += 0.01;
+      engine.tick();
+    }
+    return { engine, beats };
+  }
+
+  test('parseTempoMap reads sections with optional names, ramps and meters', () => {
+    const map = parseTempoMap(SONG);
+    expect(map.sections).toEqual([
+      { name: 'intro', bars: 2, bpm: 120, endBpm: 120, meter: parseMeter('4/4') },
+      { name: 'bridge', bars: 1, bpm: 90, endBpm: 90, meter: parseMeter('6/8') },
+      { name: 'outro', bars: 2, bpm: 120, endBpm: 60, meter: null },
+    ]);
+    expect(parseTempoMap('16b 92.5 2+2+3/8').sections[0]).toMatchObject({ name: null, bpm: 92.5, meter: parseMeter('2+2+3/8') });
+    expect(formatTempoMap(map)).toBe(SONG);
+  });
+
+  test.each([
+    '',
+    'intro 8 90',
+    'intro 0b 90',
+    'intro 8b 400',
+    'intro 8b 90>0',
+    'intro 8b 90 4/5',
+    'intro 8b 90, ',
+  ])('parseTempoMap rejects %p', text => {
+    expect(parseTempoMap(text)).toBeNull();
+  });
+
+  test('ramps change linearly per beat and are integrated exactly', () => {
+    const section = { bpm: 120, endBpm: 60 };
+    expect(sectionTempo(section, 6, 12)).toBe(90);
+    expect(sectionBeatTime({ bpm: 90, endBpm: 90 }, 3, 6)).toBeCloseTo(2, 12);
+
+    // Summing many tiny steps of the beat length approaches the closed form
+    let time = 0;
+    for (let x = 0; x < 12; x += 1e-4) time += 60 / sectionTempo(section, x, 12) * 1e-4;
+    expect(sectionBeatTime(section, 12, 12)).toBeCloseTo(time, 3);
+    expect(sectionBeatTime(section, 12, 12)).toBeCloseTo(12 * Math.LN2, 12);
+  });
+
+  test('the engine follows the sections, meters and ramps', () => {
+    const { engine, beats } = runMap(SONG, 19);
+    const downbeats = beats.filter(beat => beat.beat === 0);
+
+    expect(downbeats.map(beat => [beat.section && beat.section.index, beat.section && beat.section.bar, beat.beats, beat.bpm])).toEqual([
+      [0, 0, 4, 120], [0, 1, 4, 120], [1, 0, 6, 90], [2, 0, 6, 120], [2, 1, 6, 90], [null, null, 6, 60],
+    ]);
+    // 8 beats at 120, 6 at 90, then 12 beats ramping from 120 to 60
+    expect(downbeats[2].time).toBeCloseTo(0.05 + 4, 9);
+    expect(downbeats[3].time).toBeCloseTo(0.05 + 8, 9);
+    expect(downbeats[5].time).toBeCloseTo(0.05 + 8 + 12 * Math.LN2, 9);
+    expect(beats[beats.indexOf(downbeats[3]) + 1].bpm).toBe(115);
+    expect(engine.state.tempoMap.done).toBe(true);
+    expect(engine.bpm).toBe(60);
+  });
+
+  test('survives a meter change in the middle of a ramp', () => {
+    const clock = { time: 0, now() { return this.time; } };
+    const engine = new MetronomeEngine({
+      clock,
+      timer: { start: () => 1, stop() {} },
+      settings: { tempoMap: parseTempoMap('1b 90>1 4/4, 2b 60') },
+    });
+    const beats = [];
+    engine.on('beat', beat => beats.push(beat));
+    engine.start();
+    engine.tick();
+    const meter = parseMeter('3/4');
+    engine.configure({ meter, accentPattern: defaultAccentPattern(meter) });
+    while (clock.time < 20) {
+      clock.time += 0.01;
+      engine.tick();
+    }
+
+    expect(Number.isFinite(engine.state.nextNoteTime)).toBe(true);
+    // The ramp's 4 beats play out, then the next section starts on its downbeat
+    const next = beats.find(beat => beat.section && beat.section.index === 1);
+    expect(beats.indexOf(next)).toBe(4);
+    expect(next.beat).toBe(0);
+    expect(beats[beats.length - 1].time).toBeGreaterThan(18);
+    expect(engine.bpm).toBe(60);
+  });
+
+  test('keeps section tempos to the tempo range', () => {
+    const clock = { time: 0, now() { return this.time; } };
+    const engine = new MetronomeEngine({
+      clock,
+      timer: { start: () => 1, stop() {} },
+      settings: { minBpm: 40, maxBpm: 208, tempoMap: parseTempoMap('1b 30, 1b 250>100') },
+    });
+    const beats = [];
+    engine.on('beat', beat => beats.push({ time: beat.time, bpm: engine.bpm }));
+    engine.start();
+    while (clock.time < 8) {
+      clock.time += 0.01;
+      engine.tick();
+    }
+
+    // 40 BPM beats 1.5s apart, as displayed, not 30 BPM ones
+    expect(beats[0].bpm).toBe(40);
+    expect(beats[1].time - beats[0].time).toBeCloseTo(1.5, 9);
+    // The ramp runs from the top of the range
+    expect(beats[4].bpm).toBe(208);
+    expect(beats[5].time - beats[4].time).toBeCloseTo(sectionBeatTime({ bpm: 208, endBpm: 100 }, 1, 4), 9);
+  });
+
+  test('holds ramp positions outside the section to its ends', () => {
+    const section = { bpm: 90, endBpm: 1 };
+    expect(sectionTempo(section, 6, 4)).toBe(1);
+    expect(sectionTempo(section, -1, 4)).toBe(90);
+    expect(sectionBeatTime(section, 6, 4)).toBe(sectionBeatTime(section, 4, 4));
+  });
+
+  test('starting again plays the map from the top', () => {
+    const { engine } = runMap('1b 100, 1b 150', 4);
+    engine.stop();
+    engine.start();
+    expect(engine.bpm).toBe(100);
+    expect(engine.state.tempoMap.done).toBe(false);
+  });
+
+  test('a map set while running starts on the next downbeat', () => {
+    const clock = { time: 0, now() { return this.time; } };
+    const engine = new MetronomeEngine({ clock, timer: { start: () => 1, stop() {} }, settings: { bpm: 120 } });
+    const sections = [];
+    engine.on('beat', beat => sections.push(beat.section));
+    engine.start();
+    clock.time = 0.6;
+    engine.tick();
+    engine.configure({ tempoMap: parseTempoMap('2b 80') });
+    clock.time = 3;
+    engine.tick();
+
+    expect(sections.slice(0, 4)).toEqual([null, null, null, null]);
+    expect(sections[4]).toEqual({ index: 0, bar: 0 });
+    expect(engine.bpm).toBe(80);
+  });
+
+  test('is kept in presets, links and the command line', () => {
+    const settings = createRenderSettings({ tempoMap: parseTempoMap(SONG) });
+    const restored = sanitizePresetSettings(JSON.parse(JSON.stringify(capturePresetSettings(settings))));
+    expect(formatTempoMap(restored.tempoMap)).toBe(SONG);
+    expect(capturePresetSettings(settings).tempoMap).toEqual({ sections: settings.tempoMap.sections });
+
+    expect(formatTempoMap(parseUrlState(`?${serializeUrlState(settings)}`).settings.tempoMap)).toBe(SONG);
+
+    const state = new MetronomeEngine({ settings: { bpm: 100 } }).state;
+    expect(parseCommand(`g ${SONG}`, state).fields).toMatchObject({ trainer: null, bpm: 120 });
+    expect(parseCommand('g0', state).fields).toEqual({ tempoMap: null });
+    expect(parseCommand('p60>120 5 4b', state).fields.tempoMap).toBeNull();
+    expect(parseCommand('g intro', state).error).toBe('Invalid tempo map: intro');
+  });
+});
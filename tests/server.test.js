@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { negotiateEncoding, createServer } = require('../server');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('server.js', () => {
+    describe('negotiateEncoding', () => {
+        test.each([
+            [undefined, null],
+            ['identity', null],
+            ['gzip, deflate', 'gzip'],
+            ['gzip, deflate, br', 'br'],
+            ['br;q=0.5, gzip', 'gzip'],
+            ['br;q=0, gzip;q=0', null],
+            ['*', 'br'],
+            ['*;q=0.1, gzip;q=0', 'br'],
+            ['GZIP', 'gzip']
+        ])('%s → %s', (header, expected) => {
+            expect(negotiateEncoding(header)).toBe(expected);
+        });
+    });
+
+    describe('over a local port', () => {
+        let dir;
+        let server;
+        let port;
+        const logged = [];
+
+        beforeAll(done => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+            server = createServer({ libraryFile: path.join(dir, 'library.json'), log: line => logged.push(line) });
+            server.listen(0, '127.0.0.1', () => {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            server.close(() => {
+                fs.rmSync(dir, { recursive: true, force: true });
+                done();
+            });
+        });
+
+        // Resolves with { status, headers, body } with the raw body bytes
+        function request(url, { method = 'GET', headers = {} } = {}) {
+            return new Promise((resolve, reject) => {
+                const req = http.request({ port, host: '127.0.0.1', method, path: url, headers, agent: false }, res => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+                });
+                req.on('error', reject);
+                req.end();
+            });
+        }
+
+        test('serves the app with its content type', async () => {
+            const page = await request('/');
+            expect(page.status).toBe(200);
+            expect(page.headers['content-type']).toBe('text/html; charset=utf-8');
+            expect(page.body.equals(fs.readFileSync(path.join(ROOT, 'index.html')))).toBe(true);
+
+            expect((await request('/style.css')).headers['content-type']).toBe('text/css; charset=utf-8');
+            expect((await request('/timer-worker.js')).headers['content-type']).toBe('text/javascript; charset=utf-8');
+            expect((await request('/manifest.webmanifest')).headers['content-type']).toBe('application/manifest+json; charset=utf-8');
+            expect((await request('/icon.svg')).headers['content-type']).toBe('image/svg+xml');
+        });
+
+        test('ignores query strings', async () => {
+            const response = await request('/?bpm=132&mute=25');
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/html/);
+        });
+
+        test.each([
+            '/package.json',
+            '/server.js',
+            '/tests/server.test.js',
+            '/data/library.json',
+            '/../tree/package.json',
+            '/..%2fpackage.json',
+            '/%2e%2e/%2e%2e/etc/passwd',
+            '/index.html/'
+        ])('does not serve %s', async url => {
+            expect((await request(url)).status).toBe(404);
+        });
+
+        test('answers a malformed path with 400', async () => {
+            expect((await request('/%E0%A4%A')).status).toBe(400);
+        });
+
+        test('revalidates with ETag and Last-Modified', async () => {
+            const first = await request('/metronome.js');
+            expect(first.headers['cache-control']).toBe('no-cache');
+            expect(first.headers.etag).toMatch(/^W\/".+"$/);
+
+            const byTag = await request('/metronome.js', { headers: { 'If-None-Match': first.headers.etag } });
+            expect(byTag.status).toBe(304);
+            expect(byTag.body.length).toBe(0);
+            expect(byTag.headers.etag).toBe(first.headers.etag);
+
+            const byDate = await request('/metronome.js', { headers: { 'If-Modified-Since': first.headers['last-modified'] } });
+            expect(byDate.status).toBe(304);
+
+            // If-None-Match wins when both are sent
+            const stale = await request('/metronome.js', {
+                headers: { 'If-None-Match': 'W/"other"', 'If-Modified-Since': first.headers['last-modified'] }
+            });
+            expect(stale.status).toBe(200);
+        });
+
+        test.each([
+            ['br', zlib.brotliDecompressSync],
+            ['gzip', zlib.gunzipSync]
+        ])('compresses with %s when the client accepts it', async (encoding, decompress) => {
+            const response = await request('/metronome.js', { headers: { 'Accept-Encoding': `identity, ${encoding}` } });
+            expect(response.headers['content-encoding']).toBe(encoding);
+            expect(response.headers.vary).toBe('Accept-Encoding');
+            expect(Number(response.headers['content-length'])).toBe(response.body.length);
+            expect(decompress(response.body).equals(fs.readFileSync(path.join(ROOT, 'metronome.js')))).toBe(true);
+        });
+
+        test('sends uncompressed bytes without Accept-Encoding', async () => {
+            const response = await request('/metronome.js');
+            expect(response.headers['content-encoding']).toBeUndefined();
+            expect(response.body.length).toBe(fs.statSync(path.join(ROOT, 'metronome.js')).size);
+        });
+
+        test('answers HEAD without a body and refuses other methods', async () => {
+            const head = await request('/', { method: 'HEAD' });
+            expect(head.status).toBe(200);
+            expect(Number(head.headers['content-length'])).toBeGreaterThan(0);
+            expect(head.body.length).toBe(0);
+
+            const post = await request('/', { method: 'POST' });
+            expect(post.status).toBe(405);
+            expect(post.headers.allow).toBe('GET, HEAD');
+        });
+
+        test('sends security headers on every response', async () => {
+            for (const url of ['/', '/missing', '/api/presets']) {
+                const { headers } = await request(url);
+                expect(headers['x-content-type-options']).toBe('nosniff');
+                expect(headers['x-frame-options']).toBe('DENY');
+                expect(headers['content-security-policy']).toMatch(/default-src 'self'/);
+            }
+        });
+
+        test('still routes the preset API', async () => {
+            const response = await request('/api/presets');
+            expect(response.status).toBe(200);
+            expect(JSON.parse(response.body.toString())).toEqual([]);
+        });
+
+        test('logs one line per request', async () => {
+            logged.length = 0;
+            await request('/style.css?v=2');
+            expect(logged).toEqual([expect.stringMatching(/ GET \/style\.css\?v=2 200 [\d.]+ms$/)]);
+        });
+    });
+});
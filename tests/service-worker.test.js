@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { PUBLIC_FILES } = require('../server');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'service-worker.js'), 'utf8');
+const ORIGIN = 'http://localhost:3000';
+
+// Run the worker in a sandbox with in-memory caches and a fake network.
+// `network(url)` returns a response body, or throws when offline.
+function loadWorker(network, existingCaches = []) {
+    const listeners = {};
+    const stores = new Map(existingCaches.map(name => [name, new Map()]));
+    const fetched = [];
+
+    const response = body => ({ ok: true, body, clone: () => response(body) });
+    const toUrl = request => new URL(typeof request === 'string' ? request : request.url, ORIGIN);
+    const openCache = name => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        return {
+            addAll: requests => Promise.all(requests.map(request => {
+                const url = toUrl(request);
+                store.set(url.pathname, response(network(url.pathname)));
+            })),
+            match: key => Promise.resolve(store.get(toUrl(key).pathname)),
+            put: (key, value) => {
+                store.set(toUrl(key).pathname, value);
+                return Promise.resolve();
+            }
+        };
+    };
+
+    const self = {
+        location: new URL(ORIGIN),
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: () => Promise.resolve(),
+        clients: { claim: () => Promise.resolve() }
+    };
+    const sandbox = {
+        self,
+        URL,
+        Request: class {
+            constructor(url, options) {
+                this.url = new URL(url, ORIGIN).href;
+                this.cache = options && options.cache;
+            }
+        },
+        caches: {
+            open: name => Promise.resolve(openCache(name)),
+            keys: () => Promise.resolve([...stores.keys()]),
+            delete: name => Promise.resolve(stores.delete(name))
+        },
+        fetch: request => {
+            fetched.push(request.url);
+            try {
+                return Promise.resolve(response(network(new URL(request.url).pathname)));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+    };
+    vm.runInNewContext(SOURCE, sandbox);
+
+    // Dispatch an event; resolves once everything it waits on has settled
+    const dispatch = (type, fields = {}) => {
+        const pending = [];
+        let responded = null;
+        listeners[type]({
+            ...fields,
+            waitUntil: promise => pending.push(promise),
+            respondWith: promise => { responded = promise; }
+        });
+        return Promise.all(pending).then(() => responded);
+    };
+    const request = url => ({ method: 'GET', url: new URL(url, ORIGIN).href });
+
+    return { stores, fetched, dispatch, request };
+}
+
+describe('service-worker.js', () => {
+    test('precaches only files the server serves', async () => {
+        const worker = loadWorker(url => `body of ${url}`);
+        await worker.dispatch('install');
+
+        const [[name, store]] = [...worker.stores];
+        expect(name).toMatch(/^metronome-v\d+$/);
+        expect(store.size).toBeGreaterThan(0);
+        for (const url of store.keys()) expect(PUBLIC_FILES).toHaveProperty([url]);
+        expect(store.has('/metronome.js')).toBe(true);
+        expect(store.has('/style.css')).toBe(true);
+    });
+
+    test('activating a new version deletes old caches', async () => {
+        const worker = loadWorker(url => url, ['metronome-v0', 'someone-else']);
+        await worker.dispatch('install');
+        await worker.dispatch('activate');
+        const names = [...worker.stores.keys()];
+        expect(names).toHaveLength(2);
+        expect(names).toContain('someone-else');
+        expect(names).not.toContain('metronome-v0');
+    });
+
+    test('serves deep links from the cache when offline', async () => {
+        let online = true;
+        const worker = loadWorker(url => {
+            if (!online) throw new TypeError('Failed to fetch');
+            return `body of ${url}`;
+        });
+        await worker.dispatch('install');
+
+        online = false;
+        const response = await worker.dispatch('fetch', { request: worker.request('/?bpm=120&autostart=1') });
+        expect(response.body).toBe('body of /');
+    });
+
+    test('refreshes cached files in the background', async () => {
+        let version = 1;
+        const worker = loadWorker(url => `${url} v${version}`);
+        await worker.dispatch('install');
+
+        version = 2;
+        const first = await worker.dispatch('fetch', { request: worker.request('/metronome.js') });
+        expect(first.body).toBe('/metronome.js v1');
+        const second = await worker.dispatch('fetch', { request: worker.request('/metronome.js') });
+        expect(second.body).toBe('/metronome.js v2');
+    });
+
+    test('leaves the preset API, other methods and other sites to the network', async () => {
+        const worker = loadWorker(url => url);
+        expect(await worker.dispatch('fetch', { request: worker.request('/api/presets') })).toBeNull();
+        expect(await worker.dispatch('fetch', { request: { ...worker.request('/'), method: 'POST' } })).toBeNull();
+        expect(await worker.dispatch('fetch', { request: worker.request('https://example.com/') })).toBeNull();
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
+const {
+    acceptKey,
+    encodeFrame,
+    decodeFrame,
+    createRooms,
+    attachSyncServer
+} = require('../sync-server');
+
+// A client the rooms can send to; remembers what it got
+function createClient() {
+    return { room: null, received: [], send(message) { this.received.push(message); } };
+}
+
+const last = (client, type) => client.received.filter(message => message.type === type).pop();
+
+describe('sync-server.js', () => {
+    describe('WebSocket framing', () => {
+        test('acceptKey matches the RFC 6455 example', () => {
+            expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+        });
+
+        test.each([5, 300, 70000])('round-trips a masked %i byte payload', size => {
+            const payload = Buffer.alloc(size, 'a');
+            const frame = encodeFrame(payload, 0x1, [1, 2, 3, 4]);
+            const decoded = decodeFrame(Buffer.concat([frame, Buffer.from([0x81])]));
+            expect(decoded.fin).toBe(true);
+            expect(decoded.opcode).toBe(0x1);
+            expect(decoded.payload.equals(payload)).toBe(true);
+            expect(decoded.length).toBe(frame.length);
+        });
+
+        test('decodeFrame waits for the rest of a frame', () => {
+            const frame = encodeFrame('{"type":"ping"}');
+            expect(decodeFrame(frame.subarray(0, 1))).toBeNull();
+            expect(decodeFrame(frame.subarray(0, frame.length - 1))).toBeNull();
+            expect(decodeFrame(frame).payload.toString()).toBe('{"type":"ping"}');
+        });
+    });
+
+    describe('rooms', () => {
+        test('the first device leads and its timeline reaches the others', () => {
+            const rooms = createRooms();
+            const leader = createClient();
+            const follower = createClient();
+
+            rooms.receive(leader, JSON.stringify({ type: 'join', room: 'rehearsal' }));
+            rooms.receive(leader, JSON.stringify({ type: 'timeline', bpm: 96, running: false }));
+            rooms.receive(follower, JSON.stringify({ type: 'join', room: 'rehearsal' }));
+
+            expect(last(leader, 'members')).toEqual({ type: 'members', count: 2, leader: true });
+            expect(last(follower, 'members')).toEqual({ type: 'members', count: 2, leader: false });
+            // A late joiner gets the current timeline right away
+            expect(last(follower, 'timeline')).toEqual({ type: 'timeline', bpm: 96, running: false });
+
+            rooms.receive(leader, JSON.stringify({ type: 'timeline', bpm: 120, running: true }));
+            expect(last(follower, 'timeline').bpm).toBe(120);
+            expect(last(leader, 'timeline')).toBeUndefined();
+        });
+
+        test('only the leader sets the timeline', () => {
+            const rooms = createRooms();
+            const leader = createClient();
+            const follower = createClient();
+            rooms.receive(leader, JSON.stringify({ type: 'join', room: 'a' }));
+            rooms.receive(follower, JSON.stringify({ type: 'join', room: 'a' }));
+
+            rooms.receive(follower, JSON.stringify({ type: 'timeline', bpm: 200 }));
+            expect(last(follower, 'error').message).toMatch(/leader/);
+            expect(last(leader, 'timeline')).toBeUndefined();
+        });
+
+        test('the next device leads when the leader leaves', () => {
+            const rooms = createRooms();
+            const [a, b, c] = [createClient(), createClient(), createClient()];
+            [a, b, c].forEach(client => rooms.receive(client, JSON.stringify({ type: 'join', room: 'band' })));
+
+            rooms.leave(a);
+            expect(last(b, 'members')).toEqual({ type: 'members', count: 2, leader: true });
+            expect(last(c, 'members')).toEqual({ type: 'members', count: 2, leader: false });
+
+            rooms.leave(b);
+            rooms.leave(c);
+            expect(rooms.rooms.size).toBe(0);
+        });
+
+        test('answers pings with the server clock', () => {
+            let time = 1000;
+            const rooms = createRooms(() => time++);
+            const client = createClient();
+            rooms.receive(client, JSON.stringify({ type: 'ping', t0: 5 }));
+            expect(last(client, 'pong')).toEqual({ type: 'pong', t0: 5, t1: 1000, t2: 1001 });
+        });
+
+        test('rejects bad input', () => {
+            const rooms = createRooms();
+            const client = createClient();
+            rooms.receive(client, 'not json');
+            rooms.receive(client, JSON.stringify({ type: 'join', room: '../etc' }));
+            rooms.receive(client, JSON.stringify({ type: 'dance' }));
+            expect(client.received.map(message => message.type)).toEqual(['error', 'error', 'error']);
+            expect(client.room).toBeNull();
+        });
+    });
+
+    describe('over a local port', () => {
+        let server;
+        let port;
+        const sockets = [];
+
+        beforeAll(done => {
+            server = http.createServer();
+            attachSyncServer(server);
+            server.listen(0, '127.0.0.1', () => {
+                port = server.address().port;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(done);
+        });
+
+        // A bare WebSocket client: sends masked frames, collects JSON messages
+        function connect() {
+            return new Promise((resolve, reject) => {
+                const req = http.request({
+                    port,
+                    host: '127.0.0.1',
+                    path: '/sync',
+                    agent: false,
+                    headers: {
+                        Connection: 'Upgrade',
+                        Upgrade: 'websocket',
+                        'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                        'Sec-WebSocket-Version': '13'
+                    }
+                });
+                req.on('upgrade', (res, socket) => {
+                    sockets.push(socket);
+                    const client = { res, messages: [], waiting: [] };
+                    let buffered = Buffer.alloc(0);
+                    socket.on('data', chunk => {
+                        buffered = Buffer.concat([buffered, chunk]);
+                        let frame;
+                        while ((frame = decodeFrame(buffered))) {
+                            buffered = buffered.subarray(frame.length);
+                            client.messages.push(JSON.parse(frame.payload.toString()));
+                        }
+                        client.waiting.forEach(check => check());
+                    });
+                    client.send = message => socket.write(encodeFrame(JSON.stringify(message), 0x1, [7, 1, 9, 3]));
+                    // Resolve with the first message of `type` not yet taken
+                    client.next = type => new Promise(done => {
+                        const check = () => {
+                            const index = client.messages.findIndex(message => message.type === type);
+                            if (index === -1) return;
+                            client.waiting = client.waiting.filter(waiter => waiter !== check);
+                            done(client.messages.splice(index, 1)[0]);
+                        };
+                        client.waiting.push(check);
+                        check();
+                    });
+                    resolve(client);
+                });
+                req.on('error', reject);
+                req.end();
+            });
+        }
+
+        test('completes the handshake and relays the leader timeline', async () => {
+            const leader = await connect();
+            expect(leader.res.headers['sec-websocket-accept']).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+            leader.send({ type: 'join', room: 'stage' });
+            expect(await leader.next('joined')).toEqual({ type: 'joined', room: 'stage' });
+
+            const follower = await connect();
+            follower.send({ type: 'join', room: 'stage' });
+            expect(await follower.next('members')).toEqual({ type: 'members', count: 2, leader: false });
+
+            leader.send({ type: 'timeline', bpm: 132, running: true, anchor: { time: 5000, beat: 0 } });
+            expect(await follower.next('timeline')).toMatchObject({ bpm: 132, anchor: { time: 5000, beat: 0 } });
+
+            follower.send({ type: 'ping', t0: 1 });
+            const pong = await follower.next('pong');
+            expect(pong.t0).toBe(1);
+            expect(pong.t2).toBeGreaterThanOrEqual(pong.t1);
+        });
+
+        test('refuses upgrades on other paths', done => {
+            const req = http.request({
+                port,
+                host: '127.0.0.1',
+                path: '/other',
+                agent: false,
+                headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'x' }
+            });
+            req.on('upgrade', () => done(new Error('upgraded')));
+            req.on('response', res => {
+                res.resume();
+                expect(res.statusCode).toBe(400);
+                done();
+            });
+            req.end();
+        });
+    });
+});
@@ -0,0 +1,18 @@
+// Lookahead ticker for the metronome scheduler. Timers in a dedicated worker
+// keep firing when the page's tab is in the background or busy rendering,
+// where main-thread timers are throttled.
+//   { command: 'start', interval: ms } posts 'tick' every interval
+//   { command: 'stop' }
+let intervalId = null;
+
+self.onmessage = event => {
+  const { command, interval } = event.data;
+
+  if (command === 'start') {
+    clearInterval(intervalId);
+    intervalId = setInterval(() => self.postMessage('tick'), interval);
+  } else if (command === 'stop') {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+};